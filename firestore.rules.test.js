@@ -0,0 +1,170 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, collection, Timestamp } from 'firebase/firestore';
+import { createFirestoreStorage } from './src/storage/firestore.js';
+
+// Runs against the Firestore emulator only: `npm run test:rules` starts one and sets
+// FIRESTORE_EMULATOR_HOST. A plain `npm test` skips this file.
+
+const APP_ID = 'miroo-test';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sharedPath = (...segments) => ['artifacts', APP_ID, 'sharedProjects', ...segments].join('/');
+const invitePath = (code) => ['artifacts', APP_ID, 'invites', code].join('/');
+
+// alice owns "trip", bob edits it, carol only reads it; dave is not a member
+const PROJECT = {
+    title: 'Trip',
+    ownerId: 'alice',
+    members: { alice: 'owner', bob: 'editor', carol: 'viewer' },
+    memberUids: ['alice', 'bob', 'carol'],
+    memberNames: { alice: 'Alice', bob: 'Bob', carol: 'Carol' },
+};
+
+const invite = (fields) => ({
+    projectId: 'trip',
+    role: 'viewer',
+    createdBy: 'alice',
+    createdAt: Date.now(),
+    expiresAt: Timestamp.fromMillis(Date.now() + DAY_MS),
+    ...fields,
+});
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+    let env;
+
+    const db = (uid) => env.authenticatedContext(uid).firestore();
+    const storageFor = (uid) => createFirestoreStorage(db(uid), APP_ID, uid);
+
+    beforeAll(async () => {
+        env = await initializeTestEnvironment({
+            projectId: 'demo-miroo',
+            firestore: { rules: readFileSync(new URL('./firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    afterAll(() => env?.cleanup());
+
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await env.withSecurityRulesDisabled(async (context) => {
+            const admin = context.firestore();
+            await setDoc(doc(admin, sharedPath('trip')), PROJECT);
+            await setDoc(doc(admin, sharedPath('trip', 'tasks', 'passports')), { text: 'Renew passports', position: 0 });
+            await setDoc(doc(admin, invitePath('VIEWCODE')), invite());
+            await setDoc(doc(admin, invitePath('EDITCODE')), invite({ role: 'editor' }));
+            await setDoc(doc(admin, invitePath('OLDCODE1')), invite({ expiresAt: Timestamp.fromMillis(Date.now() - DAY_MS) }));
+        });
+    });
+
+    describe('reading', () => {
+        it('lets members read the project and its tasks', async () => {
+            await assertSucceeds(getDoc(doc(db('carol'), sharedPath('trip'))));
+            await assertSucceeds(getDocs(collection(db('carol'), sharedPath('trip', 'tasks'))));
+        });
+
+        it('denies non-members', async () => {
+            await assertFails(getDoc(doc(db('dave'), sharedPath('trip'))));
+            await assertFails(getDocs(collection(db('dave'), sharedPath('trip', 'tasks'))));
+            await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), sharedPath('trip'))));
+        });
+    });
+
+    describe('writing', () => {
+        it('lets owners and editors change tasks and project fields', async () => {
+            await assertSucceeds(setDoc(doc(db('alice'), sharedPath('trip', 'tasks', 'tickets')), { text: 'Book tickets' }));
+            await assertSucceeds(updateDoc(doc(db('bob'), sharedPath('trip', 'tasks', 'passports')), { completed: true }));
+            await assertSucceeds(updateDoc(doc(db('bob'), sharedPath('trip')), { title: 'Summer trip' }));
+        });
+
+        it('keeps viewers read-only', async () => {
+            await assertFails(setDoc(doc(db('carol'), sharedPath('trip', 'tasks', 'tickets')), { text: 'Book tickets' }));
+            await assertFails(updateDoc(doc(db('carol'), sharedPath('trip')), { title: 'Summer trip' }));
+        });
+
+        it('never lets an editor delete the project or, on the way, its tasks', async () => {
+            const storage = storageFor('bob');
+            const unsubscribe = storage.subscribeProjects(() => {});
+            await expect(storage.deleteProject('trip')).rejects.toMatchObject({ code: 'sharing/not-owner' });
+            unsubscribe();
+            const tasks = await getDocs(collection(db('alice'), sharedPath('trip', 'tasks')));
+            expect(tasks.size).toBe(1);
+        });
+
+        it('keeps editors out of membership', async () => {
+            await assertFails(storageFor('bob').setMemberRole('trip', 'carol', 'editor'));
+            await assertFails(storageFor('bob').removeMember('trip', 'carol'));
+        });
+    });
+
+    describe('membership', () => {
+        it('lets the owner change roles and remove members', async () => {
+            await assertSucceeds(storageFor('alice').setMemberRole('trip', 'bob', 'viewer'));
+            await assertSucceeds(storageFor('alice').removeMember('trip', 'carol'));
+        });
+
+        it('never allows a second owner', async () => {
+            await assertFails(storageFor('alice').setMemberRole('trip', 'bob', 'owner'));
+        });
+
+        it('lets a member leave, but not the owner', async () => {
+            await assertSucceeds(storageFor('carol').removeMember('trip', 'carol'));
+            await assertFails(storageFor('alice').removeMember('trip', 'alice'));
+        });
+    });
+
+    describe('invites', () => {
+        it('lets anyone signed in join with a live code, in the invite role', async () => {
+            await assertSucceeds(storageFor('dave').joinProject('viewcode', { name: 'Dave' }));
+            const project = await getDoc(doc(db('dave'), sharedPath('trip')));
+            expect(project.data().members.dave).toBe('viewer');
+        });
+
+        it('denies a join with a different role than the invite', async () => {
+            await assertFails(updateDoc(doc(db('dave'), sharedPath('trip')), {
+                'members.dave': 'editor',
+                memberUids: [...PROJECT.memberUids, 'dave'],
+                'memberNames.dave': 'Dave',
+                joinCode: 'VIEWCODE',
+            }));
+        });
+
+        it('denies a join or leave that renames another member', async () => {
+            await assertFails(updateDoc(doc(db('dave'), sharedPath('trip')), {
+                'members.dave': 'viewer',
+                memberUids: [...PROJECT.memberUids, 'dave'],
+                'memberNames.dave': 'Dave',
+                'memberNames.alice': 'Not Alice',
+                joinCode: 'VIEWCODE',
+            }));
+            await assertFails(updateDoc(doc(db('carol'), sharedPath('trip')), {
+                members: { alice: 'owner', bob: 'editor' },
+                memberUids: ['alice', 'bob'],
+                memberNames: { alice: 'Alice', bob: 'Not Bob' },
+            }));
+        });
+
+        it('denies a join with an expired code', async () => {
+            await assertFails(updateDoc(doc(db('dave'), sharedPath('trip')), {
+                'members.dave': 'viewer',
+                memberUids: [...PROJECT.memberUids, 'dave'],
+                'memberNames.dave': 'Dave',
+                joinCode: 'OLDCODE1',
+            }));
+        });
+
+        it('can be read by code but never listed', async () => {
+            await assertSucceeds(getDoc(doc(db('dave'), invitePath('EDITCODE'))));
+            await assertFails(getDocs(collection(db('dave'), 'artifacts', APP_ID, 'invites')));
+        });
+
+        it('are created by the owner only, expiring within a week', async () => {
+            await assertSucceeds(storageFor('alice').createInvite('trip', 'editor'));
+            await assertFails(storageFor('bob').createInvite('trip', 'viewer'));
+            await assertFails(setDoc(doc(db('alice'), invitePath('FOREVER1')), invite({
+                expiresAt: Timestamp.fromMillis(Date.now() + 30 * DAY_MS),
+            })));
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
     Plus,
     ChevronLeft,
@@ -12,107 +12,262 @@ import {
     FolderPlus,
     LogOut,
     Camera,
-    Loader2
+    Loader2,
+    ListChecks,
+    Repeat,
+    Flame,
+    GripVertical,
+    RotateCcw,
+    History,
+    Download,
+    Upload,
+    Cloud,
+    CloudOff,
+    RefreshCw,
+    UserRound,
+    Mail,
+    Search,
+    Flag,
+    Tag,
+    ArrowUpDown,
+    CalendarDays,
+    CalendarClock,
+    Inbox,
+    CircleCheck,
+    BarChart3,
+    Trophy,
+    Timer,
+    Users,
+    Share2,
+    Copy,
+    UserPlus,
+    Pin,
+    PinOff,
+    Archive,
+    ArchiveRestore,
+    Folder,
+    ChevronDown,
+    MoreHorizontal,
+    CheckCheck,
+    SquareCheck,
+    Square,
+    FolderInput,
+    Eraser,
+    Briefcase,
+    House,
+    ShoppingCart,
+    Heart,
+    BookOpen,
+    Dumbbell,
+    Plane,
+    Music,
+    Code,
+    Star,
+    Gift,
+    GraduationCap,
+    Monitor
 } from 'lucide-react';
 
 // === FIREBASE IMPORTS ===
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, setDoc, deleteDoc, updateDoc, onSnapshot } from 'firebase/firestore';
-
-// === FIREBASE INITIALIZATION ===
-// Memuat konfigurasi dari environment platform secara aman
-let app, auth, db, appId;
-let isLocalMode = true; // Default to local mode
-try {
-    if (typeof __firebase_config !== 'undefined' && __firebase_config) {
-        const firebaseConfig = JSON.parse(__firebase_config);
-        if (firebaseConfig.apiKey) {
-            app = initializeApp(firebaseConfig);
-            auth = getAuth(app);
-            db = getFirestore(app);
-            appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-            isLocalMode = false;
-        }
-    }
-} catch (error) {
-    console.error("Firebase not available, running in local mode.", error);
-}
+import { signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
 
-// === LOCAL STORAGE HELPERS ===
-const LS_KEYS = {
-    profile: 'miroo_profile',
-    projects: 'miroo_projects',
-    theme: 'miroo_theme',
-};
+// === STORAGE ===
+import {
+    auth, isLocalMode, createStorage, SHARE_ROLES, INVITE_TTL_DAYS,
+    loadPendingLocalData, markLocalDataMigrated, migrateLocalData,
+    describeUser, describeAuthError,
+    linkEmailPassword, linkGoogle, signInEmailPassword, signInWithLinkError, signOutToGuest,
+} from './storage/index.js';
 
-const loadLocal = (key) => {
-    try {
-        const data = localStorage.getItem(key);
-        return data ? JSON.parse(data) : null;
-    } catch { return null; }
-};
+// === TASK HELPERS ===
+import { getDueStatus, formatDue, toDateInputValue, parseDateInputValue } from './lib/dueDates.js';
+import { createReminderScheduler, requestNotificationPermission } from './lib/reminders.js';
+import { getProjectProgress, getSubtaskCounts } from './lib/progress.js';
+import { RECURRENCE_TYPES, createRecurrence, describeRecurrence, getStreak, weekdayLabel } from './lib/recurrence.js';
+import { toggleTaskInList, setTasksCompleted, moveTasksBetween } from './lib/tasks.js';
+import { getTopOrder } from './lib/ordering.js';
+import { toJSON, toCSV, toMarkdown, downloadFile, parseBackup, planImport } from './lib/backup.js';
+import { trashTasks, restoreTasks, purgeTasks, getTrashItems, isExpired, daysLeft } from './lib/trash.js';
+import { SEARCH_STATUSES, searchProjects, getSnippet } from './lib/search.js';
+import { SMART_VIEWS, getSmartViewTasks, getSmartViewCounts } from './lib/smartViews.js';
+import { PRIORITIES, TASK_SORTS, normalizePriority, parseTags, getProjectTags, applyTaskView, isFiltered } from './lib/taskView.js';
+import { getStats, formatDuration } from './lib/stats.js';
+import { parseQuickAdd, hasQuickAddFields } from './lib/quickAdd.js';
+import {
+    isArchived, normalizeFolderName, getFolderNames, groupProjects, flattenGroups,
+    SHARED_LAYOUT_FIELDS, applySharedLayout, splitSharedLayout,
+} from './lib/projectGroups.js';
+import { subscribeUpdate, applyUpdate } from './lib/pwa.js';
+import { SHORTCUTS, isTextInput, filterCommands } from './lib/shortcuts.js';
+import { LOCALES, detectLocale, isSupportedLocale, createI18n } from './lib/i18n.js';
+import {
+    THEME_MODES, THEME_PRESETS, toThemeMode, fromThemeMode, getThemePreset, getThemeVariables,
+    isHexColor, normalizeHexColor, getContrastColor, PROJECT_COLORS, PROJECT_ICONS, getProjectColor, toEmojiIcon,
+} from './lib/themes.js';
+import { useDragReorder } from './hooks/useDragReorder.js';
+import { useDialog } from './hooks/useDialog.js';
+import { useMediaQuery } from './hooks/useMediaQuery.js';
+import { useColorDraft } from './hooks/useColorDraft.js';
 
-const saveLocal = (key, data) => {
-    try {
-        localStorage.setItem(key, JSON.stringify(data));
-    } catch (e) { console.error('localStorage save error:', e); }
+// lucide components for the PROJECT_ICONS names ('more' is an old value that showed a check)
+const PROJECT_ICON_COMPONENTS = {
+    plus: Plus, more: Check, 'list-checks': ListChecks, briefcase: Briefcase, home: House,
+    'shopping-cart': ShoppingCart, heart: Heart, 'book-open': BookOpen, dumbbell: Dumbbell,
+    plane: Plane, music: Music, code: Code, star: Star, gift: Gift, 'graduation-cap': GraduationCap,
 };
 
-// Blob colors palette for randomly generated new projects
-const blobColors = [
-    'bg-cyan-500', 'bg-pink-500', 'bg-purple-500',
-    'bg-amber-500', 'bg-emerald-500', 'bg-rose-500', 'bg-indigo-500',
-    'bg-teal-500', 'bg-orange-500', 'bg-lime-500', 'bg-sky-500',
-    'bg-fuchsia-500', 'bg-yellow-500', 'bg-violet-500'
-];
+const THEME_MODE_ICONS = { dark: Moon, light: Sun, system: Monitor };
+
+// Home screen shortcuts (manifest.webmanifest) launch the app with ?action=new-task or ?action=new-project
+const getLaunchAction = () => new URLSearchParams(window.location.search).get('action');
+
+// Storage error codes with a message of their own in src/locales
+const ERROR_KEYS = {
+    'permission-denied': 'errors.permissionDenied',
+    'sharing/not-found': 'errors.notSynced',
+    'sharing/invalid-invite': 'errors.invalidInvite',
+    'sharing/invite-expired': 'errors.inviteExpired',
+};
 
 export default function App() {
     // === STATES ===
     // 1. Firebase Auth State
     const [fbUser, setFbUser] = useState(null);
     const [isAuthLoading, setIsAuthLoading] = useState(true);
+    const [accountInfo, setAccountInfo] = useState(null); // { uid, isAnonymous, email, providers }
 
-    // 2. User Profile State (from Firestore)
+    // 2. User Profile State (from storage)
     const [currentUser, setCurrentUser] = useState(null);
     const [loginName, setLoginName] = useState('');
 
-    // 3. Data State (from Firestore)
-    const [projects, setProjects] = useState([]);
+    // 3. Data State (from storage)
+    // storedProjects includes soft-deleted projects, everything else works on the visible ones,
+    // with the user's own order, pin and folder for shared projects (see lib/projectGroups.js)
+    const [storedProjects, setStoredProjects] = useState([]);
+    const projects = useMemo(
+        () => applySharedLayout(storedProjects.filter(p => !p.deletedAt), currentUser?.sharedLayout),
+        [storedProjects, currentUser?.sharedLayout]
+    );
+    // Archived projects only show in the home list's Archive section and in search
+    const activeProjects = useMemo(() => projects.filter(p => !isArchived(p)), [projects]);
+    // Latest stored projects, for undo callbacks that outlive the render they were created in
+    const storedProjectsRef = useRef([]);
 
     // 4. UI Preferences
-    const [isDarkMode, setIsDarkMode] = useState(true);
+    const [themeMode, setThemeMode] = useState('dark'); // THEME_MODES, saved on the profile as `theme`
+    const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+    const isDarkMode = themeMode === 'system' ? prefersDark : themeMode === 'dark';
+    const [locale, setLocale] = useState(detectLocale); // 'en' | 'id', saved on the profile
+    const [syncStatus, setSyncStatus] = useState('synced'); // 'synced' | 'pending' | 'error'
 
     // 5. Navigation & UI States
     const [activeProjectId, setActiveProjectId] = useState(null);
+    const [activeSmartView, setActiveSmartView] = useState(null); // SMART_VIEWS id shown in the detail slot instead of a project
     const [isDetailOpen, setIsDetailOpen] = useState(false);
+    const [focusTaskId, setFocusTaskId] = useState(null); // task to scroll to when a project opens from search
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchStatus, setSearchStatus] = useState('all'); // 'all' | 'active' | 'completed'
+    const [taskFilter, setTaskFilter] = useState({ tag: null, priority: null }); // open project's filter; its sort is saved on the project
+    const [collapsedFolders, setCollapsedFolders] = useState([]); // folder names folded on the home list
+    const [isArchiveOpen, setIsArchiveOpen] = useState(false);
+    const [selectedTaskIds, setSelectedTaskIds] = useState(null); // null outside multi-select mode, else the open project's selected task ids
+    const [isMovingSelection, setIsMovingSelection] = useState(false); // move-to-project picker for the selection
 
     // 6. Modal States
-    const [isAddingTask, setIsAddingTask] = useState(false);
+    const [isAddingTask, setIsAddingTask] = useState(() => getLaunchAction() === 'new-task');
     const [newTaskText, setNewTaskText] = useState('');
     const [newTaskDesc, setNewTaskDesc] = useState('');
+    const [newTaskDueDate, setNewTaskDueDate] = useState('');
+    const [newTaskDueTime, setNewTaskDueTime] = useState('');
+    const [newTaskRecurrence, setNewTaskRecurrence] = useState(null);
+    const [newTaskPriority, setNewTaskPriority] = useState('none');
+    const [newTaskTags, setNewTaskTags] = useState('');
+    const [quickAddText, setQuickAddText] = useState(''); // natural-language line that fills the fields below
     const [selectedFormProject, setSelectedFormProject] = useState(null);
 
-    const [isAddingProject, setIsAddingProject] = useState(false);
+    const [isAddingProject, setIsAddingProject] = useState(() => getLaunchAction() === 'new-project');
     const [newProjectTitle, setNewProjectTitle] = useState('');
-    const [newProjectColor, setNewProjectColor] = useState(blobColors[0]);
+    const [newProjectColor, setNewProjectColor] = useState(PROJECT_COLORS[0]);
+    const [newProjectIcon, setNewProjectIcon] = useState('plus'); // PROJECT_ICONS name or an emoji
+
+    // 7. Task Detail Sheet States
+    const [editingTask, setEditingTask] = useState(null); // { projectId, taskId }
+    const [editTaskText, setEditTaskText] = useState('');
+    const [editTaskDesc, setEditTaskDesc] = useState('');
+    const [editTaskDueDate, setEditTaskDueDate] = useState('');
+    const [editTaskDueTime, setEditTaskDueTime] = useState('');
+    const [editTaskRecurrence, setEditTaskRecurrence] = useState(null);
+    const [editTaskPriority, setEditTaskPriority] = useState('none');
+    const [editTaskTags, setEditTaskTags] = useState('');
+    const [editTaskProjectId, setEditTaskProjectId] = useState(null);
+    const [newSubtaskText, setNewSubtaskText] = useState('');
+
+    // 8. Undo Toast & Trash States
+    const [toast, setToast] = useState(null); // { id, message, onUndo }
+    const [isTrashOpen, setIsTrashOpen] = useState(false);
+
+    // 9. Backup (Export / Import) States
+    const [isBackupOpen, setIsBackupOpen] = useState(false);
+    const [importData, setImportData] = useState(null); // parsed file: { filename, format, profile, projects, errors }
+    const [importError, setImportError] = useState('');
+    const [importMode, setImportMode] = useState('merge');
+    const importInputRef = useRef(null);
+
+    // 10. Account States
+    const [isAccountOpen, setIsAccountOpen] = useState(false);
+    const [accountEmail, setAccountEmail] = useState('');
+    const [accountPassword, setAccountPassword] = useState('');
+    const [accountError, setAccountError] = useState('');
+    const [isAccountBusy, setIsAccountBusy] = useState(false);
+    // Data left in localStorage from local mode, offered once for upload in cloud mode
+    const [pendingLocalData, setPendingLocalData] = useState(() => (isLocalMode ? null : loadPendingLocalData()));
+
+    // 11. Stats Sheet State
+    const [isStatsOpen, setIsStatsOpen] = useState(false);
+
+    // 12. Sharing States
+    const [sharingProjectId, setSharingProjectId] = useState(null); // project whose share sheet is open
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [inviteCode, setInviteCode] = useState('');
+    const [shareError, setShareError] = useState('');
+    const [isShareBusy, setIsShareBusy] = useState(false);
+    // Invite links look like ?join=CODE and open the join sheet straight away
+    const [joinCode, setJoinCode] = useState(() => new URLSearchParams(window.location.search).get('join') || '');
+    const [isJoinOpen, setIsJoinOpen] = useState(() => !isLocalMode && !!new URLSearchParams(window.location.search).get('join'));
+
+    // 13. Project Options State
+    const [optionsProjectId, setOptionsProjectId] = useState(null); // project whose pin / folder / archive sheet is open
+    const [newFolderName, setNewFolderName] = useState('');
+
+    // 14. App Update State (a new build is installed and waiting, see lib/pwa.js)
+    const [isUpdateReady, setIsUpdateReady] = useState(false);
+
+    // 15. Keyboard & Command Palette States
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    const [paletteQuery, setPaletteQuery] = useState('');
+    const [paletteIndex, setPaletteIndex] = useState(0);
+    const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false);
+    const [cursorTaskId, setCursorTaskId] = useState(null); // task picked with J / K in the open project
 
     const fileInputRef = useRef(null);
+    const searchInputRef = useRef(null);
+    const keyHandlerRef = useRef(null); // latest handleGlobalKeyDown, so the window listener never goes stale
+
+    // Current time, refreshed every minute so due badges stay accurate
+    const [now, setNow] = useState(Date.now());
+
+    // Storage backend for the signed-in user (localStorage or Firestore)
+    const storage = useMemo(() => (fbUser ? createStorage(fbUser.uid) : null), [fbUser]);
+
+    // Translations and date/number formatting for the chosen language (see lib/i18n.js)
+    const i18n = useMemo(() => createI18n(locale), [locale]);
+    const { tr } = i18n;
 
     // === FIREBASE AUTHENTICATION EFFECT ===
     useEffect(() => {
         if (isLocalMode) {
-            // Local mode: set a fake user and load profile from localStorage
+            // Local mode: set a fake user, the profile is loaded from localStorage by the storage adapter
             setFbUser({ uid: 'local-user' });
-            const savedProfile = loadLocal(LS_KEYS.profile);
-            if (savedProfile) {
-                setCurrentUser(savedProfile);
-                if (savedProfile.theme !== undefined) setIsDarkMode(savedProfile.theme);
-            }
-            const savedProjects = loadLocal(LS_KEYS.projects) || [];
-            setProjects(savedProjects);
-            if (savedProjects.length > 0) setSelectedFormProject(savedProjects[0]);
-            setIsAuthLoading(false);
             return;
         }
 
@@ -138,27 +293,35 @@ export default function App() {
 
         const unsubscribe = onAuthStateChanged(auth, (user) => {
             setFbUser(user);
+            setAccountInfo(describeUser(user));
             if (!user) setIsAuthLoading(false);
         });
 
         return () => unsubscribe();
     }, []);
 
-    // === FIREBASE DATA FETCHING EFFECTS ===
+    // === SYNC EFFECTS ===
+    // Starts replaying queued writes (cloud mode) and tracks the sync status for the header
+    useEffect(() => {
+        if (!storage) return;
+        const stopSync = storage.startSync?.();
+        const unsubscribe = storage.subscribeStatus(setSyncStatus);
+        return () => {
+            unsubscribe();
+            stopSync?.();
+        };
+    }, [storage]);
+
+    // === DATA FETCHING EFFECTS ===
     // 1. Fetch User Profile & Theme Preferences
     useEffect(() => {
-        if (isLocalMode || !fbUser || !db) return;
-
-        const profileRef = doc(db, 'artifacts', appId, 'users', fbUser.uid, 'profile', 'data');
-        const unsubscribe = onSnapshot(profileRef,
-            (docSnap) => {
-                if (docSnap.exists()) {
-                    const data = docSnap.data();
-                    setCurrentUser(data);
-                    if (data.theme !== undefined) setIsDarkMode(data.theme);
-                } else {
-                    setCurrentUser(null);
-                }
+        if (!storage) return;
+
+        const unsubscribe = storage.subscribeProfile(
+            (profile) => {
+                setCurrentUser(profile);
+                if (profile?.theme !== undefined) setThemeMode(toThemeMode(profile.theme));
+                if (isSupportedLocale(profile?.locale)) setLocale(profile.locale);
                 setIsAuthLoading(false);
             },
             (error) => {
@@ -168,26 +331,25 @@ export default function App() {
         );
 
         return () => unsubscribe();
-    }, [fbUser]);
+    }, [storage]);
 
     // 2. Fetch Projects Collection
     useEffect(() => {
-        if (isLocalMode || !fbUser || !currentUser || !db) return;
-
-        const projectsRef = collection(db, 'artifacts', appId, 'users', fbUser.uid, 'projects');
-        const unsubscribe = onSnapshot(projectsRef,
-            (snapshot) => {
-                const fetchedProjects = [];
-                snapshot.forEach((doc) => {
-                    fetchedProjects.push({ id: doc.id, ...doc.data() });
-                });
-                // Sort descending by creation time in memory
-                fetchedProjects.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-                setProjects(fetchedProjects);
+        if (!storage || !currentUser) return;
+        let isFirstSnapshot = true;
 
-                if (!selectedFormProject && fetchedProjects.length > 0) {
-                    setSelectedFormProject(fetchedProjects[0]);
-                }
+        const unsubscribe = storage.subscribeProjects(
+            (fetchedProjects) => {
+                storedProjectsRef.current = fetchedProjects;
+                setStoredProjects(fetchedProjects);
+                // The new task form defaults to a live project the user can add to, even after losing edit rights
+                setSelectedFormProject((prev) => {
+                    const canAddTo = (p) => p && !p.deletedAt && canEditProject(p);
+                    if (canAddTo(prev && fetchedProjects.find(p => p.id === prev.id))) return prev;
+                    return fetchedProjects.find(p => canAddTo(p) && !isArchived(p)) ?? null;
+                });
+                if (isFirstSnapshot) purgeExpiredTrash(fetchedProjects);
+                isFirstSnapshot = false;
             },
             (error) => {
                 console.error("Error fetching projects:", error);
@@ -195,52 +357,165 @@ export default function App() {
         );
 
         return () => unsubscribe();
-    }, [fbUser, currentUser]);
+    }, [storage, currentUser]);
+
+    // === APP SHELL EFFECTS ===
+    useEffect(() => subscribeUpdate(setIsUpdateReady), []);
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+    }, [locale]);
+
+    // Native controls and scrollbars follow the resolved theme, so does the browser toolbar
+    useEffect(() => {
+        document.documentElement.style.colorScheme = isDarkMode ? 'dark' : 'light';
+        document.querySelector('meta[name="theme-color"]')?.setAttribute('content', isDarkMode ? '#0a0a0a' : '#f0f2f5');
+    }, [isDarkMode]);
+
+    // Drop ?action= so a reload doesn't reopen the modal
+    useEffect(() => {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('action')) return;
+        params.delete('action');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+    }, []);
+
+    // === REMINDER EFFECTS ===
+    const reminderScheduler = useMemo(() => createReminderScheduler(), []);
+
+    useEffect(() => {
+        reminderScheduler.schedule(projects, i18n);
+        return () => reminderScheduler.clear();
+    }, [reminderScheduler, projects, i18n]);
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const smartViewCounts = useMemo(() => getSmartViewCounts(activeProjects, now), [activeProjects, now]);
+
+    // === SEARCH EFFECTS ===
+    const searchResults = useMemo(
+        () => searchProjects(projects, searchQuery, { status: searchStatus }),
+        [projects, searchQuery, searchStatus]
+    );
+
+    // Wait for the detail view to slide in, then bring the task into view and drop the highlight later
+    useEffect(() => {
+        if (!isDetailOpen || !focusTaskId) return;
+        const scrollTimer = setTimeout(() => {
+            document.getElementById(`task-${focusTaskId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, 350);
+        const clearTimer = setTimeout(() => setFocusTaskId(null), 2500);
+        return () => {
+            clearTimeout(scrollTimer);
+            clearTimeout(clearTimer);
+        };
+    }, [isDetailOpen, focusTaskId]);
+
+    // === TRASH EFFECTS ===
+    // Purge anything that has been in the trash longer than the retention period.
+    // Runs on the first snapshot and then hourly; running it on every snapshot would
+    // write again each time the purge's own writes came back.
+    const purgeExpiredTrash = (projectList) => {
+        const currentTime = Date.now();
+
+        projectList.forEach((project) => {
+            // In shared projects only the owner purges, so members don't race or get rejected
+            if (!canManageTrash(project)) return;
+            if (project.deletedAt && isExpired(project.deletedAt, currentTime)) {
+                storage.deleteProject(project.id).catch(console.error);
+                return;
+            }
+            const expiredTaskIds = (project.deletedTasks || [])
+                .filter(task => isExpired(task.deletedAt, currentTime))
+                .map(task => task.id);
+            if (expiredTaskIds.length > 0) {
+                storage.updateProject(project.id, purgeTasks(project, expiredTaskIds)).catch(console.error);
+            }
+        });
+    };
+
+    useEffect(() => {
+        if (!storage) return;
+        const interval = setInterval(() => purgeExpiredTrash(storedProjectsRef.current), 60 * 60 * 1000);
+        return () => clearInterval(interval);
+    }, [storage]);
+
+    useEffect(() => {
+        if (!toast) return;
+        const timer = setTimeout(() => setToast(null), 5000);
+        return () => clearTimeout(timer);
+    }, [toast]);
+
+    // === KEYBOARD EFFECTS ===
+    useEffect(() => {
+        const listener = (e) => keyHandlerRef.current?.(e);
+        window.addEventListener('keydown', listener);
+        return () => window.removeEventListener('keydown', listener);
+    }, []);
+
+    useEffect(() => {
+        if (cursorTaskId) document.getElementById(`task-${cursorTaskId}`)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [cursorTaskId]);
 
     // === HELPER ===
     const t = (darkClass, lightClass) => (isDarkMode ? darkClass : lightClass);
 
-    const updateTheme = async (isDark) => {
-        setIsDarkMode(isDark);
-        if (isLocalMode) {
-            const profile = loadLocal(LS_KEYS.profile);
-            if (profile) saveLocal(LS_KEYS.profile, { ...profile, theme: isDark });
-            return;
+    const updateTheme = async (mode) => {
+        setThemeMode(mode);
+        if (storage && currentUser) {
+            await storage.updateProfile({ theme: fromThemeMode(mode) }).catch(console.error);
         }
-        if (fbUser && currentUser && db) {
-            const profileRef = doc(db, 'artifacts', appId, 'users', fbUser.uid, 'profile', 'data');
-            await updateDoc(profileRef, { theme: isDark }).catch(console.error);
+    };
+
+    // Preset and accent color (saved on the profile), applied as CSS variables on the app root
+    const themePreset = getThemePreset(currentUser?.themePreset).id;
+    const accentColor = isHexColor(currentUser?.accentColor) ? currentUser.accentColor : null;
+    // The accent picker previews live and saves once the drag settles
+    const accentDraft = useColorDraft((key, color) => updateAppearance({ accentColor: color }));
+    const themeVariables = getThemeVariables({ preset: themePreset, accentColor: accentDraft.colorFor('accent', accentColor) });
+
+    const updateAppearance = async (fields) => {
+        if (!storage || !currentUser) return;
+        await storage.updateProfile(fields).catch(console.error);
+    };
+
+    const updateLocale = async (nextLocale) => {
+        setLocale(nextLocale);
+        if (storage && currentUser) {
+            await storage.updateProfile({ locale: nextLocale }).catch(console.error);
         }
     };
 
+    // Message for an error carrying a known `code` (storage, backup), else a generic one
+    const describeError = (error) => {
+        const key = ERROR_KEYS[error?.code] || error?.code;
+        return key && i18n.has(key) ? tr(key, error.params) : tr('errors.generic');
+    };
+
+    // Whether subtasks count towards project progress (saved on the profile)
+    const weightSubtasks = !!currentUser?.weightSubtasks;
+
+    const updateWeightSubtasks = async (enabled) => {
+        if (!storage || !currentUser) return;
+        await storage.updateProfile({ weightSubtasks: enabled }).catch(console.error);
+    };
+
     // === PROFILE ACTIONS ===
     const handleLogin = async (e) => {
         e.preventDefault();
-        if (!loginName.trim()) return;
-
-        if (isLocalMode) {
-            const profile = {
-                name: loginName.trim(),
-                avatarUrl: 'https://images.unsplash.com/photo-1535713875002-d1d0cf377fde?ixlib=rb-4.0.3&auto=format&fit=crop&w=150&q=80',
-                theme: true,
-                createdAt: Date.now()
-            };
-            saveLocal(LS_KEYS.profile, profile);
-            setCurrentUser(profile);
-            setIsDarkMode(true);
-            setLoginName('');
-            return;
-        }
-
-        if (!fbUser || !db) return;
+        if (!loginName.trim() || !storage) return;
 
         setIsAuthLoading(true);
         try {
-            const profileRef = doc(db, 'artifacts', appId, 'users', fbUser.uid, 'profile', 'data');
-            await setDoc(profileRef, {
+            await storage.createProfile({
                 name: loginName.trim(),
                 avatarUrl: 'https://images.unsplash.com/photo-1535713875002-d1d0cf377fde?ixlib=rb-4.0.3&auto=format&fit=crop&w=150&q=80',
                 theme: true, // Default dark mode
+                locale,
                 createdAt: Date.now()
             });
             setLoginName('');
@@ -251,17 +526,9 @@ export default function App() {
     };
 
     const handleLogout = async () => {
-        if (window.confirm("Are you sure you want to reset your profile?")) {
-            if (isLocalMode) {
-                localStorage.removeItem(LS_KEYS.profile);
-                localStorage.removeItem(LS_KEYS.projects);
-                setCurrentUser(null);
-                setProjects([]);
-                return;
-            }
-            if (!fbUser || !db) return;
-            const profileRef = doc(db, 'artifacts', appId, 'users', fbUser.uid, 'profile', 'data');
-            await deleteDoc(profileRef);
+        if (window.confirm(tr('confirm.resetProfile'))) {
+            if (!storage) return;
+            await storage.reset().catch(console.error);
         }
     };
 
@@ -270,82 +537,360 @@ export default function App() {
         if (!file) return;
         const reader = new FileReader();
         reader.onloadend = async () => {
-            if (isLocalMode) {
-                const profile = { ...currentUser, avatarUrl: reader.result };
-                saveLocal(LS_KEYS.profile, profile);
-                setCurrentUser(profile);
-                return;
-            }
-            if (fbUser && db) {
-                const profileRef = doc(db, 'artifacts', appId, 'users', fbUser.uid, 'profile', 'data');
-                await updateDoc(profileRef, { avatarUrl: reader.result }).catch(console.error);
-            }
+            if (!storage) return;
+            await storage.updateProfile({ avatarUrl: reader.result }).catch(console.error);
         };
         reader.readAsDataURL(file);
     };
 
+    // === ACCOUNT ACTIONS ===
+    // Runs an auth call with shared busy/error handling for the account sheet
+    const runAccountAction = async (action) => {
+        setIsAccountBusy(true);
+        setAccountError('');
+        try {
+            const user = await action();
+            if (user) setAccountInfo(describeUser(user));
+            setAccountPassword('');
+        } catch (error) {
+            console.error("Account error:", error);
+            setAccountError(describeAuthError(error, tr));
+        } finally {
+            setIsAccountBusy(false);
+        }
+    };
+
+    const handleLinkEmail = (e) => {
+        e.preventDefault();
+        if (!accountEmail.trim() || !accountPassword) return;
+        runAccountAction(() => linkEmailPassword(accountEmail.trim(), accountPassword));
+    };
+
+    const handleSignInEmail = () => {
+        if (!accountEmail.trim() || !accountPassword) return;
+        runAccountAction(() => signInEmailPassword(accountEmail.trim(), accountPassword));
+    };
+
+    const handleLinkGoogle = () => runAccountAction(async () => {
+        try {
+            return await linkGoogle();
+        } catch (error) {
+            // The Google account is already registered: switch to it instead
+            if (error?.code !== 'auth/credential-already-in-use') throw error;
+            return signInWithLinkError(error);
+        }
+    });
+
+    const handleSignOut = () => runAccountAction(async () => {
+        await signOutToGuest();
+        setIsAccountOpen(false);
+    });
+
+    const handleUploadLocalData = async () => {
+        if (!pendingLocalData || !storage || !fbUser) return;
+        const data = pendingLocalData;
+        setPendingLocalData(null);
+        try {
+            const uploaded = await migrateLocalData(storage, data, { existingProjects: projects, hasProfile: !!currentUser });
+            markLocalDataMigrated(fbUser.uid, uploaded);
+            showUndoToast(tr('toast.uploaded', { count: uploaded }));
+        } catch (error) {
+            console.error("Error uploading local data:", error);
+            setPendingLocalData(data);
+        }
+    };
+
+    const dismissLocalData = () => {
+        markLocalDataMigrated(fbUser?.uid || null, 0);
+        setPendingLocalData(null);
+    };
+
+    // === SHARING ACTIONS ===
+    // Viewers of a shared project can read it but not change it
+    const canEditProject = (project) => project?.role !== 'viewer';
+    // Only the owner restores or purges a shared project's trash; the rules let editors delete
+    // task documents but only the owner delete the project itself
+    const canManageTrash = (project) => !project.shared || project.role === 'owner';
+    const canShare = !isLocalMode && !!storage?.shareProject;
+
+    const openShareSheet = (projectId) => {
+        setSharingProjectId(projectId);
+        setInviteCode('');
+        setShareError('');
+    };
+
+    const runShareAction = async (action) => {
+        setIsShareBusy(true);
+        setShareError('');
+        try {
+            await action();
+        } catch (error) {
+            console.error("Sharing error:", error);
+            setShareError(describeError(error));
+        } finally {
+            setIsShareBusy(false);
+        }
+    };
+
+    // The owner's order, pin and folder move to their own layout along with the project
+    const handleShareProject = () => runShareAction(async () => {
+        const project = projects.find(p => p.id === sharingProjectId);
+        const layout = Object.fromEntries(SHARED_LAYOUT_FIELDS
+            .filter(field => project?.[field] !== undefined)
+            .map(field => [field, project[field]]));
+        if (Object.keys(layout).length > 0) await saveSharedLayout({ [sharingProjectId]: layout });
+        await storage.shareProject(sharingProjectId, { name: currentUser?.name || 'Someone' });
+    });
+
+    const handleCreateInvite = () => runShareAction(async () => {
+        setInviteCode(await storage.createInvite(sharingProjectId, inviteRole));
+    });
+
+    const handleSetMemberRole = (memberUid, role) => runShareAction(() => storage.setMemberRole(sharingProjectId, memberUid, role));
+
+    const handleRemoveMember = (memberUid) => runShareAction(() => storage.removeMember(sharingProjectId, memberUid));
+
+    const handleLeaveProject = () => runShareAction(async () => {
+        await storage.removeMember(sharingProjectId, fbUser.uid);
+        setSharingProjectId(null);
+        closeProject();
+    });
+
+    const closeJoinSheet = () => {
+        setIsJoinOpen(false);
+        setShareError('');
+        // Drop ?join= so a reload doesn't reopen the sheet
+        if (window.location.search) window.history.replaceState(null, '', window.location.pathname);
+    };
+
+    const handleJoinProject = (e) => {
+        e.preventDefault();
+        if (!joinCode.trim() || !storage?.joinProject) return;
+        runShareAction(async () => {
+            await storage.joinProject(joinCode, { name: currentUser?.name || 'Someone' });
+            setJoinCode('');
+            closeJoinSheet();
+            showUndoToast(tr('toast.joined'));
+        });
+    };
+
+    const getInviteLink = (code) => `${window.location.origin}${window.location.pathname}?join=${code}`;
+
+    const copyToClipboard = (text) => {
+        navigator.clipboard?.writeText(text).then(
+            () => showUndoToast(tr('toast.copied')),
+            (error) => console.error("Copy failed:", error)
+        );
+    };
+
+    // "You" for the current user, otherwise the name the member joined with
+    const getMemberName = (project, memberUid) => {
+        if (!memberUid) return null;
+        if (memberUid === fbUser?.uid) return tr('share.you');
+        return project.memberNames?.[memberUid] || tr('share.formerMember');
+    };
+
     const triggerAvatarUpload = () => {
         fileInputRef.current?.click();
     };
 
     // === NAVIGATION ===
-    const openProject = (id) => {
+    const openProject = (id, taskId = null) => {
         setActiveProjectId(id);
+        setActiveSmartView(null);
+        setFocusTaskId(taskId);
+        setTaskFilter({ tag: null, priority: null });
+        setSelectedTaskIds(null);
+        setCursorTaskId(null);
+        setIsDetailOpen(true);
+    };
+
+    const openSmartView = (id) => {
+        setActiveSmartView(id);
+        setActiveProjectId(null);
         setIsDetailOpen(true);
     };
 
     const closeProject = () => {
         setIsDetailOpen(false);
-        setTimeout(() => setActiveProjectId(null), 500);
+        setSelectedTaskIds(null);
+        setTimeout(() => {
+            setActiveProjectId(null);
+            setActiveSmartView(null);
+        }, 500);
+    };
+
+    // New tasks default to the open project when it can be edited
+    const openNewTask = () => {
+        const project = projects.find(p => p.id === activeProjectId);
+        if (isDetailOpen && project && canEditProject(project)) setSelectedFormProject(project);
+        setIsAddingTask(true);
+    };
+
+    const focusSearch = () => {
+        if (isDetailOpen) closeProject();
+        searchInputRef.current?.focus();
+    };
+
+    // === KEYBOARD SHORTCUTS (see lib/shortcuts.js) ===
+    const isAnySheetOpen = () => (
+        isPaletteOpen || isShortcutHelpOpen || isAddingTask || isAddingProject || !!editingTask || isTrashOpen || isBackupOpen
+        || isAccountOpen || isStatsOpen || !!sharingProjectId || isJoinOpen || !!optionsProjectId || isMovingSelection
+    );
+
+    // Esc closes the topmost layer: palette, sheets, the task selection, then the open project
+    const closeTopLayer = () => {
+        if (isPaletteOpen) setIsPaletteOpen(false);
+        else if (isShortcutHelpOpen) setIsShortcutHelpOpen(false);
+        else if (isMovingSelection) setIsMovingSelection(false);
+        else if (optionsProjectId) setOptionsProjectId(null);
+        else if (isJoinOpen) closeJoinSheet();
+        else if (sharingProjectId) setSharingProjectId(null);
+        else if (isStatsOpen) setIsStatsOpen(false);
+        else if (isAccountOpen) setIsAccountOpen(false);
+        else if (isBackupOpen) closeBackup();
+        else if (isTrashOpen) setIsTrashOpen(false);
+        else if (editingTask) closeTaskDetail();
+        else if (isAddingProject) setIsAddingProject(false);
+        else if (isAddingTask) setIsAddingTask(false);
+        else if (selectedTaskIds !== null) exitSelection();
+        else if (isDetailOpen) closeProject();
+        else return false;
+        return true;
+    };
+
+    const openPalette = () => {
+        setPaletteQuery('');
+        setPaletteIndex(0);
+        setIsPaletteOpen(true);
+    };
+
+    // J / K move through the open project's tasks in the order they are listed
+    const moveTaskCursor = (delta) => {
+        const project = projects.find(p => p.id === activeProjectId);
+        if (!project) return;
+        const { activeTasks, completedTasks } = getTaskLists(project);
+        const ids = [...activeTasks, ...completedTasks].map(task => task.id);
+        if (ids.length === 0) return;
+        const index = ids.indexOf(cursorTaskId);
+        const next = index === -1 ? (delta > 0 ? 0 : ids.length - 1) : Math.min(ids.length - 1, Math.max(0, index + delta));
+        setCursorTaskId(ids[next]);
+    };
+
+    const runTaskShortcut = (key) => {
+        const project = projects.find(p => p.id === activeProjectId);
+        const task = project?.tasks?.find(t => t.id === cursorTaskId);
+        if (!task) return false;
+
+        if (key === 'x') toggleTask(project.id, task.id);
+        else if (key === 'enter') openTaskDetail(project.id, task);
+        else if (key === 'backspace' || key === 'delete') {
+            // Keep the cursor on the neighbouring task
+            const { activeTasks, completedTasks } = getTaskLists(project);
+            const ids = [...activeTasks, ...completedTasks].map(t => t.id);
+            const index = ids.indexOf(task.id);
+            setCursorTaskId(ids[index + 1] ?? ids[index - 1] ?? null);
+            deleteTask(project.id, task.id);
+        } else return false;
+        return true;
+    };
+
+    const handleGlobalKeyDown = (e) => {
+        // Autofill and some IMEs fire keydown without a key
+        if (!currentUser || typeof e.key !== 'string') return;
+        const key = e.key.toLowerCase();
+
+        if ((e.metaKey || e.ctrlKey) && key === 'k') {
+            e.preventDefault();
+            if (isPaletteOpen) setIsPaletteOpen(false);
+            else openPalette();
+            return;
+        }
+        if (key === 'escape') {
+            if (closeTopLayer()) e.preventDefault();
+            else if (isTextInput(e.target)) e.target.blur();
+            return;
+        }
+        if (e.metaKey || e.ctrlKey || e.altKey || isTextInput(e.target) || isAnySheetOpen()) return;
+
+        const inProject = isDetailOpen && !!activeProjectId;
+        let handled = true;
+        if (key === 'n') openNewTask();
+        else if (key === 'p') setIsAddingProject(true);
+        else if (key === '/') focusSearch();
+        else if (key === 't') updateTheme(isDarkMode ? 'light' : 'dark');
+        else if (key === '?') setIsShortcutHelpOpen(true);
+        else if (inProject && (key === 'j' || key === 'k')) moveTaskCursor(key === 'j' ? 1 : -1);
+        else if (inProject && !e.repeat && !(key === 'enter' && e.target.tagName === 'BUTTON')) handled = runTaskShortcut(key);
+        else handled = false;
+
+        if (handled) e.preventDefault();
+    };
+    keyHandlerRef.current = handleGlobalKeyDown;
+
+    // Everything the palette offers; actions first, then smart views and projects
+    const getCommands = () => [
+        { id: 'new-task', label: tr('command.newTask'), shortcut: 'N', run: openNewTask },
+        { id: 'new-project', label: tr('command.newProject'), shortcut: 'P', run: () => setIsAddingProject(true) },
+        { id: 'search', label: tr('command.search'), shortcut: '/', run: focusSearch },
+        { id: 'theme', label: tr(isDarkMode ? 'theme.toLight' : 'theme.toDark'), shortcut: 'T', run: () => updateTheme(isDarkMode ? 'light' : 'dark') },
+        ...LOCALES.filter(l => l.id !== locale).map(l => ({ id: `locale-${l.id}`, label: tr('command.language', { language: l.label }), run: () => updateLocale(l.id) })),
+        ...(isDetailOpen ? [{ id: 'close', label: tr('nav.backToProjects'), shortcut: 'Esc', run: closeProject }] : []),
+        { id: 'stats', label: tr('command.stats'), run: () => setIsStatsOpen(true) },
+        { id: 'account', label: tr('command.account'), run: () => setIsAccountOpen(true) },
+        { id: 'backup', label: tr('command.backup'), run: () => setIsBackupOpen(true) },
+        { id: 'trash', label: tr('command.trash'), run: () => setIsTrashOpen(true) },
+        ...(canShare ? [{ id: 'join', label: tr('command.join'), run: () => setIsJoinOpen(true) }] : []),
+        { id: 'shortcuts', label: tr('command.shortcuts'), shortcut: '?', run: () => setIsShortcutHelpOpen(true) },
+        ...SMART_VIEWS.map(view => ({ id: `view-${view.id}`, label: tr(`smartViews.${view.id}`), group: tr('command.groupSmartView'), run: () => openSmartView(view.id) })),
+        ...projects.map(p => ({ id: `project-${p.id}`, label: p.title, group: tr(isArchived(p) ? 'command.groupArchived' : 'command.groupProject'), run: () => openProject(p.id) })),
+    ];
+
+    const runCommand = (command) => {
+        setIsPaletteOpen(false);
+        command.run();
     };
 
-    // === DATA ACTIONS (FIRESTORE) ===
+    // === DATA ACTIONS ===
     const handleAddProject = async () => {
         if (!newProjectTitle.trim()) return;
 
         const newProjectId = crypto.randomUUID();
+        const topOrder = getTopOrder(projects);
         const newProject = {
             id: newProjectId,
             title: newProjectTitle.trim(),
             tasks: [],
-            blobColor: newProjectColor,
-            buttonIcon: 'plus',
-            createdAt: Date.now()
+            color: newProjectColor,
+            buttonIcon: newProjectIcon,
+            createdAt: Date.now(),
+            // Once projects have been reordered, new ones still land on top
+            ...(topOrder !== undefined && { order: topOrder })
         };
 
         setNewProjectTitle('');
-        setNewProjectColor(blobColors[0]);
-        setIsAddingProject(false);
+        setNewProjectColor(PROJECT_COLORS[0]);
+        setNewProjectIcon('plus');
 
-        if (isLocalMode) {
-            const updated = [newProject, ...projects];
-            setProjects(updated);
-            saveLocal(LS_KEYS.projects, updated);
-            if (!selectedFormProject) setSelectedFormProject(newProject);
-            return;
-        }
+        setIsAddingProject(false);
 
-        if (!fbUser || !db) return;
+        if (!storage) return;
         try {
-            await setDoc(doc(db, 'artifacts', appId, 'users', fbUser.uid, 'projects', newProjectId), newProject);
+            await storage.addProject(newProject);
         } catch (error) {
             console.error("Error adding project:", error);
         }
     };
 
+    // Soft delete: the project moves to the trash and can be restored for 30 days
     const deleteProject = async (id) => {
         closeProject();
 
         setTimeout(async () => {
-            if (isLocalMode) {
-                const updated = projects.filter(p => p.id !== id);
-                setProjects(updated);
-                saveLocal(LS_KEYS.projects, updated);
-                return;
-            }
-            if (!fbUser || !db) return;
+            if (!storage) return;
             try {
-                await deleteDoc(doc(db, 'artifacts', appId, 'users', fbUser.uid, 'projects', id));
+                await storage.updateProject(id, { deletedAt: Date.now() });
+                showUndoToast(tr('toast.projectDeleted'), () => restoreProject(id));
             } catch (error) {
                 console.error("Error deleting project:", error);
             }
@@ -355,132 +900,546 @@ export default function App() {
     const handleAddTask = async () => {
         if (!newTaskText.trim() || !selectedFormProject) return;
 
+        // Recurring tasks always need a due date to roll forward from
+        const dueDate = newTaskDueDate || (newTaskRecurrence ? toDateInputValue(new Date()) : '');
+
         const newTask = {
             id: crypto.randomUUID(),
             text: newTaskText.trim(),
             description: newTaskDesc.trim(),
             completed: false,
+            dueDate: dueDate || null,
+            dueTime: dueDate && newTaskDueTime ? newTaskDueTime : null,
+            recurrence: newTaskRecurrence,
+            priority: newTaskPriority,
+            tags: parseTags(newTaskTags),
+            createdBy: fbUser?.uid || null,
             createdAt: Date.now()
         };
 
         const targetProject = projects.find(p => p.id === selectedFormProject.id);
-        if (!targetProject) return;
+        if (!targetProject || !canEditProject(targetProject)) return;
 
         const updatedTasks = [newTask, ...(targetProject.tasks || [])];
 
         setNewTaskText('');
         setNewTaskDesc('');
+        setNewTaskDueDate('');
+        setNewTaskDueTime('');
+        setNewTaskRecurrence(null);
+        setNewTaskPriority('none');
+        setNewTaskTags('');
+        setQuickAddText('');
         setIsAddingTask(false);
 
-        if (isLocalMode) {
-            const updated = projects.map(p =>
-                p.id === targetProject.id ? { ...p, tasks: updatedTasks } : p
-            );
-            setProjects(updated);
-            saveLocal(LS_KEYS.projects, updated);
-            return;
-        }
+        // Reminders need permission, ask while we still have the user gesture
+        if (newTask.dueTime) requestNotificationPermission();
 
-        if (!fbUser || !db) return;
+        if (!storage) return;
         try {
-            await updateDoc(doc(db, 'artifacts', appId, 'users', fbUser.uid, 'projects', targetProject.id), {
-                tasks: updatedTasks
-            });
+            await storage.updateProject(targetProject.id, { tasks: updatedTasks });
         } catch (error) {
             console.error("Error adding task:", error);
         }
     };
 
+    // Every keystroke re-parses the whole line, so the form always mirrors it; fields can still be adjusted afterwards
+    const handleQuickAddChange = (value) => {
+        const parsed = parseQuickAdd(value, activeProjects.filter(canEditProject));
+        setQuickAddText(value);
+        setNewTaskText(parsed.text);
+        setNewTaskDueDate(parsed.dueDate || '');
+        setNewTaskDueTime(parsed.dueTime || '');
+        setNewTaskRecurrence(parsed.recurrence);
+        setNewTaskPriority(parsed.priority || 'none');
+        setNewTaskTags(parsed.tags.join(', '));
+        if (parsed.projectId) setSelectedFormProject(projects.find(p => p.id === parsed.projectId));
+    };
+
     const toggleTask = async (projectId, taskId) => {
         const targetProject = projects.find(p => p.id === projectId);
-        if (!targetProject) return;
+        if (!targetProject || !storage || !canEditProject(targetProject)) return;
 
-        const updatedTasks = targetProject.tasks.map(t =>
-            t.id === taskId ? { ...t, completed: !t.completed } : t
-        );
+        const updatedTasks = toggleTaskInList(targetProject.tasks, taskId, Date.now(), fbUser?.uid || null);
 
-        if (isLocalMode) {
-            const updated = projects.map(p =>
-                p.id === projectId ? { ...p, tasks: updatedTasks } : p
-            );
-            setProjects(updated);
-            saveLocal(LS_KEYS.projects, updated);
-            return;
+        try {
+            await storage.updateProject(projectId, { tasks: updatedTasks });
+        } catch (error) {
+            console.error("Error toggling task:", error);
         }
+    };
+
+    const deleteTask = (projectId, taskId) => deleteTasks(projectId, [taskId]);
+
+    // Soft delete: the tasks move to the project's trash and can be restored for 30 days
+    const deleteTasks = async (projectId, taskIds) => {
+        const targetProject = projects.find(p => p.id === projectId);
+        if (!targetProject || !storage || taskIds.length === 0 || !canEditProject(targetProject)) return;
 
-        if (!fbUser || !db) return;
         try {
-            await updateDoc(doc(db, 'artifacts', appId, 'users', fbUser.uid, 'projects', projectId), {
-                tasks: updatedTasks
-            });
+            await storage.updateProject(projectId, trashTasks(targetProject, taskIds));
+            showUndoToast(
+                tr('toast.tasksDeleted', { count: taskIds.length }),
+                () => restoreDeletedTasks(projectId, taskIds)
+            );
         } catch (error) {
-            console.error("Error toggling task:", error);
+            console.error("Error deleting task:", error);
         }
     };
 
-    const deleteTask = async (projectId, taskId) => {
+    const updateTask = async (projectId, taskId, fields) => {
         const targetProject = projects.find(p => p.id === projectId);
-        if (!targetProject) return;
+        if (!targetProject || !storage || !canEditProject(targetProject)) return;
 
-        const updatedTasks = targetProject.tasks.filter(t => t.id !== taskId);
+        const updatedTasks = targetProject.tasks.map(t =>
+            t.id === taskId ? { ...t, ...fields } : t
+        );
 
-        if (isLocalMode) {
-            const updated = projects.map(p =>
-                p.id === projectId ? { ...p, tasks: updatedTasks } : p
-            );
-            setProjects(updated);
-            saveLocal(LS_KEYS.projects, updated);
-            return;
+        try {
+            await storage.updateProject(projectId, { tasks: updatedTasks });
+        } catch (error) {
+            console.error("Error updating task:", error);
         }
+    };
+
+    // === BULK TASK ACTIONS ===
+    // Each one is a single storage update, so Firestore commits it as one batch (see taskDocs.js);
+    // moves write both projects' tasks through one updateProjects op
+    const toggleTaskSelected = (taskId) => {
+        setSelectedTaskIds((prev) => (prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]));
+    };
+
+    const exitSelection = () => {
+        setSelectedTaskIds(null);
+        setIsMovingSelection(false);
+    };
+
+    // Reads storedProjectsRef so the undo from the toast sees the latest tasks
+    const setTasksDone = async (projectId, taskIds, completed, { undoable = true } = {}) => {
+        const targetProject = storedProjectsRef.current.find(p => p.id === projectId);
+        if (!targetProject || !storage || !canEditProject(targetProject)) return;
+
+        const changedIds = taskIds.filter(id => targetProject.tasks.find(t => t.id === id)?.completed === !completed);
+        if (changedIds.length === 0) return;
 
-        if (!fbUser || !db) return;
         try {
-            await updateDoc(doc(db, 'artifacts', appId, 'users', fbUser.uid, 'projects', projectId), {
-                tasks: updatedTasks
+            await storage.updateProject(projectId, {
+                tasks: setTasksCompleted(targetProject.tasks, changedIds, completed, Date.now(), fbUser?.uid || null)
             });
+            if (undoable) {
+                showUndoToast(
+                    tr(completed ? 'toast.tasksCompleted' : 'toast.tasksReopened', { count: changedIds.length }),
+                    () => setTasksDone(projectId, changedIds, !completed, { undoable: false })
+                );
+            }
         } catch (error) {
-            console.error("Error deleting task:", error);
+            console.error("Error updating tasks:", error);
         }
     };
 
-    // === COMPONENTS ===
-    const AnimatedBackground = () => (
-        <div className="absolute inset-0 overflow-hidden pointer-events-none z-0 rounded-[inherit]">
-            <div className={`absolute top-[-10%] left-[-10%] w-[50%] h-[50%] bg-purple-500/40 rounded-full filter blur-[80px] animate-blob ${t('mix-blend-screen opacity-70', 'mix-blend-multiply opacity-50')}`}></div>
-            <div className={`absolute top-[20%] right-[-10%] w-[60%] h-[60%] bg-cyan-400/40 rounded-full filter blur-[80px] animate-blob animation-delay-2000 ${t('mix-blend-screen opacity-70', 'mix-blend-multiply opacity-50')}`}></div>
-            <div className={`absolute bottom-[-20%] left-[20%] w-[50%] h-[50%] bg-pink-500/40 rounded-full filter blur-[80px] animate-blob animation-delay-4000 ${t('mix-blend-screen opacity-70', 'mix-blend-multiply opacity-50')}`}></div>
-        </div>
-    );
+    const moveTasks = async (fromId, toId, taskIds, { undoable = true } = {}) => {
+        const fromProject = storedProjectsRef.current.find(p => p.id === fromId);
+        const toProject = storedProjectsRef.current.find(p => p.id === toId);
+        if (!fromProject || !toProject || !storage || !canEditProject(fromProject) || !canEditProject(toProject)) return;
 
-    // 0. LOADING & LOGIN VIEW
-    const renderLoginView = () => {
-        if (isAuthLoading) {
-            return (
-                <div className={`flex flex-col h-full backdrop-blur-3xl z-20 items-center justify-center p-8 transition-colors duration-500 ${t('bg-black/40', 'bg-white/40')}`}>
-                    <Loader2 className={`w-12 h-12 animate-spin mb-4 ${t('text-white', 'text-slate-900')}`} />
-                    <p className={`font-medium ${t('text-white/60', 'text-slate-500')}`}>Syncing with iCloud...</p>
-                </div>
-            );
+        const movedIds = taskIds.filter(id => fromProject.tasks.some(t => t.id === id));
+        if (movedIds.length === 0) return;
+        const { from, to } = moveTasksBetween(fromProject.tasks, toProject.tasks || [], movedIds);
+
+        try {
+            await storage.updateProjects([
+                { id: fromId, fields: { tasks: from } },
+                { id: toId, fields: { tasks: to } },
+            ]);
+            if (undoable) {
+                showUndoToast(
+                    tr('toast.tasksMoved', { count: movedIds.length, project: toProject.title }),
+                    () => moveTasks(toId, fromId, movedIds, { undoable: false })
+                );
+            }
+        } catch (error) {
+            console.error("Error moving tasks:", error);
         }
+    };
 
-        return (
-            <div className={`flex flex-col h-full backdrop-blur-3xl z-20 items-center justify-center p-8 transition-colors duration-500 ${t('bg-black/40', 'bg-white/40')}`}>
-                <div className={`w-32 h-32 rounded-full mb-8 flex items-center justify-center filter blur-[20px] absolute top-20 ${t('bg-cyan-500/30', 'bg-cyan-400/30')}`}></div>
-                <div className={`w-40 h-40 rounded-full mb-8 flex items-center justify-center filter blur-[40px] absolute bottom-20 right-10 ${t('bg-pink-500/20', 'bg-pink-400/20')}`}></div>
+    const handleBulkComplete = (projectId, completed) => {
+        setTasksDone(projectId, selectedTaskIds, completed);
+        exitSelection();
+    };
 
-                <div className={`w-full max-w-sm rounded-[2.5rem] p-8 border backdrop-blur-2xl relative z-10 shadow-2xl ${t('bg-black/40 border-white/10 shadow-black/50', 'bg-white/60 border-white/80 shadow-slate-200/50')
-                    }`}>
-                    <h1 className={`text-4xl font-bold tracking-tight mb-2 text-center ${t('text-white', 'text-slate-900')}`}>Miroo</h1>
-                    <p className={`text-sm text-center mb-8 font-medium ${t('text-white/60', 'text-slate-500')}`}>Clear your list. Clear your mind.</p>
+    const handleBulkDelete = (projectId) => {
+        deleteTasks(projectId, selectedTaskIds);
+        exitSelection();
+    };
 
-                    <form onSubmit={handleLogin} className="space-y-6">
-                        <div>
-                            <label className={`block text-xs font-bold uppercase tracking-widest mb-2 ml-2 ${t('text-white/50', 'text-slate-500')}`}>Nickname</label>
-                            <input
-                                type="text"
-                                value={loginName}
+    const handleBulkMove = (fromId, toId) => {
+        moveTasks(fromId, toId, selectedTaskIds);
+        exitSelection();
+    };
+
+    // === UNDO & TRASH ACTIONS ===
+    const showUndoToast = (message, onUndo) => {
+        setToast({ id: crypto.randomUUID(), message, onUndo });
+    };
+
+    // These read storedProjectsRef because they run from the toast, after newer snapshots arrived
+    const restoreProject = async (id) => {
+        if (!storage) return;
+        try {
+            await storage.updateProject(id, { deletedAt: null });
+        } catch (error) {
+            console.error("Error restoring project:", error);
+        }
+    };
+
+    const restoreDeletedTasks = async (projectId, taskIds) => {
+        const targetProject = storedProjectsRef.current.find(p => p.id === projectId);
+        if (!targetProject || !storage) return;
+        try {
+            await storage.updateProject(projectId, restoreTasks(targetProject, taskIds));
+        } catch (error) {
+            console.error("Error restoring tasks:", error);
+        }
+    };
+
+    const purgeTrashItem = async (item) => {
+        if (!storage || !canManageTrash(item.project)) return;
+        try {
+            if (item.kind === 'project') {
+                await storage.deleteProject(item.project.id);
+            } else {
+                await storage.updateProject(item.project.id, purgeTasks(item.project, [item.task.id]));
+            }
+        } catch (error) {
+            console.error("Error purging from trash:", error);
+        }
+    };
+
+    const restoreTrashItem = (item) => {
+        if (!canManageTrash(item.project)) return null;
+        return item.kind === 'project'
+            ? restoreProject(item.project.id)
+            : restoreDeletedTasks(item.project.id, [item.task.id]);
+    };
+
+    const emptyTrash = async () => {
+        if (!storage) return;
+        const items = getTrashItems(storedProjects).filter(item => canManageTrash(item.project));
+        if (items.length === 0 || !window.confirm(tr('confirm.emptyTrash', { count: items.length }))) return;
+
+        try {
+            await Promise.all(storedProjects.filter(canManageTrash).map((project) => {
+                if (project.deletedAt) return storage.deleteProject(project.id);
+                if (project.deletedTasks?.length) return storage.updateProject(project.id, { deletedTasks: [] });
+                return null;
+            }));
+        } catch (error) {
+            console.error("Error emptying trash:", error);
+        }
+    };
+
+    // === BACKUP ACTIONS ===
+    const handleExport = (format) => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        if (format === 'json') downloadFile(toJSON(currentUser, projects), `miroo-${stamp}.json`, 'application/json');
+        if (format === 'csv') downloadFile(toCSV(projects), `miroo-${stamp}.csv`, 'text/csv');
+        if (format === 'markdown') downloadFile(toMarkdown(projects), `miroo-${stamp}.md`, 'text/markdown');
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setImportError('');
+        setImportData(null);
+        try {
+            const parsed = parseBackup(await file.text(), file.name);
+            setImportData({ filename: file.name, ...parsed });
+        } catch (error) {
+            setImportError(describeError(error));
+        }
+    };
+
+    const closeBackup = () => {
+        setIsBackupOpen(false);
+        setImportData(null);
+        setImportError('');
+    };
+
+    const applyImport = async () => {
+        if (!importData || !storage) return;
+        const plan = planImport(projects, importData.projects, importMode);
+
+        try {
+            // Replaced projects go to the trash rather than being destroyed
+            const deletedAt = Date.now();
+            const updates = [
+                ...plan.update.map(({ id, fields }) => ({ id, fields })),
+                ...plan.remove.map((id) => ({ id, fields: { deletedAt } })),
+            ];
+            if (updates.length > 0) await storage.updateProjects(updates);
+            for (const project of plan.add) {
+                await storage.addProject(project);
+            }
+            if (importMode === 'replace' && importData.profile?.name) {
+                await storage.updateProfile({ name: importData.profile.name });
+            }
+            closeBackup();
+            showUndoToast(tr('toast.imported', { count: plan.tasksAdded }));
+        } catch (error) {
+            console.error("Error importing data:", error);
+            setImportError(tr('backup.importFailed'));
+        }
+    };
+
+    // === ORDERING ACTIONS ===
+    const reorderProjects = async (orderedIds) => {
+        if (!storage) return;
+
+        const updates = orderedIds
+            .map((id, index) => ({ id, fields: { order: index } }))
+            .filter(({ id, fields }) => projects.find(p => p.id === id)?.order !== fields.order);
+        // Shared projects are ordered in the user's own layout, never on the shared document
+        const isShared = (id) => !!projects.find(p => p.id === id)?.shared;
+        const sharedUpdates = updates.filter(({ id }) => isShared(id));
+        const personalUpdates = updates.filter(({ id }) => !isShared(id));
+
+        try {
+            if (sharedUpdates.length > 0) {
+                await saveSharedLayout(Object.fromEntries(sharedUpdates.map(({ id, fields }) => [id, fields])));
+            }
+            if (personalUpdates.length > 0) await storage.updateProjects(personalUpdates);
+        } catch (error) {
+            console.error("Error reordering projects:", error);
+        }
+    };
+
+    // Reorders the given tasks to the top, anything not listed (e.g. completed tasks) keeps its place after them
+    const reorderTasks = async (projectId, orderedIds) => {
+        const targetProject = projects.find(p => p.id === projectId);
+        if (!targetProject || !storage) return;
+
+        const tasksById = new Map(targetProject.tasks.map(t => [t.id, t]));
+        const reordered = orderedIds.map(id => tasksById.get(id)).filter(Boolean);
+        const rest = targetProject.tasks.filter(t => !orderedIds.includes(t.id));
+
+        try {
+            await storage.updateProject(projectId, { tasks: [...reordered, ...rest] });
+        } catch (error) {
+            console.error("Error reordering tasks:", error);
+        }
+    };
+
+    // Dragging works on the home list's display order; grouping puts each project back in its section
+    const homeOrder = useMemo(() => flattenGroups(groupProjects(projects)), [projects]);
+    const projectDrag = useDragReorder(homeOrder, reorderProjects);
+    const activeProjectTasks = projects.find(p => p.id === activeProjectId)?.tasks?.filter(t => !t.completed) || [];
+    const taskDrag = useDragReorder(activeProjectTasks, (ids) => reorderTasks(activeProjectId, ids));
+
+    // Focus trap + restore for the modals and sheets
+    const newTaskDialogRef = useDialog(isAddingTask);
+    const newProjectDialogRef = useDialog(isAddingProject);
+    const taskDetailDialogRef = useDialog(!!editingTask);
+    const trashDialogRef = useDialog(isTrashOpen);
+    const backupDialogRef = useDialog(isBackupOpen);
+    const accountDialogRef = useDialog(isAccountOpen);
+    const statsDialogRef = useDialog(isStatsOpen);
+    const shareDialogRef = useDialog(!!sharingProjectId);
+    const joinDialogRef = useDialog(isJoinOpen);
+    const optionsDialogRef = useDialog(!!optionsProjectId);
+    const moveDialogRef = useDialog(isMovingSelection);
+    const shortcutsDialogRef = useDialog(isShortcutHelpOpen);
+
+    // Custom project colors picked in the organize sheet, saved once the drag settles
+    const projectColorDraft = useColorDraft((projectId, color) => updateProjectPlacement(projectId, { color }));
+
+    // === HOME LIST ACTIONS (pin, folders, appearance, archive) ===
+
+    const openProjectOptions = (projectId) => {
+        setOptionsProjectId(projectId);
+        setNewFolderName('');
+    };
+
+    // Merges { [projectId]: fields } into the profile's sharedLayout, dropping entries of projects that are gone
+    const saveSharedLayout = (layoutById) => {
+        const sharedLayout = Object.fromEntries(Object.entries(currentUser?.sharedLayout || {})
+            .filter(([id]) => storedProjectsRef.current.some(p => p.id === id)));
+        Object.entries(layoutById).forEach(([id, fields]) => {
+            sharedLayout[id] = { ...sharedLayout[id], ...fields };
+        });
+        return storage.updateProfile({ sharedLayout });
+    };
+
+    const updateProjectPlacement = async (projectId, fields) => {
+        if (!storage) return;
+        const project = projects.find(p => p.id === projectId);
+        const { fields: projectFields, layout } = splitSharedLayout(project, fields);
+        try {
+            if (Object.keys(layout).length > 0) await saveSharedLayout({ [projectId]: layout });
+            // Viewers only ever change their own layout
+            if (Object.keys(projectFields).length > 0 && canEditProject(project)) await storage.updateProject(projectId, projectFields);
+        } catch (error) {
+            console.error("Error updating project:", error);
+        }
+    };
+
+    const togglePinned = (project) => updateProjectPlacement(project.id, { pinned: !project.pinned });
+
+    const moveToFolder = (projectId, folder) => updateProjectPlacement(projectId, { folder: normalizeFolderName(folder) || null });
+
+    const handleCreateFolder = (e) => {
+        e.preventDefault();
+        if (!normalizeFolderName(newFolderName)) return;
+        moveToFolder(optionsProjectId, newFolderName);
+        setNewFolderName('');
+    };
+
+    const archiveProject = (project) => {
+        setOptionsProjectId(null);
+        updateProjectPlacement(project.id, { archivedAt: Date.now() });
+        showUndoToast(tr('toast.projectArchived'), () => updateProjectPlacement(project.id, { archivedAt: null }));
+    };
+
+    const unarchiveProject = (project) => updateProjectPlacement(project.id, { archivedAt: null });
+
+    const toggleFolderCollapsed = (name) => {
+        setCollapsedFolders((prev) => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+    };
+
+    // === SUBTASK ACTIONS ===
+    const handleAddSubtask = (projectId, task) => {
+        if (!newSubtaskText.trim()) return;
+        const subtask = { id: crypto.randomUUID(), text: newSubtaskText.trim(), completed: false };
+        setNewSubtaskText('');
+        updateTask(projectId, task.id, { subtasks: [...(task.subtasks || []), subtask] });
+    };
+
+    const toggleSubtask = (projectId, task, subtaskId) => {
+        updateTask(projectId, task.id, {
+            subtasks: task.subtasks.map(s => (s.id === subtaskId ? { ...s, completed: !s.completed } : s))
+        });
+    };
+
+    const deleteSubtask = (projectId, task, subtaskId) => {
+        updateTask(projectId, task.id, { subtasks: task.subtasks.filter(s => s.id !== subtaskId) });
+    };
+
+    // === TASK DETAIL ACTIONS ===
+    // Per member in shared projects, like the home list placement
+    const updateTaskSort = (projectId, sort) => updateProjectPlacement(projectId, { taskSort: sort });
+
+    const openTaskDetail = (projectId, task) => {
+        setEditingTask({ projectId, taskId: task.id });
+        setEditTaskText(task.text);
+        setEditTaskDesc(task.description || '');
+        setEditTaskDueDate(task.dueDate || '');
+        setEditTaskDueTime(task.dueTime || '');
+        setEditTaskRecurrence(task.recurrence || null);
+        setEditTaskPriority(normalizePriority(task.priority));
+        setEditTaskTags((task.tags || []).join(', '));
+        setEditTaskProjectId(projectId);
+        setNewSubtaskText('');
+    };
+
+    const closeTaskDetail = () => setEditingTask(null);
+
+    const handleSaveTask = async () => {
+        if (!editingTask || !editTaskText.trim() || !storage) return;
+
+        const sourceProject = projects.find(p => p.id === editingTask.projectId);
+        const task = sourceProject?.tasks?.find(t => t.id === editingTask.taskId);
+        if (!task || !canEditProject(sourceProject)) return;
+
+        const dueDate = editTaskDueDate || (editTaskRecurrence ? toDateInputValue(new Date()) : '');
+
+        const updatedTask = {
+            ...task,
+            text: editTaskText.trim(),
+            description: editTaskDesc.trim(),
+            dueDate: dueDate || null,
+            dueTime: dueDate && editTaskDueTime ? editTaskDueTime : null,
+            recurrence: editTaskRecurrence,
+            priority: editTaskPriority,
+            tags: parseTags(editTaskTags),
+        };
+
+        setEditingTask(null);
+        if (updatedTask.dueTime && updatedTask.dueTime !== task.dueTime) requestNotificationPermission();
+
+        // A target that vanished or became read-only while the sheet was open keeps the task where it is
+        const targetProject = projects.find(p => p.id === editTaskProjectId);
+        const isMoving = targetProject && targetProject.id !== sourceProject.id && canEditProject(targetProject);
+
+        try {
+            if (!isMoving) {
+                await storage.updateProject(sourceProject.id, {
+                    tasks: sourceProject.tasks.map(t => (t.id === task.id ? updatedTask : t))
+                });
+                return;
+            }
+
+            // Moving: both projects change in one write, like moveTasks, so the task is never lost or doubled
+            const { from, to } = moveTasksBetween(
+                sourceProject.tasks.map(t => (t.id === task.id ? updatedTask : t)),
+                targetProject.tasks || [],
+                [task.id]
+            );
+            await storage.updateProjects([
+                { id: sourceProject.id, fields: { tasks: from } },
+                { id: targetProject.id, fields: { tasks: to } },
+            ]);
+        } catch (error) {
+            console.error("Error updating task:", error);
+        }
+    };
+
+    // === COMPONENTS ===
+    const AnimatedBackground = () => (
+        <div className="absolute inset-0 overflow-hidden pointer-events-none z-0 rounded-[inherit]">
+            <div className={`absolute top-[-10%] left-[-10%] w-[50%] h-[50%] bg-(--blob-1)/40 rounded-full filter blur-[80px] animate-blob ${t('mix-blend-screen opacity-70', 'mix-blend-multiply opacity-50')}`}></div>
+            <div className={`absolute top-[20%] right-[-10%] w-[60%] h-[60%] bg-(--blob-2)/40 rounded-full filter blur-[80px] animate-blob animation-delay-2000 ${t('mix-blend-screen opacity-70', 'mix-blend-multiply opacity-50')}`}></div>
+            <div className={`absolute bottom-[-20%] left-[20%] w-[50%] h-[50%] bg-(--blob-3)/40 rounded-full filter blur-[80px] animate-blob animation-delay-4000 ${t('mix-blend-screen opacity-70', 'mix-blend-multiply opacity-50')}`}></div>
+        </div>
+    );
+
+    // A project's buttonIcon: one of PROJECT_ICONS or an emoji
+    const renderProjectIcon = (icon, iconClass = 'w-6 h-6', emojiClass = 'text-2xl') => {
+        const Icon = PROJECT_ICON_COMPONENTS[icon];
+        if (Icon) return <Icon className={iconClass} strokeWidth={2} />;
+        if (toEmojiIcon(icon)) return <span className={`${emojiClass} leading-none`} aria-hidden="true">{icon}</span>;
+        return <Plus className={iconClass} strokeWidth={2} />;
+    };
+
+    // 0. LOADING & LOGIN VIEW
+    const renderLoginView = () => {
+        if (isAuthLoading) {
+            return (
+                <div className={`flex flex-col h-full backdrop-blur-3xl z-20 items-center justify-center p-8 transition-colors duration-500 ${t('bg-black/40', 'bg-white/40')}`}>
+                    <Loader2 className={`w-12 h-12 animate-spin mb-4 ${t('text-white', 'text-slate-900')}`} />
+                    <p className={`font-medium ${t('text-white/60', 'text-slate-500')}`}>{tr('login.syncing')}</p>
+                </div>
+            );
+        }
+
+        return (
+            <div className={`flex flex-col h-full backdrop-blur-3xl z-20 items-center justify-center p-8 transition-colors duration-500 ${t('bg-black/40', 'bg-white/40')}`}>
+                <div className={`w-32 h-32 rounded-full mb-8 flex items-center justify-center filter blur-[20px] absolute top-20 ${t('bg-cyan-500/30', 'bg-cyan-400/30')}`}></div>
+                <div className={`w-40 h-40 rounded-full mb-8 flex items-center justify-center filter blur-[40px] absolute bottom-20 right-10 ${t('bg-pink-500/20', 'bg-pink-400/20')}`}></div>
+
+                <div className={`w-full max-w-sm rounded-[2.5rem] p-8 border backdrop-blur-2xl relative z-10 shadow-2xl ${t('bg-black/40 border-white/10 shadow-black/50', 'bg-white/60 border-white/80 shadow-slate-200/50')
+                    }`}>
+                    <h1 className={`text-4xl font-bold tracking-tight mb-2 text-center ${t('text-white', 'text-slate-900')}`}>Miroo</h1>
+                    <p className={`text-sm text-center mb-8 font-medium ${t('text-white/60', 'text-slate-500')}`}>{tr('app.tagline')}</p>
+
+                    <form onSubmit={handleLogin} className="space-y-6">
+                        <div>
+                            <label className={`block text-xs font-bold uppercase tracking-widest mb-2 ml-2 ${t('text-white/50', 'text-slate-500')}`}>{tr('login.nickname')}</label>
+                            <input
+                                type="text"
+                                value={loginName}
                                 onChange={(e) => setLoginName(e.target.value)}
-                                placeholder="e.g., Michael"
+                                placeholder={tr('login.nicknamePlaceholder')}
                                 className={`w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
                                     'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
                                     }`}
@@ -497,7 +1456,7 @@ export default function App() {
                                     'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
                                 }`}
                         >
-                            Start using Miroo
+                            {tr('login.start')}
                         </button>
                     </form>
                 </div>
@@ -505,6 +1464,24 @@ export default function App() {
         );
     };
 
+    const renderSyncStatus = () => {
+        const states = {
+            synced: { Icon: Cloud, label: tr('sync.synced'), className: t('text-white/60', 'text-slate-500') },
+            pending: { Icon: RefreshCw, label: tr('sync.pending'), className: t('text-amber-300 animate-spin', 'text-amber-600 animate-spin') },
+            error: { Icon: CloudOff, label: tr('sync.error'), className: t('text-rose-400', 'text-rose-500') },
+        };
+        const { Icon, label, className } = states[syncStatus] || states.synced;
+
+        return (
+            <div
+                title={label}
+                className={`w-10 h-10 rounded-full flex items-center justify-center backdrop-blur-md ${t('bg-white/10 border border-white/20', 'bg-white/60 border border-white/80 shadow-sm')}`}
+            >
+                <Icon className={`w-4 h-4 ${className}`} strokeWidth={2} />
+            </div>
+        );
+    };
+
     // 1. MAIN VIEW (Projects List)
     const renderProjectsView = () => {
         return (
@@ -513,38 +1490,45 @@ export default function App() {
                 <div className="px-6 pt-14 pb-4 flex justify-between items-start shrink-0">
                     <div>
                         <h2 className={`text-sm font-medium mb-1 tracking-wider uppercase transition-colors flex items-center space-x-2 ${t('text-white/60', 'text-slate-500')}`}>
-                            <span>Hello, {currentUser?.name}</span>
+                            <span>{tr('home.greeting', { name: currentUser?.name })}</span>
                         </h2>
                         <h1 className={`text-4xl font-semibold tracking-tight drop-shadow-sm transition-colors ${t('text-white', 'text-slate-900')}`}>
-                            Your Projects
+                            {tr('home.title')}
                         </h1>
                     </div>
 
                     <div className="flex items-center space-x-3">
+                        {!isLocalMode && renderSyncStatus()}
                         <button
-                            onClick={() => updateTheme(!isDarkMode)}
+                            onClick={() => updateTheme(isDarkMode ? 'light' : 'dark')}
+                            aria-label={tr(isDarkMode ? 'theme.toLight' : 'theme.toDark')}
                             className={`w-10 h-10 rounded-full flex items-center justify-center backdrop-blur-md transition-all active:scale-95 ${t('bg-white/10 border border-white/20 text-white hover:bg-white/20', 'bg-white/60 border border-white/80 text-slate-700 hover:bg-white/80 shadow-sm')}`}
                         >
                             {isDarkMode ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
                         </button>
-                        <div className="relative group cursor-pointer" onClick={triggerAvatarUpload}>
-                            <div className={`absolute inset-0 rounded-full blur-md ${t('bg-white/30', 'bg-black/10')}`}></div>
+                        <button
+                            type="button"
+                            onClick={triggerAvatarUpload}
+                            aria-label={tr('home.changePhoto')}
+                            className="relative group cursor-pointer rounded-full"
+                        >
+                            <span className={`absolute inset-0 rounded-full blur-md ${t('bg-white/30', 'bg-black/10')}`}></span>
                             <img
                                 src={currentUser?.avatarUrl}
-                                alt={currentUser?.name}
-                                className={`relative w-12 h-12 rounded-full object-cover border shadow-lg transition-transform group-hover:scale-105 ${t('border-white/30', 'border-white/80')}`}
+                                alt=""
+                                className={`relative block w-12 h-12 rounded-full object-cover border shadow-lg transition-transform group-hover:scale-105 ${t('border-white/30', 'border-white/80')}`}
                             />
-                            <div className="absolute inset-0 bg-black/40 rounded-full flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity">
+                            <span className="absolute inset-0 bg-black/40 rounded-full flex items-center justify-center opacity-0 group-hover:opacity-100 group-focus-visible:opacity-100 transition-opacity">
                                 <Camera className="w-5 h-5 text-white" />
-                            </div>
-                            <input
-                                type="file"
-                                ref={fileInputRef}
-                                onChange={handleAvatarChange}
-                                accept="image/*"
-                                className="hidden"
-                            />
-                        </div>
+                            </span>
+                        </button>
+                        <input
+                            type="file"
+                            ref={fileInputRef}
+                            onChange={handleAvatarChange}
+                            accept="image/*"
+                            className="hidden"
+                        />
                     </div>
                 </div>
 
@@ -556,250 +1540,2492 @@ export default function App() {
                             }`}
                     >
                         <FolderPlus className="w-4 h-4" />
-                        <span className="text-sm font-semibold">New Project</span>
+                        <span className="text-sm font-semibold">{tr('home.newProject')}</span>
                     </button>
 
-                    <button
-                        onClick={handleLogout}
-                        title="Reset Profile"
-                        className={`flex items-center space-x-2 px-3 py-2 rounded-full border backdrop-blur-md transition-all hover:scale-105 active:scale-95 ${t('bg-white/5 border-white/10 text-rose-400 hover:bg-white/10', 'bg-white/40 border-white/40 text-rose-500 hover:bg-white/60 shadow-sm')
-                            }`}
-                    >
-                        <LogOut className="w-4 h-4" />
-                    </button>
+                    <div className="flex items-center space-x-2">
+                        <button
+                            onClick={() => setIsStatsOpen(true)}
+                            title={tr('command.stats')}
+                            aria-label={tr('command.stats')}
+                            className={`flex items-center space-x-2 px-3 py-2 rounded-full border backdrop-blur-md transition-all hover:scale-105 active:scale-95 ${t('bg-white/5 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/40 border-white/40 text-slate-600 hover:bg-white/60 shadow-sm')
+                                }`}
+                        >
+                            <BarChart3 className="w-4 h-4" />
+                        </button>
+
+                        <button
+                            onClick={() => setIsAccountOpen(true)}
+                            title={tr('command.account')}
+                            aria-label={tr('command.account')}
+                            className={`flex items-center space-x-2 px-3 py-2 rounded-full border backdrop-blur-md transition-all hover:scale-105 active:scale-95 ${t('bg-white/5 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/40 border-white/40 text-slate-600 hover:bg-white/60 shadow-sm')
+                                }`}
+                        >
+                            <UserRound className="w-4 h-4" />
+                        </button>
+
+                        <button
+                            onClick={() => setIsBackupOpen(true)}
+                            title={tr('command.backup')}
+                            aria-label={tr('command.backup')}
+                            className={`flex items-center space-x-2 px-3 py-2 rounded-full border backdrop-blur-md transition-all hover:scale-105 active:scale-95 ${t('bg-white/5 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/40 border-white/40 text-slate-600 hover:bg-white/60 shadow-sm')
+                                }`}
+                        >
+                            <Download className="w-4 h-4" />
+                        </button>
+
+                        <button
+                            onClick={() => setIsTrashOpen(true)}
+                            title={tr('command.trash')}
+                            aria-label={tr('command.trash')}
+                            className={`flex items-center space-x-2 px-3 py-2 rounded-full border backdrop-blur-md transition-all hover:scale-105 active:scale-95 ${t('bg-white/5 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/40 border-white/40 text-slate-600 hover:bg-white/60 shadow-sm')
+                                }`}
+                        >
+                            <History className="w-4 h-4" />
+                        </button>
+
+                        <button
+                            onClick={handleLogout}
+                            title={tr('home.resetProfile')}
+                            aria-label={tr('home.resetProfile')}
+                            className={`flex items-center space-x-2 px-3 py-2 rounded-full border backdrop-blur-md transition-all hover:scale-105 active:scale-95 ${t('bg-white/5 border-white/10 text-rose-400 hover:bg-white/10', 'bg-white/40 border-white/40 text-rose-500 hover:bg-white/60 shadow-sm')
+                                }`}
+                        >
+                            <LogOut className="w-4 h-4" />
+                        </button>
+                    </div>
                 </div>
 
-                {/* Projects Cards List */}
-                <div className="px-6 pb-12 space-y-6 flex-1 overflow-y-auto hide-scrollbar z-10">
-                    {projects.length === 0 ? (
-                        <div className={`flex flex-col items-center justify-center h-48 rounded-3xl border border-dashed ${t('border-white/20 text-white/50', 'border-slate-300 text-slate-400')}`}>
-                            <FolderPlus className="w-10 h-10 mb-2 opacity-50" />
-                            <p>No projects yet</p>
-                        </div>
-                    ) : (
-                        projects.map((project) => {
-                            const completedTasks = project.tasks?.filter((t) => t.completed) || [];
-                            const totalTasks = project.tasks?.length || 0;
-                            const progress = totalTasks > 0 ? (completedTasks.length / totalTasks) * 100 : 0;
+                {/* Search Bar */}
+                <div className="px-6 pb-4 shrink-0">
+                    <div className={`flex items-center space-x-3 px-5 py-3 rounded-full border backdrop-blur-md transition-all ${t('bg-black/20 border-white/10 focus-within:border-white/40', 'bg-white/50 border-white/80 focus-within:border-white shadow-sm')}`}>
+                        <Search className={`w-4 h-4 flex-shrink-0 ${t('text-white/50', 'text-slate-400')}`} strokeWidth={2} />
+                        <input
+                            type="search"
+                            value={searchQuery}
+                            onChange={(e) => setSearchQuery(e.target.value)}
+                            ref={searchInputRef}
+                            onKeyDown={(e) => e.key === 'Escape' && setSearchQuery('')}
+                            placeholder={tr('command.search')}
+                            className={`flex-1 min-w-0 bg-transparent outline-none text-[15px] font-medium [&::-webkit-search-cancel-button]:hidden ${t('text-white placeholder:text-white/30', 'text-slate-900 placeholder:text-slate-400')}`}
+                        />
+                        {searchQuery && (
+                            <button
+                                onClick={() => setSearchQuery('')}
+                                title={tr('search.clear')}
+                                aria-label={tr('search.clear')}
+                                className={`flex-shrink-0 transition-colors ${t('text-white/50 hover:text-white', 'text-slate-400 hover:text-slate-700')}`}
+                            >
+                                <X className="w-4 h-4" strokeWidth={2} />
+                            </button>
+                        )}
+                    </div>
 
-                            return (
-                                <div
-                                    key={project.id}
-                                    onClick={() => openProject(project.id)}
-                                    className={`relative w-full h-80 rounded-[2.5rem] p-8 flex flex-col justify-between cursor-pointer transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] overflow-hidden group border ${t('border-white/20 bg-white/5 shadow-[0_8px_32px_0_rgba(0,0,0,0.3)]', 'border-white/60 bg-white/40 shadow-[0_8px_32px_0_rgba(0,0,0,0.1)]')
+                    {searchQuery.trim() && (
+                        <div className="flex items-center space-x-2 mt-3">
+                            {SEARCH_STATUSES.map((status) => (
+                                <button
+                                    key={status}
+                                    onClick={() => setSearchStatus(status)}
+                                    className={`px-3 py-1 rounded-full text-xs font-semibold capitalize border transition-all ${searchStatus === status
+                                        ? t('bg-white/20 border-white/40 text-white', 'bg-white border-white text-slate-900 shadow-sm')
+                                        : t('bg-black/20 border-white/10 text-white/50 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-500 hover:bg-white/60')
                                         }`}
                                 >
-                                    <div className={`absolute inset-0 bg-gradient-to-br backdrop-blur-2xl z-0 ${t('from-white/10 to-transparent', 'from-white/60 to-white/20')}`}></div>
-                                    <div className={`absolute -right-10 -top-10 w-48 h-48 ${project.blobColor} rounded-full blur-[60px] opacity-40 group-hover:opacity-60 transition-opacity duration-500`}></div>
-                                    <div className={`absolute -left-10 -bottom-10 w-48 h-48 ${project.blobColor} rounded-full blur-[60px] opacity-20 group-hover:opacity-40 transition-opacity duration-500`}></div>
-
-                                    <div className="relative z-10 w-[85%]">
-                                        <h2 className={`text-[2.2rem] font-bold leading-[1.15] tracking-tight drop-shadow-md text-pretty ${t('text-white', 'text-slate-900')}`}>
-                                            {project.title}
-                                        </h2>
-                                    </div>
-
-                                    <div className="relative z-10 flex items-end justify-between w-full">
-                                        <div className="flex items-center space-x-3">
-                                            <div className={`h-[52px] w-[16px] rounded-full p-[3px] flex flex-col justify-end backdrop-blur-md border shadow-inner ${t('bg-black/20 border-white/10', 'bg-black/5 border-white/50')}`}>
-                                                <div
-                                                    className={`w-full rounded-full transition-all duration-1000 ease-out ${t('bg-white shadow-[0_0_10px_rgba(255,255,255,0.8)]', 'bg-slate-800 shadow-[0_0_5px_rgba(0,0,0,0.2)]')}`}
-                                                    style={{ height: `${Math.max(15, progress)}%` }}
-                                                />
-                                            </div>
-                                            <div className="flex flex-col drop-shadow-md">
-                                                <span className={`text-2xl font-bold leading-none mb-0.5 ${t('text-white', 'text-slate-900')}`}>{completedTasks.length}/{totalTasks}</span>
-                                                <span className={`text-xs font-semibold leading-none ${t('text-white/60', 'text-slate-500')}`}>tasks</span>
-                                            </div>
-                                        </div>
+                                    {tr(`search.status.${status}`)}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
 
-                                        <div className={`w-12 h-12 backdrop-blur-2xl rounded-full flex items-center justify-center border transition-colors ${t('bg-white/10 border-white/20 shadow-[0_4px_16px_rgba(0,0,0,0.2)] hover:bg-white/20 text-white',
-                                            'bg-white/60 border-white/80 shadow-[0_4px_16px_rgba(0,0,0,0.05)] hover:bg-white/80 text-slate-800')
-                                            }`}>
-                                            {project.buttonIcon === 'more' ? (
-                                                <Check className="w-6 h-6" strokeWidth={2} />
-                                            ) : (
-                                                <Plus className="w-6 h-6" strokeWidth={2} />
-                                            )}
-                                        </div>
-                                    </div>
-                                </div>
+                {/* Smart Views */}
+                {!searchQuery.trim() && (
+                    <div className="px-6 pb-4 shrink-0 grid grid-cols-2 gap-3">
+                        {SMART_VIEWS.map((view) => {
+                            const Icon = smartViewIcons[view.id];
+                            return (
+                                <button
+                                    key={view.id}
+                                    onClick={() => openSmartView(view.id)}
+                                    className={`flex items-center justify-between px-4 py-3 rounded-2xl border backdrop-blur-md text-left transition-all hover:scale-[1.02] active:scale-[0.98] ${t('bg-white/5 border-white/10 text-white hover:bg-white/10', 'bg-white/50 border-white/80 text-slate-800 hover:bg-white/70 shadow-sm')}`}
+                                >
+                                    <span className="flex items-center space-x-2 min-w-0">
+                                        <Icon className={`w-4 h-4 flex-shrink-0 ${t('text-white/60', 'text-slate-500')}`} strokeWidth={2} />
+                                        <span className="text-sm font-semibold truncate">{tr(`smartViews.${view.id}`)}</span>
+                                    </span>
+                                    <span className={`text-sm font-bold ${t('text-white/60', 'text-slate-500')}`}>{smartViewCounts[view.id]}</span>
+                                </button>
                             );
-                        })
+                        })}
+                    </div>
+                )}
+
+                {/* Projects Cards List (or search results while searching) */}
+                <div className="px-6 pb-12 space-y-6 flex-1 overflow-y-auto hide-scrollbar z-10">
+                    {searchQuery.trim() ? renderSearchResults() : projects.length === 0 ? (
+                        <div className={`flex flex-col items-center justify-center h-48 rounded-3xl border border-dashed ${t('border-white/20 text-white/50', 'border-slate-300 text-slate-400')}`}>
+                            <FolderPlus className="w-10 h-10 mb-2 opacity-50" />
+                            <p>{tr('home.empty')}</p>
+                        </div>
+                    ) : (
+                        renderHomeList()
                     )}
                 </div>
             </div>
         );
     };
 
-    // 2. PROJECT DETAIL VIEW
-    const renderProjectDetailView = () => {
-        const project = projects.find((p) => p.id === activeProjectId) || projects[0];
-        if (!project) return null;
-
-        const completedTasks = project.tasks?.filter((t) => t.completed) || [];
-        const activeTasks = project.tasks?.filter((t) => !t.completed) || [];
-        const totalTasks = project.tasks?.length || 0;
-        const progress = totalTasks > 0 ? (completedTasks.length / totalTasks) * 100 : 0;
+    // 1a. HOME LIST (pinned, folders, unfiled, archive)
+    const renderProjectCard = (project) => {
+        const { completed, total, percent: progress } = getProjectProgress(project, { weightSubtasks });
+        const isDragging = projectDrag.draggingId === project.id;
 
         return (
-            <div className={`flex flex-col h-full backdrop-blur-3xl z-10 shadow-[-20px_0_40px_rgba(0,0,0,0.1)] ${t('bg-[#0a0a0a]/90', 'bg-white/95')}`}>
+            <div
+                key={project.id}
+                {...projectDrag.getItemProps(project.id)}
+                onClick={() => openProject(project.id)}
+                className={`relative w-full h-80 rounded-[2.5rem] p-8 flex flex-col justify-between cursor-pointer transition-all duration-300 hover:scale-[1.02] active:scale-[0.98] overflow-hidden group border ${t('border-white/20 bg-white/5 shadow-[0_8px_32px_0_rgba(0,0,0,0.3)]', 'border-white/60 bg-white/40 shadow-[0_8px_32px_0_rgba(0,0,0,0.1)]')
+                    } ${isDragging ? t('ring-2 ring-white/50', 'ring-2 ring-slate-400') : ''}`}
+            >
+                {/* Drag Handle */}
+                <button
+                    {...projectDrag.getHandleProps(project.id)}
+                    title={tr('drag.reorder')}
+                    aria-label={tr('drag.reorder')}
+                    className={`absolute top-7 right-6 z-20 w-9 h-9 rounded-full flex items-center justify-center backdrop-blur-md border transition-colors ${isDragging ? 'cursor-grabbing' : 'cursor-grab'} ${t('bg-black/20 border-white/10 text-white/60 hover:text-white', 'bg-white/50 border-white/80 text-slate-500 hover:text-slate-800')
+                        }`}
+                >
+                    <GripVertical className="w-4 h-4" strokeWidth={2} />
+                </button>
 
-                <div className="relative flex-shrink-0 z-20 pb-8">
+                <button
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        openProjectOptions(project.id);
+                    }}
+                    title={tr('projectOptions.button')}
+                    aria-label={tr('projectOptions.button')}
+                    className={`absolute top-7 right-[4.25rem] z-20 w-9 h-9 rounded-full flex items-center justify-center backdrop-blur-md border transition-colors ${t('bg-black/20 border-white/10 text-white/60 hover:text-white', 'bg-white/50 border-white/80 text-slate-500 hover:text-slate-800')
+                        }`}
+                >
+                    <MoreHorizontal className="w-4 h-4" strokeWidth={2} />
+                </button>
 
-                    <div className={`relative px-6 pt-14 pb-12 rounded-b-[3rem] border-b overflow-hidden ${t('border-white/10 shadow-[0_10px_40px_rgba(0,0,0,0.3)] bg-white/5', 'border-white/60 shadow-[0_10px_30px_rgba(0,0,0,0.05)] bg-white/40')
-                        }`}>
-                        <div className={`absolute inset-0 bg-gradient-to-br backdrop-blur-2xl z-0 ${t('from-white/10 to-transparent', 'from-white/50 to-white/10')}`}></div>
-                        <div className={`absolute top-0 right-0 w-64 h-64 ${project.blobColor} rounded-full blur-[80px] opacity-30 mix-blend-screen z-0`}></div>
+                <div className={`absolute inset-0 bg-gradient-to-br backdrop-blur-2xl z-0 ${t('from-white/10 to-transparent', 'from-white/60 to-white/20')}`}></div>
+                <div className="absolute -right-10 -top-10 w-48 h-48 rounded-full blur-[60px] opacity-40 group-hover:opacity-60 transition-opacity duration-500" style={{ backgroundColor: getProjectColor(project) }}></div>
+                <div className="absolute -left-10 -bottom-10 w-48 h-48 rounded-full blur-[60px] opacity-20 group-hover:opacity-40 transition-opacity duration-500" style={{ backgroundColor: getProjectColor(project) }}></div>
 
-                        <div className="relative z-10 flex justify-between items-center mb-8">
-                            <button
-                                onClick={closeProject}
-                                className={`w-10 h-10 backdrop-blur-xl rounded-full flex items-center justify-center border transition-transform active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-white/10 text-white', 'bg-white/60 border-white/80 hover:bg-white/80 text-slate-800')
-                                    }`}
-                            >
-                                <ChevronLeft className="w-6 h-6" strokeWidth={1.5} />
-                            </button>
+                <div className="relative z-10 w-[70%]">
+                    <h2 className={`text-[2.2rem] font-bold leading-[1.15] tracking-tight drop-shadow-md text-pretty ${t('text-white', 'text-slate-900')}`}>
+                        {project.title}
+                    </h2>
+                    <div className="flex flex-wrap gap-2 mt-3">
+                        {project.pinned && (
+                            <span className={`inline-flex items-center space-x-1.5 px-3 py-1 rounded-full text-xs font-semibold border backdrop-blur-md ${t('bg-black/20 border-white/10 text-white/70', 'bg-white/50 border-white/80 text-slate-600')}`}>
+                                <Pin className="w-3.5 h-3.5" strokeWidth={2} />
+                                <span>{tr('projectOptions.pinned')}</span>
+                            </span>
+                        )}
+                        {project.shared && (
+                            <span className={`inline-flex items-center space-x-1.5 px-3 py-1 rounded-full text-xs font-semibold border backdrop-blur-md ${t('bg-black/20 border-white/10 text-white/70', 'bg-white/50 border-white/80 text-slate-600')}`}>
+                                <Users className="w-3.5 h-3.5" strokeWidth={2} />
+                                <span>{tr('home.sharedCount', { count: project.memberUids?.length || 1 })}</span>
+                            </span>
+                        )}
+                    </div>
+                </div>
 
-                            {/* Delete Project Button */}
-                            <button
+                <div className="relative z-10 flex items-end justify-between w-full">
+                    <div className="flex items-center space-x-3">
+                        <div className={`h-[52px] w-[16px] rounded-full p-[3px] flex flex-col justify-end backdrop-blur-md border shadow-inner ${t('bg-black/20 border-white/10', 'bg-black/5 border-white/50')}`}>
+                            <div
+                                className={`w-full rounded-full transition-all duration-1000 ease-out ${t('bg-white shadow-[0_0_10px_rgba(255,255,255,0.8)]', 'bg-slate-800 shadow-[0_0_5px_rgba(0,0,0,0.2)]')}`}
+                                style={{ height: `${Math.max(15, progress)}%` }}
+                            />
+                        </div>
+                        <div className="flex flex-col drop-shadow-md">
+                            <span className={`text-2xl font-bold leading-none mb-0.5 ${t('text-white', 'text-slate-900')}`}>{completed}/{total}</span>
+                            <span className={`text-xs font-semibold leading-none ${t('text-white/60', 'text-slate-500')}`}>{tr('progress.tasks', { count: total })}</span>
+                        </div>
+                    </div>
+
+                    <div className={`w-12 h-12 backdrop-blur-2xl rounded-full flex items-center justify-center border transition-colors ${t('bg-white/10 border-white/20 shadow-[0_4px_16px_rgba(0,0,0,0.2)] hover:bg-white/20 text-white',
+                        'bg-white/60 border-white/80 shadow-[0_4px_16px_rgba(0,0,0,0.05)] hover:bg-white/80 text-slate-800')
+                        }`}>
+                        {renderProjectIcon(project.buttonIcon)}
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    const renderGroupHeader = (label, icon, count, isOpen, onToggle) => {
+        const Icon = icon;
+        return (
+            <button
+                onClick={onToggle}
+                aria-expanded={isOpen}
+                className={`w-full flex items-center space-x-2 px-2 text-[11px] font-medium uppercase tracking-widest transition-colors ${t('text-white/50 hover:text-white/80', 'text-slate-500 hover:text-slate-800')}`}
+            >
+                <Icon className="w-4 h-4" strokeWidth={2} />
+                <span className="truncate">{label}</span>
+                <span className="opacity-60">{count}</span>
+                <ChevronDown className={`w-4 h-4 ml-auto shrink-0 transition-transform ${isOpen ? '' : '-rotate-90'}`} strokeWidth={2} />
+            </button>
+        );
+    };
+
+    const renderArchivedRow = (project) => {
+        const { completed, total } = getProjectProgress(project, { weightSubtasks });
+        return (
+            <div
+                key={project.id}
+                onClick={() => openProject(project.id)}
+                className={`flex items-center p-4 rounded-3xl border backdrop-blur-md cursor-pointer transition-colors ${t('bg-white/5 border-white/10 hover:bg-white/10', 'bg-white/40 border-white/60 hover:bg-white/60')}`}
+            >
+                <div className="w-3 h-3 rounded-full shrink-0 mr-3" style={{ backgroundColor: getProjectColor(project) }}></div>
+                <span className={`flex-1 min-w-0 truncate font-semibold ${t('text-white/80', 'text-slate-700')}`}>{project.title}</span>
+                <span className={`text-xs font-semibold mx-3 ${t('text-white/40', 'text-slate-400')}`}>{completed}/{total}</span>
+                {canEditProject(project) && (
+                    <button
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            unarchiveProject(project);
+                        }}
+                        title={tr('projectOptions.unarchive')}
+                        aria-label={tr('projectOptions.unarchive')}
+                        className={`w-9 h-9 shrink-0 rounded-full flex items-center justify-center border transition-colors ${t('bg-black/20 border-white/10 text-white/60 hover:text-white', 'bg-white/50 border-white/80 text-slate-500 hover:text-slate-800')}`}
+                    >
+                        <ArchiveRestore className="w-4 h-4" strokeWidth={2} />
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    // Sections follow the drag preview order, so a dragged card moves within its own section
+    const renderHomeList = () => {
+        const { pinned, folders, unfiled } = groupProjects(projectDrag.orderedItems);
+        const archived = projects.filter(isArchived);
+
+        return (
+            <>
+                {pinned.map(renderProjectCard)}
+
+                {folders.map(folder => {
+                    const isOpen = !collapsedFolders.includes(folder.name);
+                    return (
+                        <div key={folder.name} className="space-y-6">
+                            {renderGroupHeader(folder.name, Folder, folder.projects.length, isOpen, () => toggleFolderCollapsed(folder.name))}
+                            {isOpen && folder.projects.map(renderProjectCard)}
+                        </div>
+                    );
+                })}
+
+                {unfiled.length > 0 && folders.length > 0 && (
+                    <div className={`px-2 text-[11px] font-medium uppercase tracking-widest ${t('text-white/50', 'text-slate-500')}`}>{tr('home.otherProjects')}</div>
+                )}
+                {unfiled.map(renderProjectCard)}
+
+                {archived.length > 0 && (
+                    <div className="space-y-3">
+                        {renderGroupHeader(tr('home.archive'), Archive, archived.length, isArchiveOpen, () => setIsArchiveOpen(prev => !prev))}
+                        {isArchiveOpen && archived.map(renderArchivedRow)}
+                    </div>
+                )}
+            </>
+        );
+    };
+
+    const smartViewIcons = { today: CalendarDays, upcoming: CalendarClock, active: Inbox, completedWeek: CircleCheck };
+
+    // 1b. SMART VIEW (tasks gathered from every project)
+    const renderSmartView = () => {
+        const view = SMART_VIEWS.find((v) => v.id === activeSmartView);
+        if (!view) return null;
+        const entries = getSmartViewTasks(activeProjects, view.id, now);
+        const Icon = smartViewIcons[view.id];
+
+        return (
+            <div className={`flex flex-col h-full backdrop-blur-3xl z-10 shadow-[-20px_0_40px_rgba(0,0,0,0.1)] ${t('bg-[#0a0a0a]/90', 'bg-white/95')}`}>
+                <div className="px-6 pt-14 pb-6 shrink-0">
+                    <button
+                        onClick={closeProject}
+                        aria-label={tr('nav.backToProjects')}
+                        className={`w-10 h-10 mb-8 backdrop-blur-xl rounded-full flex items-center justify-center border transition-transform active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-white/10 text-white', 'bg-white/60 border-white/80 hover:bg-white/80 text-slate-800')
+                            }`}
+                    >
+                        <ChevronLeft className="w-6 h-6" strokeWidth={1.5} />
+                    </button>
+                    <div className="flex items-center space-x-3">
+                        <Icon className={`w-8 h-8 ${t('text-white/70', 'text-slate-600')}`} strokeWidth={1.5} />
+                        <h1 className={`text-[2.4rem] font-bold leading-[1.1] tracking-tight drop-shadow-lg ${t('text-white', 'text-slate-900')}`}>
+                            {tr(`smartViews.${view.id}`)}
+                        </h1>
+                    </div>
+                    <p className={`mt-2 text-sm font-medium ${t('text-white/50', 'text-slate-500')}`}>
+                        {tr('smartViews.summary', {
+                            count: entries.length,
+                            projects: tr('smartViews.projectCount', { count: new Set(entries.map(e => e.project.id)).size }),
+                        })}
+                    </p>
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-6 pb-10 hide-scrollbar z-10 space-y-3">
+                    {entries.length === 0 && (
+                        <p className={`text-center mt-8 text-sm ${t('text-white/40', 'text-slate-400')}`}>{tr(`smartViews.${view.id}.empty`)}</p>
+                    )}
+
+                    {entries.map(({ project, task }) => (
+                        <div
+                            key={task.id}
+                            className={`group flex items-center justify-between p-4 backdrop-blur-md border rounded-2xl transition-all duration-300 shadow-sm hover:shadow-md ${task.completed ? 'opacity-60 hover:opacity-100' : ''} ${t('bg-white/5 hover:bg-white/10 border-white/10', 'bg-white/60 hover:bg-white/80 border-white/80')
+                                }`}
+                        >
+                            <div
+                                className="flex items-center flex-1 min-w-0 pr-4 cursor-pointer"
+                                onClick={() => openTaskDetail(project.id, task)}
+                            >
+                                <button
+                                    type="button"
+                                    role="checkbox"
+                                    aria-checked={!!task.completed}
+                                    aria-label={tr(task.completed ? 'task.reopen' : 'task.complete', { task: task.text })}
+                                    disabled={!canEditProject(project)}
+                                    onClick={(e) => { e.stopPropagation(); toggleTask(project.id, task.id); }}
+                                    className={`flex-shrink-0 w-6 h-6 rounded-full flex items-center justify-center mr-4 transition-all duration-200 ${task.completed
+                                        ? t('bg-white shadow-[0_0_10px_rgba(255,255,255,0.5)]', 'bg-slate-800 shadow-sm')
+                                        : t('border border-white/40 group-hover:border-white', 'border border-slate-400 group-hover:border-slate-800')
+                                        }`}
+                                >
+                                    <Check className={`w-3.5 h-3.5 ${task.completed ? t('text-black', 'text-white') : 'text-transparent'}`} strokeWidth={3} />
+                                </button>
+                                <div className="flex flex-col min-w-0">
+                                    {/* A button so the task opens from the keyboard too; its click bubbles to the row */}
+                                    <button type="button" className={`text-left text-[16px] font-medium truncate ${task.completed ? t('line-through text-white/50', 'line-through text-slate-500') : t('text-white/90', 'text-slate-800')}`}>
+                                        {task.text}
+                                    </button>
+                                    <div className="mt-1 flex flex-wrap items-center gap-1.5">
+                                        <span className={`flex items-center space-x-1.5 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t('bg-white/5 border-white/10 text-white/60', 'bg-white/50 border-white/80 text-slate-500')}`}>
+                                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getProjectColor(project) }} />
+                                            <span className="truncate max-w-[8rem]">{project.title}</span>
+                                        </span>
+                                        {!task.completed && renderPriorityBadge(task)}
+                                        {!task.completed && renderDueBadge(task)}
+                                        {renderTagChips(task)}
+                                    </div>
+                                </div>
+                            </div>
+                            {canEditProject(project) && (
+                                <button
+                                    onClick={(e) => { e.stopPropagation(); deleteTask(project.id, task.id); }}
+                                    aria-label={tr('task.deleteNamed', { task: task.text })}
+                                    className={`p-2 transition-colors opacity-100 sm:opacity-0 sm:group-hover:opacity-100 rounded-full backdrop-blur-md ${t('text-white/40 hover:text-rose-400 bg-black/20', 'text-slate-400 hover:text-rose-500 bg-white/50')
+                                        }`}
+                                >
+                                    <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        );
+    };
+
+    // Wraps the matched ranges of `text` in <mark>
+    const renderHighlighted = (text, ranges = []) => {
+        const parts = [];
+        let cursor = 0;
+        ranges.forEach(([start, end]) => {
+            if (start > cursor) parts.push(text.slice(cursor, start));
+            parts.push(
+                <mark key={start} className={`rounded-sm bg-transparent font-bold ${t('text-white underline decoration-white/60', 'text-slate-900 underline decoration-slate-500')}`}>
+                    {text.slice(start, end)}
+                </mark>
+            );
+            cursor = end;
+        });
+        if (cursor < text.length) parts.push(text.slice(cursor));
+        return parts;
+    };
+
+    const renderSearchResults = () => {
+        if (searchResults.length === 0) {
+            return (
+                <div className={`flex flex-col items-center justify-center h-48 rounded-3xl border border-dashed ${t('border-white/20 text-white/50', 'border-slate-300 text-slate-400')}`}>
+                    <Search className="w-10 h-10 mb-2 opacity-50" />
+                    <p>{tr('search.noMatches', { query: searchQuery.trim() })}</p>
+                </div>
+            );
+        }
+
+        return searchResults.map(({ project, titleMatch, tasks }) => (
+            <div key={project.id} className={`rounded-3xl border backdrop-blur-md overflow-hidden ${t('bg-white/5 border-white/10', 'bg-white/50 border-white/80 shadow-sm')}`}>
+                <button
+                    onClick={() => openProject(project.id)}
+                    className={`w-full flex items-center space-x-3 px-5 py-4 text-left transition-colors ${t('hover:bg-white/10', 'hover:bg-white/60')}`}
+                >
+                    <span className="w-3 h-3 flex-shrink-0 rounded-full" style={{ backgroundColor: getProjectColor(project) }} />
+                    <span className={`flex-1 min-w-0 truncate text-[17px] font-semibold ${t('text-white', 'text-slate-900')}`}>
+                        {renderHighlighted(project.title, titleMatch?.ranges)}
+                    </span>
+                    <span className={`text-xs font-semibold ${t('text-white/40', 'text-slate-400')}`}>
+                        {tasks.length > 0 ? tr('search.taskCount', { count: tasks.length }) : tr('command.groupProject')}
+                    </span>
+                </button>
+
+                {tasks.map(({ task, textMatch, descriptionMatch }) => {
+                    const snippet = descriptionMatch && getSnippet(task.description, descriptionMatch.ranges);
+
+                    return (
+                        <button
+                            key={task.id}
+                            onClick={() => openProject(project.id, task.id)}
+                            className={`w-full flex items-start space-x-3 px-5 py-3 text-left border-t transition-colors ${t('border-white/5 hover:bg-white/10', 'border-white/60 hover:bg-white/60')}`}
+                        >
+                            <span className={`mt-0.5 flex-shrink-0 w-5 h-5 rounded-full flex items-center justify-center ${task.completed
+                                ? t('bg-white', 'bg-slate-800')
+                                : t('border border-white/40', 'border border-slate-400')
+                                }`}>
+                                {task.completed && <Check className={`w-3 h-3 ${t('text-black', 'text-white')}`} strokeWidth={3} />}
+                            </span>
+                            <span className="flex flex-col min-w-0">
+                                <span className={`text-[15px] font-medium truncate ${task.completed ? 'line-through opacity-60' : ''} ${t('text-white/90', 'text-slate-800')}`}>
+                                    {renderHighlighted(task.text, textMatch?.ranges)}
+                                </span>
+                                {snippet && (
+                                    <span className={`text-xs mt-0.5 line-clamp-2 ${t('text-white/50', 'text-slate-500')}`}>
+                                        {snippet.clippedStart && '…'}
+                                        {renderHighlighted(snippet.text, snippet.ranges)}
+                                        {snippet.clippedEnd && '…'}
+                                    </span>
+                                )}
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+        ));
+    };
+
+    const renderDueBadge = (task) => {
+        if (!task.dueDate) return null;
+        const status = getDueStatus(task, now);
+        const Icon = task.dueTime ? Bell : Clock;
+
+        return (
+            <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${status === 'overdue'
+                ? t('bg-rose-500/20 border-rose-500/40 text-rose-300', 'bg-rose-50 border-rose-200 text-rose-600')
+                : status === 'soon'
+                    ? t('bg-amber-500/20 border-amber-500/40 text-amber-300', 'bg-amber-50 border-amber-200 text-amber-600')
+                    : t('bg-white/5 border-white/10 text-white/50', 'bg-white/50 border-white/80 text-slate-500')
+                }`}>
+                <Icon className="w-3 h-3" strokeWidth={2} />
+                <span>{status === 'overdue' ? tr('due.overdue', { due: formatDue(task, now, i18n) }) : formatDue(task, now, i18n)}</span>
+            </span>
+        );
+    };
+
+    const renderSubtaskBadge = (task) => {
+        const { done, total } = getSubtaskCounts(task);
+        if (total === 0) return null;
+
+        return (
+            <span className={`flex items-center space-x-1.5 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t('bg-white/5 border-white/10 text-white/50', 'bg-white/50 border-white/80 text-slate-500')}`}>
+                <ListChecks className="w-3 h-3" strokeWidth={2} />
+                <span>{done}/{total}</span>
+                <span className={`w-8 h-1 rounded-full overflow-hidden ${t('bg-white/10', 'bg-black/10')}`}>
+                    <span
+                        className={`block h-full rounded-full ${t('bg-white/70', 'bg-slate-700')}`}
+                        style={{ width: `${(done / total) * 100}%` }}
+                    />
+                </span>
+            </span>
+        );
+    };
+
+    const renderRecurrenceBadge = (task) => {
+        if (!task.recurrence) return null;
+        const streak = getStreak(task);
+
+        return (
+            <>
+                <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t('bg-white/5 border-white/10 text-white/50', 'bg-white/50 border-white/80 text-slate-500')}`}>
+                    <Repeat className="w-3 h-3" strokeWidth={2} />
+                    <span>{describeRecurrence(task.recurrence, i18n)}</span>
+                </span>
+                {streak > 0 && (
+                    <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t('bg-orange-500/20 border-orange-500/40 text-orange-300', 'bg-orange-50 border-orange-200 text-orange-600')}`}>
+                        <Flame className="w-3 h-3" strokeWidth={2} />
+                        <span>{streak}</span>
+                    </span>
+                )}
+            </>
+        );
+    };
+
+    const priorityStyles = {
+        high: ['bg-rose-500/20 border-rose-500/40 text-rose-300', 'bg-rose-50 border-rose-200 text-rose-600'],
+        medium: ['bg-amber-500/20 border-amber-500/40 text-amber-300', 'bg-amber-50 border-amber-200 text-amber-600'],
+        low: ['bg-sky-500/20 border-sky-500/40 text-sky-300', 'bg-sky-50 border-sky-200 text-sky-600'],
+    };
+
+    const renderPriorityBadge = (task) => {
+        const priority = normalizePriority(task.priority);
+        if (priority === 'none') return null;
+
+        return (
+            <span className={`flex items-center space-x-1 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t(...priorityStyles[priority])}`}>
+                <Flag className="w-3 h-3" strokeWidth={2} />
+                <span>{tr(`priority.${priority}`)}</span>
+            </span>
+        );
+    };
+
+    const renderTagChips = (task) => (task.tags || []).map((tag) => (
+        <span key={tag} className={`px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t('bg-white/5 border-white/10 text-white/60', 'bg-white/50 border-white/80 text-slate-500')}`}>
+            #{tag}
+        </span>
+    ));
+
+    const renderTaskMeta = (task) => {
+        const hasPriority = normalizePriority(task.priority) !== 'none';
+        if (!task.dueDate && !task.subtasks?.length && !task.recurrence && !hasPriority && !task.tags?.length) return null;
+
+        return (
+            <div className="mt-1 flex flex-wrap items-center gap-1.5">
+                {renderPriorityBadge(task)}
+                {renderDueBadge(task)}
+                {renderRecurrenceBadge(task)}
+                {renderSubtaskBadge(task)}
+                {renderTagChips(task)}
+            </div>
+        );
+    };
+
+    // "Added by Ana · Done by You" under tasks in shared projects
+    const renderAttribution = (project, task) => {
+        const createdBy = getMemberName(project, task.createdBy);
+        const completedBy = task.completed ? getMemberName(project, task.completedBy) : null;
+        if (!createdBy && !completedBy) return null;
+
+        return (
+            <span className={`mt-1 flex items-center space-x-1 text-[11px] font-medium ${t('text-white/40', 'text-slate-400')}`}>
+                <Users className="w-3 h-3" strokeWidth={2} />
+                <span>{[createdBy && tr('attribution.addedBy', { name: createdBy }), completedBy && tr('attribution.doneBy', { name: completedBy })].filter(Boolean).join(' · ')}</span>
+            </span>
+        );
+    };
+
+    // Sort picker plus priority and tag filters above a project's task list
+    const renderTaskViewControls = (project) => {
+        const sort = project.taskSort || 'manual';
+        const tags = getProjectTags(project);
+
+        const chipClass = (isSelected) => `flex-shrink-0 px-3 py-1.5 rounded-full text-xs font-semibold whitespace-nowrap border transition-all ${isSelected
+            ? t('bg-white/20 border-white/40 text-white', 'bg-white border-white text-slate-900 shadow-sm')
+            : t('bg-black/20 border-white/10 text-white/50 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-500 hover:bg-white/60')
+            }`;
+        const toggleFilter = (key, value) => setTaskFilter(prev => ({ ...prev, [key]: prev[key] === value ? null : value }));
+
+        return (
+            <div className="flex items-center space-x-2 overflow-x-auto hide-scrollbar -mx-6 px-6 pb-4">
+                <label className={`${chipClass(sort !== 'manual')} flex items-center space-x-1.5 cursor-pointer`}>
+                    <ArrowUpDown className="w-3.5 h-3.5" strokeWidth={2} />
+                    <select
+                        value={sort}
+                        onChange={(e) => updateTaskSort(project.id, e.target.value)}
+                        className="bg-transparent outline-none cursor-pointer appearance-none"
+                    >
+                        {TASK_SORTS.map(option => (
+                            <option key={option} value={option} className="text-slate-900">{tr(`sort.${option}`)}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {PRIORITIES.filter(p => p !== 'none').reverse().map(priority => (
+                    <button
+                        key={priority}
+                        onClick={() => toggleFilter('priority', priority)}
+                        className={`${chipClass(taskFilter.priority === priority)} flex items-center space-x-1`}
+                    >
+                        <Flag className="w-3 h-3" strokeWidth={2} />
+                        <span>{tr(`priority.${priority}`)}</span>
+                    </button>
+                ))}
+
+                {tags.map(tag => (
+                    <button key={tag} onClick={() => toggleFilter('tag', tag)} className={chipClass(taskFilter.tag === tag)}>
+                        #{tag}
+                    </button>
+                ))}
+            </div>
+        );
+    };
+
+    // Multi-select entry point plus "Mark all done" for the tasks currently shown
+    const renderBulkControls = (project, activeTasks) => {
+        const chipClass = `flex-shrink-0 flex items-center space-x-1.5 px-3 py-1.5 rounded-full text-xs font-semibold whitespace-nowrap border transition-all ${t('bg-black/20 border-white/10 text-white/50 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-500 hover:bg-white/60')}`;
+
+        return (
+            <div className="flex items-center space-x-2 overflow-x-auto hide-scrollbar -mx-6 px-6 pb-4">
+                <button onClick={() => setSelectedTaskIds([])} className={chipClass}>
+                    <SquareCheck className="w-3.5 h-3.5" strokeWidth={2} />
+                    <span>{tr('select.start')}</span>
+                </button>
+                {activeTasks.length > 0 && (
+                    <button onClick={() => setTasksDone(project.id, activeTasks.map(task => task.id), true)} className={chipClass}>
+                        <CheckCheck className="w-3.5 h-3.5" strokeWidth={2} />
+                        <span>{tr('select.markAllDone')}</span>
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    const renderSelectBox = (task) => {
+        const isSelected = selectedTaskIds.includes(task.id);
+        const Icon = isSelected ? SquareCheck : Square;
+        return (
+            <button
+                type="button"
+                role="checkbox"
+                aria-checked={isSelected}
+                aria-label={tr('select.task', { task: task.text })}
+                onClick={(e) => { e.stopPropagation(); toggleTaskSelected(task.id); }}
+                className="flex-shrink-0 mr-4 rounded-md"
+            >
+                <Icon
+                    className={`w-6 h-6 ${isSelected ? t('text-white', 'text-slate-900') : t('text-white/40', 'text-slate-400')}`}
+                    strokeWidth={1.5}
+                />
+            </button>
+        );
+    };
+
+    // Floating action bar while selecting; actions apply to the selection in one write
+    const renderSelectionBar = (project, visibleTasks) => {
+        const count = selectedTaskIds.length;
+        const allSelected = visibleTasks.length > 0 && visibleTasks.every(task => selectedTaskIds.includes(task.id));
+        const canMove = activeProjects.some(p => p.id !== project.id && canEditProject(p));
+        const actionClass = `flex flex-col items-center space-y-1 px-2 text-[11px] font-semibold transition-colors disabled:opacity-30 ${t('text-white/70 hover:text-white', 'text-slate-600 hover:text-slate-900')}`;
+
+        return (
+            <div className={`sticky bottom-4 mt-8 p-4 rounded-[2rem] border backdrop-blur-2xl ${t('bg-black/60 border-white/20 shadow-[0_8px_32px_rgba(0,0,0,0.5)]', 'bg-white/80 border-white shadow-[0_8px_32px_rgba(0,0,0,0.1)]')}`}>
+                <div className="flex items-center justify-between mb-3 px-2">
+                    <span className={`text-sm font-semibold ${t('text-white', 'text-slate-900')}`}>{tr('select.count', { count })}</span>
+                    <div className="flex items-center space-x-4">
+                        <button
+                            onClick={() => setSelectedTaskIds(allSelected ? [] : visibleTasks.map(task => task.id))}
+                            className={`text-xs font-semibold ${t('text-white/60 hover:text-white', 'text-slate-500 hover:text-slate-900')}`}
+                        >
+                            {tr(allSelected ? 'select.none' : 'select.all')}
+                        </button>
+                        <button onClick={exitSelection} title={tr('select.done')} aria-label={tr('select.done')} className={t('text-white/60 hover:text-white', 'text-slate-500 hover:text-slate-900')}>
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+                    </div>
+                </div>
+                <div className="flex items-center justify-around">
+                    <button onClick={() => handleBulkComplete(project.id, true)} disabled={count === 0} className={actionClass}>
+                        <CheckCheck className="w-5 h-5" strokeWidth={1.5} />
+                        <span>{tr('select.complete')}</span>
+                    </button>
+                    <button onClick={() => handleBulkComplete(project.id, false)} disabled={count === 0} className={actionClass}>
+                        <RotateCcw className="w-5 h-5" strokeWidth={1.5} />
+                        <span>{tr('select.reopen')}</span>
+                    </button>
+                    <button onClick={() => setIsMovingSelection(true)} disabled={count === 0 || !canMove} className={actionClass}>
+                        <FolderInput className="w-5 h-5" strokeWidth={1.5} />
+                        <span>{tr('select.move')}</span>
+                    </button>
+                    <button onClick={() => handleBulkDelete(project.id)} disabled={count === 0} className={`${actionClass} ${t('hover:text-rose-400', 'hover:text-rose-500')}`}>
+                        <Trash2 className="w-5 h-5" strokeWidth={1.5} />
+                        <span>{tr('common.delete')}</span>
+                    </button>
+                </div>
+            </div>
+        );
+    };
+
+    // The open project's tasks as listed, also walked by the J / K shortcuts
+    const getTaskLists = (project) => {
+        // Dragging only makes sense on the full list in its stored order
+        const view = { sort: project.taskSort || 'manual', ...taskFilter };
+        const canEdit = canEditProject(project);
+        const canReorder = canEdit && view.sort === 'manual' && !isFiltered(taskFilter);
+        const completedTasks = applyTaskView(project.tasks?.filter((t) => t.completed) || [], view);
+        const activeTasks = project.id === activeProjectId && canReorder
+            ? taskDrag.orderedItems
+            : applyTaskView(project.tasks?.filter((t) => !t.completed) || [], view);
+        return { canEdit, canReorder, activeTasks, completedTasks };
+    };
+
+    // 2. PROJECT DETAIL VIEW
+    const renderProjectDetailView = () => {
+        const project = projects.find((p) => p.id === activeProjectId) || projects[0];
+        if (!project) return null;
+
+        const { canEdit, canReorder, activeTasks, completedTasks } = getTaskLists(project);
+        const isSelecting = canEdit && selectedTaskIds !== null && project.id === activeProjectId;
+        // Counted over all tasks, not the filtered lists, so the header ratio matches the bar
+        const { completed: completedCount, total: totalTasks, percent: progress } = getProjectProgress(project, { weightSubtasks });
+
+        return (
+            <div className={`flex flex-col h-full backdrop-blur-3xl z-10 shadow-[-20px_0_40px_rgba(0,0,0,0.1)] ${t('bg-[#0a0a0a]/90', 'bg-white/95')}`}>
+
+                <div className="relative flex-shrink-0 z-20 pb-8">
+
+                    <div className={`relative px-6 pt-14 pb-12 rounded-b-[3rem] border-b overflow-hidden ${t('border-white/10 shadow-[0_10px_40px_rgba(0,0,0,0.3)] bg-white/5', 'border-white/60 shadow-[0_10px_30px_rgba(0,0,0,0.05)] bg-white/40')
+                        }`}>
+                        <div className={`absolute inset-0 bg-gradient-to-br backdrop-blur-2xl z-0 ${t('from-white/10 to-transparent', 'from-white/50 to-white/10')}`}></div>
+                        <div className="absolute top-0 right-0 w-64 h-64 rounded-full blur-[80px] opacity-30 mix-blend-screen z-0" style={{ backgroundColor: getProjectColor(project) }}></div>
+
+                        <div className="relative z-10 flex justify-between items-center mb-8">
+                            <button
+                                onClick={closeProject}
+                                aria-label={tr('nav.backToProjects')}
+                                className={`w-10 h-10 backdrop-blur-xl rounded-full flex items-center justify-center border transition-transform active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-white/10 text-white', 'bg-white/60 border-white/80 hover:bg-white/80 text-slate-800')
+                                    }`}
+                            >
+                                <ChevronLeft className="w-6 h-6" strokeWidth={1.5} />
+                            </button>
+
+                            <div className="flex items-center space-x-3">
+                                {canShare && (
+                                    <button
+                                        onClick={() => openShareSheet(project.id)}
+                                        title={tr('share.button')}
+                                        aria-label={tr('share.button')}
+                                        className={`w-10 h-10 backdrop-blur-xl rounded-full flex items-center justify-center border transition-transform active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-white/10 text-white', 'bg-white/60 border-white/80 hover:bg-white/80 text-slate-800')
+                                            }`}
+                                    >
+                                        {project.shared ? <Users className="w-5 h-5" strokeWidth={1.5} /> : <Share2 className="w-5 h-5" strokeWidth={1.5} />}
+                                    </button>
+                                )}
+
+                                <button
+                                    onClick={() => openProjectOptions(project.id)}
+                                    title={tr('projectOptions.button')}
+                                    aria-label={tr('projectOptions.button')}
+                                    className={`w-10 h-10 backdrop-blur-xl rounded-full flex items-center justify-center border transition-transform active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-white/10 text-white', 'bg-white/60 border-white/80 hover:bg-white/80 text-slate-800')
+                                        }`}
+                                >
+                                    {isArchived(project) ? <Archive className="w-5 h-5" strokeWidth={1.5} /> : <MoreHorizontal className="w-5 h-5" strokeWidth={1.5} />}
+                                </button>
+
+                                {/* Delete Project Button (shared projects: owner only, others leave instead) */}
+                                {(!project.shared || project.role === 'owner') && (
+                                    <button
+                                        onClick={() => deleteProject(project.id)}
+                                        aria-label={tr('detail.deleteProject')}
+                                        className={`w-10 h-10 backdrop-blur-xl rounded-full flex items-center justify-center border transition-colors active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-rose-500/20 text-rose-400 hover:text-rose-500 hover:border-rose-500/50', 'bg-white/60 border-white/80 hover:bg-rose-50 text-rose-500 hover:border-rose-200')
+                                            }`}
+                                    >
+                                        <Trash2 className="w-5 h-5" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="relative z-10 w-[90%] mb-12">
+                            {project.buttonIcon && project.buttonIcon !== 'plus' && (
+                                <div
+                                    className="w-12 h-12 mb-4 rounded-2xl flex items-center justify-center shadow-lg"
+                                    style={{ backgroundColor: getProjectColor(project), color: getContrastColor(getProjectColor(project)) }}
+                                >
+                                    {renderProjectIcon(project.buttonIcon)}
+                                </div>
+                            )}
+                            <h1 className={`text-[2.7rem] font-bold leading-[1.1] tracking-tight drop-shadow-lg text-pretty pr-4 ${t('text-white', 'text-slate-900')}`}>
+                                {project.title}
+                            </h1>
+                        </div>
+
+                        <div className="relative z-10 flex items-center space-x-3 drop-shadow-md">
+                            <div className={`h-[52px] w-[16px] rounded-full p-[3px] flex flex-col justify-end backdrop-blur-md border shadow-inner ${t('bg-black/30 border-white/10', 'bg-black/5 border-white/50')}`}>
+                                <div
+                                    className={`w-full rounded-full transition-all duration-1000 ease-out ${t('bg-white shadow-[0_0_12px_rgba(255,255,255,0.9)]', 'bg-slate-800 shadow-[0_0_5px_rgba(0,0,0,0.2)]')}`}
+                                    style={{ height: `${Math.max(15, progress)}%` }}
+                                />
+                            </div>
+                            <div className="flex flex-col">
+                                <span className={`text-2xl font-bold leading-none mb-0.5 ${t('text-white', 'text-slate-900')}`}>{completedCount}/{totalTasks}</span>
+                                <span className={`text-xs font-semibold leading-none ${t('text-white/60', 'text-slate-500')}`}>{tr('progress.tasks', { count: totalTasks })}</span>
+                            </div>
+
+                            {/* Progress weighting toggle */}
+                            <button
+                                onClick={() => updateWeightSubtasks(!weightSubtasks)}
+                                title={tr('detail.weightSubtasks')}
+                                aria-label={tr('detail.weightSubtasks')}
+                                aria-pressed={weightSubtasks}
+                                className={`ml-2 flex items-center space-x-1.5 px-3 py-1.5 rounded-full border backdrop-blur-md text-xs font-semibold transition-all active:scale-95 ${weightSubtasks
+                                    ? t('bg-white/20 border-white/40 text-white', 'bg-white border-white text-slate-900 shadow-sm')
+                                    : t('bg-black/20 border-white/10 text-white/50 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-500 hover:bg-white/60')
+                                    }`}
+                            >
+                                <ListChecks className="w-3.5 h-3.5" strokeWidth={2} />
+                                <span>{tr('detail.steps')}</span>
+                            </button>
+                        </div>
+                    </div>
+
+                    {canEdit && (
+                        <button
+                            onClick={() => {
+                                setSelectedFormProject(project);
+                                setIsAddingTask(true);
+                            }}
+                            aria-label={tr('detail.addTask')}
+                            className={`absolute bottom-0 left-1/2 -translate-x-1/2 w-16 h-16 backdrop-blur-xl rounded-full border flex items-center justify-center transition-all z-30 hover:scale-105 active:scale-95 ${t('bg-white/20 text-white border-white/30 shadow-[0_8px_32px_rgba(255,255,255,0.15)] hover:bg-white/30',
+                                'bg-white/80 text-slate-900 border-white/100 shadow-[0_8px_32px_rgba(0,0,0,0.1)] hover:bg-white')
+                                }`}
+                        >
+                            <Plus className="w-8 h-8" strokeWidth={1.5} />
+                        </button>
+                    )}
+                </div>
+
+                <div className="flex-1 overflow-y-auto px-6 pb-10 hide-scrollbar z-10 -mt-4 pt-4">
+                    {project.tasks?.length > 0 && renderTaskViewControls(project)}
+                    {canEdit && project.tasks?.length > 0 && !isSelecting && renderBulkControls(project, activeTasks)}
+
+                    <div className="space-y-3">
+                        {activeTasks.length === 0 && completedTasks.length === 0 && (
+                            <p className={`text-center mt-8 text-sm ${t('text-white/40', 'text-slate-400')}`}>
+                                {tr(isFiltered(taskFilter) ? 'detail.noMatches' : 'detail.empty')}
+                            </p>
+                        )}
+
+                        {activeTasks.map((task) => (
+                            <div
+                                key={task.id}
+                                id={`task-${task.id}`}
+                                {...taskDrag.getItemProps(task.id)}
+                                className={`group flex items-center justify-between p-4 backdrop-blur-md border rounded-2xl transition-all duration-300 shadow-sm hover:shadow-md ${t('bg-white/5 hover:bg-white/10 border-white/10', 'bg-white/60 hover:bg-white/80 border-white/80')
+                                    } ${taskDrag.draggingId === task.id || focusTaskId === task.id || cursorTaskId === task.id ? t('ring-2 ring-white/50', 'ring-2 ring-slate-400') : ''}`}
+                            >
+                                {canReorder && !isSelecting && (
+                                    <button
+                                        {...taskDrag.getHandleProps(task.id)}
+                                        title={tr('drag.reorder')}
+                                        aria-label={tr('drag.reorder')}
+                                        className={`-ml-2 mr-1 p-1 rounded-full transition-colors ${taskDrag.draggingId === task.id ? 'cursor-grabbing' : 'cursor-grab'} ${t('text-white/30 hover:text-white/80', 'text-slate-300 hover:text-slate-600')}`}
+                                    >
+                                        <GripVertical className="w-4 h-4" strokeWidth={2} />
+                                    </button>
+                                )}
+                                <div
+                                    className="flex items-center flex-1 min-w-0 pr-4 cursor-pointer"
+                                    onClick={() => (isSelecting ? toggleTaskSelected(task.id) : openTaskDetail(project.id, task))}
+                                >
+                                    {isSelecting ? renderSelectBox(task) : (
+                                        <button
+                                            type="button"
+                                            role="checkbox"
+                                            aria-checked={false}
+                                            aria-label={tr('task.complete', { task: task.text })}
+                                            disabled={!canEdit}
+                                            onClick={(e) => { e.stopPropagation(); toggleTask(project.id, task.id); }}
+                                            className={`flex-shrink-0 w-6 h-6 rounded-full border flex items-center justify-center mr-4 transition-all duration-200 ${t('border-white/40 group-hover:border-white', 'border-slate-400 group-hover:border-slate-800')
+                                                }`}
+                                        >
+                                            <Check className="w-3.5 h-3.5 text-transparent" strokeWidth={3} />
+                                        </button>
+                                    )}
+                                    <div className="flex flex-col min-w-0">
+                                        {/* A button so the task opens from the keyboard too; its click bubbles to the row */}
+                                        <button type="button" className={`text-left text-[16px] font-medium truncate ${t('text-white/90', 'text-slate-800')}`}>
+                                            {task.text}
+                                        </button>
+                                        {renderTaskMeta(task)}
+                                        {project.shared && renderAttribution(project, task)}
+                                    </div>
+                                </div>
+                                {canEdit && !isSelecting && (
+                                    <button
+                                        onClick={(e) => { e.stopPropagation(); deleteTask(project.id, task.id); }}
+                                        aria-label={tr('task.deleteNamed', { task: task.text })}
+                                        className={`p-2 transition-colors opacity-100 sm:opacity-0 sm:group-hover:opacity-100 rounded-full backdrop-blur-md ${t('text-white/40 hover:text-rose-400 bg-black/20', 'text-slate-400 hover:text-rose-500 bg-white/50')
+                                            }`}
+                                    >
+                                        <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+
+                    {completedTasks.length > 0 && (
+                        <div className="mt-8 mb-4">
+                            <div className={`flex items-center justify-between text-[11px] font-bold uppercase tracking-widest mb-3 px-2 ${t('text-white/40', 'text-slate-500')}`}>
+                                <span>{tr('detail.completed', { count: completedTasks.length })}</span>
+                                {canEdit && !isSelecting ? (
+                                    <button
+                                        onClick={() => deleteTasks(project.id, completedTasks.map(task => task.id))}
+                                        title={tr('detail.clearCompletedHint')}
+                                        className={`flex items-center space-x-1 transition-colors ${t('hover:text-rose-400', 'hover:text-rose-500')}`}
+                                    >
+                                        <Eraser className="w-3.5 h-3.5" strokeWidth={2} />
+                                        <span>{tr('detail.clearCompleted')}</span>
+                                    </button>
+                                ) : (
+                                    <ChevronLeft className="w-4 h-4 -rotate-90" strokeWidth={2} />
+                                )}
+                            </div>
+
+                            <div className="space-y-3">
+                                {completedTasks.map((task) => (
+                                    <div key={task.id} id={`task-${task.id}`} className={`group flex items-center justify-between p-4 backdrop-blur-sm border rounded-2xl transition-all hover:opacity-100 ${t('bg-black/10 border-white/5', 'bg-white/30 border-white/40')
+                                        } ${focusTaskId === task.id || cursorTaskId === task.id ? t('opacity-100 ring-2 ring-white/50', 'opacity-100 ring-2 ring-slate-400') : 'opacity-60'}`}>
+                                        <div
+                                            className="flex items-center flex-1 min-w-0 pr-4 cursor-pointer"
+                                            onClick={() => (isSelecting ? toggleTaskSelected(task.id) : openTaskDetail(project.id, task))}
+                                        >
+                                            {isSelecting ? renderSelectBox(task) : (
+                                                <button
+                                                    type="button"
+                                                    role="checkbox"
+                                                    aria-checked={true}
+                                                    aria-label={tr('task.reopen', { task: task.text })}
+                                                    disabled={!canEdit}
+                                                    onClick={(e) => { e.stopPropagation(); toggleTask(project.id, task.id); }}
+                                                    className={`flex-shrink-0 w-6 h-6 rounded-full border-none flex items-center justify-center mr-4 ${t('bg-white shadow-[0_0_10px_rgba(255,255,255,0.5)]', 'bg-slate-800 shadow-sm')
+                                                        }`}
+                                                >
+                                                    <Check className={`w-3.5 h-3.5 ${t('text-black', 'text-white')}`} strokeWidth={3} />
+                                                </button>
+                                            )}
+                                            <div className="flex flex-col min-w-0">
+                                                <button type="button" className={`text-left text-[16px] font-medium line-through ${t('text-white/50 decoration-white/30', 'text-slate-500 decoration-slate-400')}`}>
+                                                    {task.text}
+                                                </button>
+                                                {project.shared && renderAttribution(project, task)}
+                                            </div>
+                                        </div>
+                                        {canEdit && !isSelecting && (
+                                            <button
+                                                onClick={(e) => { e.stopPropagation(); deleteTask(project.id, task.id); }}
+                                                aria-label={tr('task.deleteNamed', { task: task.text })}
+                                                className={`p-2 transition-colors opacity-100 sm:opacity-0 sm:group-hover:opacity-100 rounded-full ${t('text-white/30 hover:text-rose-400 bg-black/20', 'text-slate-400 hover:text-rose-500 bg-white/50')
+                                                    }`}
+                                            >
+                                                <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {isSelecting && renderSelectionBar(project, [...activeTasks, ...completedTasks])}
+                </div>
+            </div>
+        );
+    };
+
+    // Shared due date/time inputs for the new-task modal and the task detail sheet
+    const renderDueFields = (dueDate, setDueDate, dueTime, setDueTime) => (
+        <div className="mb-8">
+            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                {tr('form.due')}
+            </label>
+            <div className="flex items-center space-x-3">
+                <input
+                    type="date"
+                    value={dueDate}
+                    onChange={(e) => setDueDate(e.target.value)}
+                    className={`flex-1 min-w-0 border rounded-3xl px-5 py-3 text-[15px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white focus:border-white/40 focus:bg-black/40 [color-scheme:dark]',
+                        'bg-white/50 border-white/80 text-slate-900 focus:border-white focus:bg-white/80')
+                        }`}
+                />
+                <input
+                    type="time"
+                    value={dueTime}
+                    onChange={(e) => setDueTime(e.target.value)}
+                    disabled={!dueDate}
+                    className={`w-32 border rounded-3xl px-5 py-3 text-[15px] font-medium transition-all outline-none backdrop-blur-md disabled:opacity-40 ${t('bg-black/20 border-white/10 text-white focus:border-white/40 focus:bg-black/40 [color-scheme:dark]',
+                        'bg-white/50 border-white/80 text-slate-900 focus:border-white focus:bg-white/80')
+                        }`}
+                />
+                {dueDate && (
+                    <button
+                        onClick={() => {
+                            setDueDate('');
+                            setDueTime('');
+                        }}
+                        aria-label={tr('form.clearDue')}
+                        className={`flex-shrink-0 w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/50 border-white/80 text-slate-600 hover:bg-white/80')
+                            }`}
+                    >
+                        <X className="w-4 h-4" strokeWidth={1.5} />
+                    </button>
+                )}
+            </div>
+            {dueTime && (
+                <p className={`flex items-center space-x-1.5 mt-3 ml-2 text-xs font-medium ${t('text-white/50', 'text-slate-500')}`}>
+                    <Bell className="w-3.5 h-3.5" strokeWidth={2} />
+                    <span>{tr('form.reminderHint', { time: dueTime })}</span>
+                </p>
+            )}
+        </div>
+    );
+
+    // Shared priority picker and tag input; tags already used in the project are offered as shortcuts
+    const renderPriorityTagFields = (priority, setPriority, tagsInput, setTagsInput, project) => {
+        const currentTags = parseTags(tagsInput);
+        const suggestions = getProjectTags(project).filter(tag => !currentTags.includes(tag));
+
+        return (
+            <div className="mb-8">
+                <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                    {tr('form.priority')}
+                </label>
+                <div className="flex items-center space-x-2 mb-6">
+                    {PRIORITIES.map(option => (
+                        <button
+                            key={option}
+                            onClick={() => setPriority(option)}
+                            className={`flex-1 flex items-center justify-center space-x-1.5 py-2 rounded-full text-[14px] font-medium transition-all duration-300 border ${priority === option
+                                ? (option === 'none' ? t('bg-white/20 border-white text-white', 'bg-white border-white text-slate-900 shadow-sm') : t(...priorityStyles[option]))
+                                : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                }`}
+                        >
+                            {option !== 'none' && <Flag className="w-3.5 h-3.5" strokeWidth={2} />}
+                            <span>{tr(`priority.${option}`)}</span>
+                        </button>
+                    ))}
+                </div>
+
+                <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                    {tr('form.tags')}
+                </label>
+                <div className={`flex items-center space-x-3 border rounded-3xl px-5 py-3 transition-all backdrop-blur-md ${t('bg-black/20 border-white/10 focus-within:border-white/40', 'bg-white/50 border-white/80 focus-within:border-white')}`}>
+                    <Tag className={`w-4 h-4 flex-shrink-0 ${t('text-white/40', 'text-slate-400')}`} strokeWidth={2} />
+                    <input
+                        type="text"
+                        value={tagsInput}
+                        onChange={(e) => setTagsInput(e.target.value)}
+                        placeholder={tr('form.tagsPlaceholder')}
+                        className={`flex-1 min-w-0 bg-transparent outline-none text-[15px] font-medium ${t('text-white placeholder:text-white/30', 'text-slate-900 placeholder:text-slate-400')}`}
+                    />
+                </div>
+                {suggestions.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-3">
+                        {suggestions.map(tag => (
+                            <button
+                                key={tag}
+                                onClick={() => setTagsInput([...currentTags, tag].join(', '))}
+                                className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${t('bg-black/20 border-white/10 text-white/60 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-500 hover:bg-white/60')}`}
+                            >
+                                #{tag}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // Shared repeat rule picker; defaults for weekly/monthly come from the due date (or today)
+    const renderRepeatFields = (recurrence, setRecurrence, dueDate) => {
+        const baseDate = dueDate ? parseDateInputValue(dueDate) : new Date();
+        const options = [null, ...RECURRENCE_TYPES];
+
+        const chipClass = (isSelected) => `flex-shrink-0 px-4 py-2 rounded-full text-[14px] font-medium whitespace-nowrap transition-all duration-300 border ${isSelected
+            ? t('bg-white/20 border-white text-white shadow-[0_0_15px_rgba(255,255,255,0.2)] backdrop-blur-md', 'bg-white border-white text-slate-900 shadow-sm backdrop-blur-md')
+            : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+            }`;
+        const numberClass = `w-20 border rounded-2xl px-4 py-2 text-[15px] font-medium outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white focus:border-white/40', 'bg-white/50 border-white/80 text-slate-900 focus:border-white')}`;
+
+        const toggleWeekday = (day) => {
+            const days = recurrence.days.includes(day)
+                ? recurrence.days.filter(d => d !== day)
+                : [...recurrence.days, day];
+            if (days.length > 0) setRecurrence({ ...recurrence, days });
+        };
+
+        return (
+            <div className="mb-8">
+                <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                    {tr('form.repeat')}
+                </label>
+                <div className="flex items-center space-x-2 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
+                    {options.map(type => (
+                        <button
+                            key={type || 'never'}
+                            onClick={() => setRecurrence(type ? createRecurrence(type, baseDate) : null)}
+                            className={chipClass((recurrence?.type || null) === type)}
+                        >
+                            {tr(`repeat.type.${type || 'never'}`)}
+                        </button>
+                    ))}
+                </div>
+
+                {recurrence?.type === 'weekly' && (
+                    <div className="flex items-center justify-between mt-3">
+                        {[1, 2, 3, 4, 5, 6, 0].map(day => (
+                            <button
+                                key={day}
+                                onClick={() => toggleWeekday(day)}
+                                className={`w-10 h-10 rounded-full text-xs font-semibold border transition-all ${recurrence.days.includes(day)
+                                    ? t('bg-white text-black border-transparent', 'bg-slate-900 text-white border-transparent')
+                                    : t('bg-black/20 border-white/10 text-white/60', 'bg-white/40 border-white/60 text-slate-500')
+                                    }`}
+                            >
+                                {weekdayLabel(day, i18n)}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                {recurrence?.type === 'monthly' && (
+                    <div className={`flex items-center space-x-3 mt-3 text-sm font-medium ${t('text-white/70', 'text-slate-600')}`}>
+                        <span>{tr('repeat.monthlyBefore')}</span>
+                        <input
+                            type="number"
+                            min={1}
+                            max={31}
+                            value={recurrence.dayOfMonth}
+                            onChange={(e) => setRecurrence({ ...recurrence, dayOfMonth: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+                            className={numberClass}
+                        />
+                        <span>{tr('repeat.monthlyAfter')}</span>
+                    </div>
+                )}
+
+                {recurrence?.type === 'interval' && (
+                    <div className={`flex items-center space-x-3 mt-3 text-sm font-medium ${t('text-white/70', 'text-slate-600')}`}>
+                        <span>{tr('repeat.intervalBefore')}</span>
+                        <input
+                            type="number"
+                            min={1}
+                            value={recurrence.interval}
+                            onChange={(e) => setRecurrence({ ...recurrence, interval: Math.max(1, Number(e.target.value) || 1) })}
+                            className={numberClass}
+                        />
+                        <span>{tr('repeat.intervalAfter', { count: recurrence.interval })}</span>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // Quick-add line with a preview of what it understood; Enter creates the task
+    const renderQuickAdd = () => {
+        const parsed = parseQuickAdd(quickAddText, activeProjects.filter(canEditProject));
+        const project = projects.find(p => p.id === parsed.projectId);
+
+        return (
+            <div className="mb-8">
+                <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                    {tr('form.quickAdd')}
+                </label>
+                <input
+                    type="text"
+                    value={quickAddText}
+                    onChange={(e) => handleQuickAddChange(e.target.value)}
+                    onKeyDown={(e) => {
+                        // Enter also confirms an IME composition; only a plain Enter adds the task
+                        if (e.key === 'Enter' && !e.nativeEvent.isComposing && newTaskText.trim()) handleAddTask();
+                    }}
+                    placeholder={tr('form.quickAddPlaceholder')}
+                    className={`w-full border rounded-3xl px-6 py-4 text-[15px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                        'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                        }`}
+                    autoFocus
+                />
+                {quickAddText.trim() && (
+                    <div className={`mt-3 ml-2 text-sm ${t('text-white/70', 'text-slate-600')}`}>
+                        <span className="font-semibold">{parsed.text || tr('form.untitled')}</span>
+                        {hasQuickAddFields(parsed) && (
+                            <div className="mt-1.5 flex flex-wrap items-center gap-1.5">
+                                {project && (
+                                    <span className={`flex items-center space-x-1.5 px-2 py-0.5 rounded-full text-[11px] font-semibold border ${t('bg-white/5 border-white/10 text-white/70', 'bg-white/50 border-white/80 text-slate-600')}`}>
+                                        <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getProjectColor(project) }}></span>
+                                        <span>{project.title}</span>
+                                    </span>
+                                )}
+                                {renderTaskMeta({ ...parsed, completed: false })}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // 3. NEW TASK MODAL
+    const renderNewTaskModal = () => {
+        if (!isAddingTask) return null;
+
+        return (
+            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+                <div
+                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={() => setIsAddingTask(false)}
+                />
+
+                <div
+                    ref={newTaskDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="new-task-title"
+                    tabIndex={-1}
+                    className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
+                    <div className="w-full flex justify-center pt-4 pb-2">
+                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                    </div>
+
+                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                        <button
+                            onClick={() => setIsAddingTask(false)}
+                            aria-label={tr('common.close')}
+                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                                }`}
+                        >
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+                    </div>
+
+                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                        <h2 id="new-task-title" className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('newTask.title')}</h2>
+
+                        {renderQuickAdd()}
+
+                        <div className="mb-8">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('form.project')}
+                            </label>
+                            <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
+                                <button
+                                    onClick={() => {
+                                        setIsAddingTask(false);
+                                        setIsAddingProject(true);
+                                    }}
+                                    aria-label={tr('home.newProject')}
+                                    className={`flex-shrink-0 w-12 h-11 flex items-center justify-center rounded-full border transition-colors ${t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/50 border-white/80 text-slate-600 hover:bg-white/80')
+                                        }`}
+                                >
+                                    <FolderPlus className="w-5 h-5" strokeWidth={1.5} />
+                                </button>
+                                {activeProjects.filter(canEditProject).map(p => {
+                                    const isSelected = selectedFormProject?.id === p.id;
+                                    return (
+                                        <button
+                                            key={p.id}
+                                            onClick={() => setSelectedFormProject(p)}
+                                            className={`flex-shrink-0 px-5 py-2.5 rounded-full text-[15px] font-medium whitespace-nowrap transition-all duration-300 border ${isSelected
+                                                ? t('bg-white/20 border-white text-white shadow-[0_0_15px_rgba(255,255,255,0.2)] backdrop-blur-md', 'bg-white border-white text-slate-900 shadow-sm backdrop-blur-md')
+                                                : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                                }`}
+                                        >
+                                            {p.title}
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+
+                        <div className="mb-4">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('form.title')}
+                            </label>
+                            <input
+                                type="text"
+                                value={newTaskText}
+                                onChange={(e) => setNewTaskText(e.target.value)}
+                                placeholder={tr('newTask.titlePlaceholder')}
+                                className={`w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                                    'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                                    }`}
+                            />
+                        </div>
+                        <div className="mb-8">
+                            <input
+                                type="text"
+                                value={newTaskDesc}
+                                onChange={(e) => setNewTaskDesc(e.target.value)}
+                                placeholder={tr('form.descriptionPlaceholder')}
+                                className={`w-full border rounded-3xl px-6 py-4 text-[15px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                                    'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                                    }`}
+                            />
+                        </div>
+
+                        {renderPriorityTagFields(newTaskPriority, setNewTaskPriority, newTaskTags, setNewTaskTags, projects.find(p => p.id === selectedFormProject?.id))}
+                        {renderDueFields(newTaskDueDate, setNewTaskDueDate, newTaskDueTime, setNewTaskDueTime)}
+                        {renderRepeatFields(newTaskRecurrence, setNewTaskRecurrence, newTaskDueDate)}
+                    </div>
+
+                    <div className={`p-6 backdrop-blur-xl border-t shrink-0 pb-8 sm:pb-6 ${t('bg-black/20 border-white/10', 'bg-white/40 border-white/40')}`}>
+                        <button
+                            onClick={handleAddTask}
+                            disabled={!newTaskText.trim()}
+                            className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${newTaskText.trim()
+                                ? t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
+                                    'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
+                                : t('bg-white/5 text-white/30 border-white/10 cursor-not-allowed shadow-none',
+                                    'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
+                                }`}
+                        >
+                            {tr('newTask.create')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Color swatches (plus any custom color) and icon / emoji picker, for new and existing projects.
+    // `pickColor` receives the custom picker's color on every input; it defaults to setColor.
+    const renderProjectAppearanceFields = (color, setColor, icon, setIcon, pickColor = setColor) => {
+        const labelClass = `block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`;
+        const isCustomColor = !PROJECT_COLORS.includes(color);
+        const emoji = toEmojiIcon(icon);
+
+        return (
+            <>
+                <div className="mb-6">
+                    <label className={labelClass}>{tr('appearance.color')}</label>
+                    <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
+                        {PROJECT_COLORS.map(hex => (
+                            <button
+                                key={hex}
+                                onClick={() => setColor(hex)}
+                                aria-label={hex}
+                                aria-pressed={color === hex}
+                                className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center transition-all duration-300 ${color === hex
+                                    ? 'scale-110 shadow-lg'
+                                    : 'opacity-50 hover:opacity-100 hover:scale-105'
+                                    }`}
+                                style={{ backgroundColor: hex }}
+                            >
+                                {color === hex && <Check className="w-6 h-6 drop-shadow-md" style={{ color: getContrastColor(hex) }} />}
+                            </button>
+                        ))}
+                        <label
+                            title={tr('appearance.customColor')}
+                            className={`relative flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center cursor-pointer transition-all duration-300 ${isCustomColor
+                                ? 'scale-110 shadow-lg'
+                                : 'opacity-50 hover:opacity-100 hover:scale-105'
+                                }`}
+                            style={{ background: isCustomColor ? color : 'conic-gradient(#f43f5e, #f59e0b, #84cc16, #06b6d4, #6366f1, #d946ef, #f43f5e)' }}
+                        >
+                            {isCustomColor && <Check className="w-6 h-6 drop-shadow-md" style={{ color: getContrastColor(color) }} />}
+                            <input
+                                type="color"
+                                value={color}
+                                onChange={(e) => pickColor(normalizeHexColor(e.target.value) || color)}
+                                aria-label={tr('appearance.customColor')}
+                                className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                            />
+                        </label>
+                    </div>
+                </div>
+
+                <div className="mb-4">
+                    <label className={labelClass}>{tr('appearance.icon')}</label>
+                    <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
+                        {PROJECT_ICONS.map(name => (
+                            <button
+                                key={name}
+                                onClick={() => setIcon(name)}
+                                title={tr(`appearance.icon.${name}`)}
+                                aria-label={tr(`appearance.icon.${name}`)}
+                                aria-pressed={icon === name}
+                                className={`flex-shrink-0 w-12 h-12 rounded-full flex items-center justify-center border transition-all duration-300 ${icon === name
+                                    ? t('bg-white/20 border-white text-white shadow-[0_0_15px_rgba(255,255,255,0.2)]', 'bg-white border-white text-slate-900 shadow-sm')
+                                    : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                    }`}
+                            >
+                                {renderProjectIcon(name, 'w-5 h-5')}
+                            </button>
+                        ))}
+                    </div>
+                    <input
+                        type="text"
+                        value={emoji || ''}
+                        onChange={(e) => {
+                            // A newly typed emoji replaces the current one, clearing the field goes back to the default icon
+                            const typed = emoji ? e.target.value.replace(emoji, '') : e.target.value;
+                            setIcon(toEmojiIcon(typed) || (e.target.value ? icon : 'plus'));
+                        }}
+                        placeholder={tr('appearance.emojiPlaceholder')}
+                        aria-label={tr('appearance.emoji')}
+                        className={`w-full mt-3 border rounded-full px-5 py-3 text-[15px] transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                            'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                            }`}
+                    />
+                </div>
+            </>
+        );
+    };
+
+    // 4. NEW PROJECT MODAL
+
+    const renderNewProjectModal = () => {
+        if (!isAddingProject) return null;
+
+        return (
+            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+                <div
+                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={() => setIsAddingProject(false)}
+                />
+
+                <div
+                    ref={newProjectDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="new-project-title"
+                    tabIndex={-1}
+                    className={`w-full h-[65vh] sm:h-[60vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
+                    <div className="w-full flex justify-center pt-4 pb-2">
+                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                    </div>
+
+                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                        <button
+                            onClick={() => setIsAddingProject(false)}
+                            aria-label={tr('common.close')}
+                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                                }`}
+                        >
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+                    </div>
+
+                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                        <h2 id="new-project-title" className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('newProject.title')}</h2>
+
+                        <div className="mb-4">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('newProject.name')}
+                            </label>
+                            <input
+                                type="text"
+                                value={newProjectTitle}
+                                onChange={(e) => setNewProjectTitle(e.target.value)}
+                                placeholder={tr('newProject.namePlaceholder')}
+                                className={`w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                                    'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                                    }`}
+                                autoFocus
+                                onKeyDown={(e) => e.key === 'Enter' && handleAddProject()}
+                            />
+                        </div>
+
+                        <div className="mt-6">
+                            {renderProjectAppearanceFields(newProjectColor, setNewProjectColor, newProjectIcon, setNewProjectIcon)}
+                        </div>
+
+                        {canShare && (
+                            <button
+                                onClick={() => {
+                                    setIsAddingProject(false);
+                                    setShareError('');
+                                    setIsJoinOpen(true);
+                                }}
+                                className={`mt-6 flex items-center space-x-2 text-sm font-semibold transition-colors ${t('text-white/60 hover:text-white', 'text-slate-500 hover:text-slate-900')}`}
+                            >
+                                <UserPlus className="w-4 h-4" strokeWidth={2} />
+                                <span>{tr('newProject.join')}</span>
+                            </button>
+                        )}
+                    </div>
+
+                    <div className={`p-6 backdrop-blur-xl border-t shrink-0 pb-8 sm:pb-6 ${t('bg-black/20 border-white/10', 'bg-white/40 border-white/40')}`}>
+                        <button
+                            onClick={handleAddProject}
+                            disabled={!newProjectTitle.trim()}
+                            className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${newProjectTitle.trim()
+                                ? t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
+                                    'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
+                                : t('bg-white/5 text-white/30 border-white/10 cursor-not-allowed shadow-none',
+                                    'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
+                                }`}
+                        >
+                            {tr('newProject.create')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Checklist inside the task detail sheet, saved immediately like toggleTask
+    const renderSubtaskChecklist = (project, task) => {
+        const subtasks = task.subtasks || [];
+        const { done, total } = getSubtaskCounts(task);
+        const allDone = total > 0 && done === total;
+        const canEdit = canEditProject(project);
+
+        return (
+            <div className="mb-8">
+                <label className={`flex items-center justify-between text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                    <span>{tr('subtasks.title')}</span>
+                    {total > 0 && <span>{done}/{total}</span>}
+                </label>
+
+                <div className="space-y-2">
+                    {subtasks.map((subtask) => (
+                        <div key={subtask.id} className={`group flex items-center justify-between px-4 py-3 border rounded-2xl backdrop-blur-md ${t('bg-black/20 border-white/10', 'bg-white/50 border-white/80')}`}>
+                            <button
+                                type="button"
+                                role="checkbox"
+                                aria-checked={!!subtask.completed}
+                                disabled={!canEdit}
+                                onClick={() => toggleSubtask(project.id, task, subtask.id)}
+                                className="flex items-center flex-1 min-w-0 pr-3 text-left cursor-pointer disabled:cursor-default"
+                            >
+                                <div className={`flex-shrink-0 w-5 h-5 rounded-full border flex items-center justify-center mr-3 transition-all ${subtask.completed
+                                    ? t('bg-white border-transparent', 'bg-slate-800 border-transparent')
+                                    : t('border-white/40', 'border-slate-400')
+                                    }`}>
+                                    <Check className={`w-3 h-3 ${subtask.completed ? t('text-black', 'text-white') : 'text-transparent'}`} strokeWidth={3} />
+                                </div>
+                                <span className={`text-[15px] font-medium truncate ${subtask.completed
+                                    ? t('line-through text-white/40', 'line-through text-slate-400')
+                                    : t('text-white/90', 'text-slate-800')
+                                    }`}>
+                                    {subtask.text}
+                                </span>
+                            </button>
+                            <button
+                                onClick={() => deleteSubtask(project.id, task, subtask.id)}
+                                aria-label={tr('subtasks.delete', { title: subtask.text })}
+                                className={`p-1 transition-colors rounded-full ${t('text-white/30 hover:text-rose-400', 'text-slate-400 hover:text-rose-500')}`}
+                            >
+                                <X className="w-4 h-4" strokeWidth={1.5} />
+                            </button>
+                        </div>
+                    ))}
+
+                    <input
+                        type="text"
+                        value={newSubtaskText}
+                        onChange={(e) => setNewSubtaskText(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleAddSubtask(project.id, task)}
+                        placeholder={tr('subtasks.placeholder')}
+                        className={`w-full border border-dashed rounded-2xl px-4 py-3 text-[15px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-transparent border-white/20 text-white placeholder:text-white/30 focus:border-white/40',
+                            'bg-transparent border-slate-300 text-slate-900 placeholder:text-slate-400 focus:border-slate-500')
+                            }`}
+                    />
+                </div>
+
+                {allDone && !task.completed && (
+                    <button
+                        onClick={() => toggleTask(project.id, task.id)}
+                        className={`w-full mt-3 flex items-center justify-center space-x-2 py-3 rounded-2xl border text-sm font-semibold transition-all active:scale-[0.98] ${t('bg-emerald-500/20 border-emerald-400/40 text-emerald-300 hover:bg-emerald-500/30', 'bg-emerald-50 border-emerald-200 text-emerald-700 hover:bg-emerald-100')}`}
+                    >
+                        <Check className="w-4 h-4" strokeWidth={2.5} />
+                        <span>{tr('subtasks.allDone')}</span>
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    // 5. TASK DETAIL SHEET
+    const renderTaskDetailSheet = () => {
+        if (!editingTask) return null;
+
+        const project = projects.find(p => p.id === editingTask.projectId);
+        const task = project?.tasks?.find(t => t.id === editingTask.taskId);
+        if (!task) return null;
+        const canEdit = canEditProject(project);
+
+        return (
+            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+                <div
+                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={closeTaskDetail}
+                />
+
+                <div
+                    ref={taskDetailDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="task-detail-title"
+                    tabIndex={-1}
+                    className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
+                    <div className="w-full flex justify-center pt-4 pb-2">
+                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                    </div>
+
+                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                        <button
+                            onClick={closeTaskDetail}
+                            aria-label={tr('common.close')}
+                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                                }`}
+                        >
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+
+                        {canEdit && (
+                            <button
                                 onClick={() => {
-                                    if (window.confirm(`Delete project "${project.title}" from cloud?`)) {
-                                        deleteProject(project.id);
-                                    }
+                                    closeTaskDetail();
+                                    deleteTask(project.id, task.id);
                                 }}
-                                className={`w-10 h-10 backdrop-blur-xl rounded-full flex items-center justify-center border transition-colors active:scale-90 ${t('bg-black/20 border-white/10 hover:bg-rose-500/20 text-rose-400 hover:text-rose-500 hover:border-rose-500/50', 'bg-white/60 border-white/80 hover:bg-rose-50 text-rose-500 hover:border-rose-200')
+                                aria-label={tr('task.delete')}
+                                className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-rose-500/20 text-rose-400', 'bg-white/50 border-white/80 hover:bg-rose-50 text-rose-500')
+                                    }`}
+                            >
+                                <Trash2 className="w-5 h-5" strokeWidth={1.5} />
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                        <h2 id="task-detail-title" className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('taskDetail.title')}</h2>
+
+                        {project.shared && (
+                            <div className="-mt-6 mb-8">{renderAttribution(project, task)}</div>
+                        )}
+
+                        {/* Viewers of a shared project get the same sheet, read-only */}
+                        <fieldset disabled={!canEdit} className="contents">
+
+                            <div className="mb-4">
+                                <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                    {tr('form.title')}
+                                </label>
+                                <input
+                                    type="text"
+                                    value={editTaskText}
+                                    onChange={(e) => setEditTaskText(e.target.value)}
+                                    className={`w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                                        'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                                        }`}
+                                />
+                            </div>
+                            <div className="mb-8">
+                                <textarea
+                                    value={editTaskDesc}
+                                    onChange={(e) => setEditTaskDesc(e.target.value)}
+                                    placeholder={tr('form.descriptionPlaceholder')}
+                                    rows={4}
+                                    className={`w-full border rounded-3xl px-6 py-4 text-[15px] font-medium transition-all outline-none backdrop-blur-md resize-none ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                                        'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                                        }`}
+                                />
+                            </div>
+
+                            {renderPriorityTagFields(editTaskPriority, setEditTaskPriority, editTaskTags, setEditTaskTags, projects.find(p => p.id === editTaskProjectId))}
+                            {renderDueFields(editTaskDueDate, setEditTaskDueDate, editTaskDueTime, setEditTaskDueTime)}
+                            {renderRepeatFields(editTaskRecurrence, setEditTaskRecurrence, editTaskDueDate)}
+
+                            {renderSubtaskChecklist(project, task)}
+
+                            <div className="mb-8">
+                                <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                    {tr('form.project')}
+                                </label>
+
+                                <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
+                                    {projects.filter(p => p.id === editTaskProjectId || canEditProject(p)).map(p => {
+                                        const isSelected = editTaskProjectId === p.id;
+                                        return (
+                                            <button
+                                                key={p.id}
+                                                onClick={() => setEditTaskProjectId(p.id)}
+                                                className={`flex-shrink-0 px-5 py-2.5 rounded-full text-[15px] font-medium whitespace-nowrap transition-all duration-300 border ${isSelected
+                                                    ? t('bg-white/20 border-white text-white shadow-[0_0_15px_rgba(255,255,255,0.2)] backdrop-blur-md', 'bg-white border-white text-slate-900 shadow-sm backdrop-blur-md')
+                                                    : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                                    }`}
+                                            >
+                                                {p.title}
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        </fieldset>
+                    </div>
+
+                    {canEdit && (
+                        <div className={`p-6 backdrop-blur-xl border-t shrink-0 pb-8 sm:pb-6 ${t('bg-black/20 border-white/10', 'bg-white/40 border-white/40')}`}>
+                            <button
+                                onClick={handleSaveTask}
+                                disabled={!editTaskText.trim()}
+                                className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${editTaskText.trim()
+                                    ? t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
+                                        'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
+                                    : t('bg-white/5 text-white/30 border-white/10 cursor-not-allowed shadow-none',
+                                        'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
+                                    }`}
+                            >
+                                {tr('taskDetail.save')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // 6. RECENTLY DELETED SHEET
+    const renderTrashSheet = () => {
+        if (!isTrashOpen) return null;
+
+        const items = getTrashItems(storedProjects);
+        const hasManageableItems = items.some(item => canManageTrash(item.project));
+
+        return (
+            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+                <div
+                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={() => setIsTrashOpen(false)}
+                />
+
+                <div
+                    ref={trashDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="trash-title"
+                    tabIndex={-1}
+                    className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
+                    <div className="w-full flex justify-center pt-4 pb-2">
+                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                    </div>
+
+                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                        <button
+                            onClick={() => setIsTrashOpen(false)}
+                            aria-label={tr('common.close')}
+                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                                }`}
+                        >
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+
+                        {hasManageableItems && (
+                            <button
+                                onClick={emptyTrash}
+                                className={`px-4 py-2 rounded-full border text-sm font-semibold transition-colors ${t('bg-white/10 border-white/10 hover:bg-rose-500/20 text-rose-400', 'bg-white/50 border-white/80 hover:bg-rose-50 text-rose-500')
                                     }`}
                             >
-                                <Trash2 className="w-5 h-5" strokeWidth={1.5} />
+                                {tr('trash.empty')}
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                        <h2 id="trash-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('trash.title')}</h2>
+                        <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>{tr('trash.retention')}</p>
+
+                        {items.length === 0 && (
+                            <p className={`text-center mt-8 text-sm ${t('text-white/40', 'text-slate-400')}`}>{tr('trash.nothing')}</p>
+                        )}
+
+                        <div className="space-y-3">
+                            {items.map((item) => (
+                                <div key={item.kind === 'project' ? item.project.id : item.task.id} className={`flex items-center justify-between p-4 backdrop-blur-md border rounded-2xl ${t('bg-white/5 border-white/10', 'bg-white/60 border-white/80')}`}>
+                                    <div className="flex items-center flex-1 min-w-0 pr-3">
+                                        {item.kind === 'project' && (
+                                            <div className="flex-shrink-0 w-3 h-3 rounded-full mr-3" style={{ backgroundColor: getProjectColor(item.project) }}></div>
+                                        )}
+                                        <div className="flex flex-col min-w-0">
+                                            <span className={`text-[16px] font-medium truncate ${t('text-white/90', 'text-slate-800')}`}>
+                                                {item.kind === 'project' ? item.project.title : item.task.text}
+                                            </span>
+                                            <span className={`text-xs font-medium truncate ${t('text-white/40', 'text-slate-500')}`}>
+                                                {item.kind === 'project'
+                                                    ? tr('trash.project', { count: item.project.tasks?.length || 0 })
+                                                    : tr('trash.task', { project: item.project.title })}
+                                                {' · '}{tr('trash.daysLeft', { count: daysLeft(item.deletedAt, now) })}
+                                            </span>
+                                        </div>
+                                    </div>
+                                    {canManageTrash(item.project) ? (
+                                        <div className="flex items-center space-x-2">
+                                            <button
+                                                onClick={() => restoreTrashItem(item)}
+                                                title={tr('trash.restore')}
+                                                aria-label={tr('trash.restore')}
+                                                className={`p-2 rounded-full transition-colors ${t('text-white/60 hover:text-white bg-black/20', 'text-slate-500 hover:text-slate-900 bg-white/50')}`}
+                                            >
+                                                <RotateCcw className="w-4 h-4" strokeWidth={1.5} />
+                                            </button>
+                                            <button
+                                                onClick={() => purgeTrashItem(item)}
+                                                title={tr('trash.deleteForever')}
+                                                aria-label={tr('trash.deleteForever')}
+                                                className={`p-2 rounded-full transition-colors ${t('text-white/40 hover:text-rose-400 bg-black/20', 'text-slate-400 hover:text-rose-500 bg-white/50')}`}
+                                            >
+                                                <Trash2 className="w-4 h-4" strokeWidth={1.5} />
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <span className={`text-xs shrink-0 ${t('text-white/40', 'text-slate-400')}`}>{tr('trash.ownerOnly')}</span>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // 7. EXPORT & IMPORT SHEET
+    const renderBackupSheet = () => {
+        if (!isBackupOpen) return null;
+
+        const plan = importData ? planImport(projects, importData.projects, importMode) : null;
+        const optionClass = (isSelected) => `flex-1 py-3 rounded-2xl border text-sm font-semibold transition-all ${isSelected
+            ? t('bg-white/20 border-white text-white', 'bg-white border-white text-slate-900 shadow-sm')
+            : t('bg-black/20 border-white/10 text-white/60 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+            }`;
+
+        return (
+            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+                <div
+                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={closeBackup}
+                />
+
+                <div
+                    ref={backupDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="backup-title"
+                    tabIndex={-1}
+                    className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
+                    <div className="w-full flex justify-center pt-4 pb-2">
+                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                    </div>
+
+                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                        <button
+                            onClick={closeBackup}
+                            aria-label={tr('common.close')}
+                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                                }`}
+                        >
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+                    </div>
+
+                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                        <h2 id="backup-title" className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('backup.title')}</h2>
+
+                        <div className="mb-8">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('backup.export')}
+                            </label>
+                            <div className="flex items-center space-x-3">
+                                <button onClick={() => handleExport('json')} className={optionClass(false)}>JSON</button>
+                                <button onClick={() => handleExport('csv')} className={optionClass(false)}>CSV</button>
+                                <button onClick={() => handleExport('markdown')} className={optionClass(false)}>Markdown</button>
+                            </div>
+                            <p className={`mt-3 ml-2 text-xs font-medium ${t('text-white/40', 'text-slate-500')}`}>
+                                {tr('backup.exportHint')}
+                            </p>
+                        </div>
+
+                        <div className="mb-8">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('backup.import')}
+                            </label>
+                            <button
+                                onClick={() => importInputRef.current?.click()}
+                                className={`w-full flex items-center justify-center space-x-2 py-4 rounded-3xl border border-dashed text-[15px] font-medium transition-colors ${t('border-white/20 text-white/70 hover:bg-white/5', 'border-slate-300 text-slate-600 hover:bg-white/50')}`}
+                            >
+                                <Upload className="w-4 h-4" />
+                                <span>{importData ? importData.filename : tr('backup.chooseFile')}</span>
+                            </button>
+                            <input
+                                type="file"
+                                ref={importInputRef}
+                                onChange={handleImportFile}
+                                accept=".json,.csv,.md,.markdown,application/json,text/csv,text/markdown"
+                                className="hidden"
+                            />
+
+                            {importError && (
+                                <p className={`mt-3 ml-2 text-sm font-medium ${t('text-rose-400', 'text-rose-500')}`}>{importError}</p>
+                            )}
+
+                            {plan && (
+                                <div className="mt-6">
+                                    <div className="flex items-center space-x-3 mb-4">
+                                        <button onClick={() => setImportMode('merge')} className={optionClass(importMode === 'merge')}>{tr('backup.merge')}</button>
+                                        <button onClick={() => setImportMode('replace')} className={optionClass(importMode === 'replace')}>{tr('backup.replace')}</button>
+                                    </div>
+
+                                    <div className={`p-4 rounded-2xl border space-y-1.5 text-sm font-medium ${t('bg-black/20 border-white/10 text-white/80', 'bg-white/50 border-white/80 text-slate-700')}`}>
+                                        {plan.add.length > 0 && <p>+ {tr('backup.planAdd', { count: plan.add.length })}</p>}
+                                        {plan.update.map((u) => (
+                                            <p key={u.id}>+ {tr('backup.planUpdate', { count: u.newTasks.length, title: u.title })}</p>
+                                        ))}
+                                        {plan.remove.length > 0 && (
+                                            <p className={t('text-rose-400', 'text-rose-500')}>− {tr('backup.planRemove', { count: plan.remove.length })}</p>
+                                        )}
+                                        {plan.keep.length > 0 && (
+                                            <p className={t('text-white/50', 'text-slate-500')}>{tr('backup.planKeepShared', { count: plan.keep.length })}</p>
+                                        )}
+                                        <p className={t('text-white/50', 'text-slate-500')}>{tr('backup.planTasks', { count: plan.tasksAdded })}</p>
+                                        {plan.add.length === 0 && plan.update.length === 0 && plan.remove.length === 0 && (
+                                            <p className={t('text-white/50', 'text-slate-500')}>{tr('backup.planNothing')}</p>
+                                        )}
+                                    </div>
+
+                                    {importData.errors.length > 0 && (
+                                        <ul className={`mt-3 ml-2 space-y-1 text-xs font-medium ${t('text-amber-300', 'text-amber-600')}`}>
+                                            {importData.errors.map((error, i) => <li key={i}>{tr(error.code, error.params)}</li>)}
+                                        </ul>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {plan && (
+                        <div className={`p-6 backdrop-blur-xl border-t shrink-0 pb-8 sm:pb-6 ${t('bg-black/20 border-white/10', 'bg-white/40 border-white/40')}`}>
+                            <button
+                                onClick={applyImport}
+                                className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
+                                    'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
+                                    }`}
+                            >
+                                {importMode === 'replace' ? tr('backup.applyReplace') : tr('backup.applyMerge')}
                             </button>
                         </div>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    // 8. ACCOUNT SHEET
+    const renderAccountSheet = () => {
+        if (!isAccountOpen) return null;
+
+        const inputClass = `w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+            'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+            }`;
+        const secondaryClass = `w-full py-4 rounded-full font-semibold text-[15px] transition-all border disabled:opacity-40 ${t('bg-white/10 border-white/20 text-white hover:bg-white/20', 'bg-white/60 border-white/80 text-slate-800 hover:bg-white/80')}`;
+        const canSubmit = accountEmail.trim() && accountPassword && !isAccountBusy;
+
+        return (
+            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+                <div
+                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={() => setIsAccountOpen(false)}
+                />
+
+                <div
+                    ref={accountDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="account-title"
+                    tabIndex={-1}
+                    className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
+                    <div className="w-full flex justify-center pt-4 pb-2">
+                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                    </div>
+
+                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                        <button
+                            onClick={() => setIsAccountOpen(false)}
+                            aria-label={tr('common.close')}
+                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                                }`}
+                        >
+                            <X className="w-5 h-5" strokeWidth={1.5} />
+                        </button>
+                    </div>
+
+                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                        <h2 id="account-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('account.title')}</h2>
+
+                        {isLocalMode ? (
+                            <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('account.localMode')}
+                            </p>
+                        ) : accountInfo && !accountInfo.isAnonymous ? (
+                            <>
+                                <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>{tr('account.signedInHint')}</p>
+                                <div className={`flex items-center space-x-3 p-4 mb-6 rounded-2xl border ${t('bg-black/20 border-white/10 text-white/90', 'bg-white/50 border-white/80 text-slate-800')}`}>
+                                    <Mail className="w-5 h-5 opacity-60" strokeWidth={1.5} />
+                                    <span className="text-[15px] font-medium truncate">{accountInfo.email || tr('account.signedIn')}</span>
+                                </div>
+                                <button onClick={handleSignOut} disabled={isAccountBusy} className={secondaryClass}>
+                                    {tr('account.signOut')}
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>
+                                    {tr('account.guestHint')}
+                                </p>
+
+                                <form onSubmit={handleLinkEmail} className="space-y-4 mb-6">
+                                    <input
+                                        type="email"
+                                        value={accountEmail}
+                                        onChange={(e) => setAccountEmail(e.target.value)}
+                                        placeholder={tr('account.email')}
+                                        autoComplete="email"
+                                        className={inputClass}
+                                    />
+                                    <input
+                                        type="password"
+                                        value={accountPassword}
+                                        onChange={(e) => setAccountPassword(e.target.value)}
+                                        placeholder={tr('account.password')}
+                                        autoComplete="current-password"
+                                        className={inputClass}
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={!canSubmit}
+                                        className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${canSubmit
+                                            ? t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
+                                                'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
+                                            : t('bg-white/5 text-white/30 border-white/10 cursor-not-allowed shadow-none',
+                                                'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
+                                            }`}
+                                    >
+                                        {tr('account.create')}
+                                    </button>
+                                    <button type="button" onClick={handleSignInEmail} disabled={!canSubmit} className={secondaryClass}>
+                                        {tr('account.signIn')}
+                                    </button>
+                                </form>
+
+                                <button onClick={handleLinkGoogle} disabled={isAccountBusy} className={secondaryClass}>
+                                    {tr('account.google')}
+                                </button>
+
+                                <p className={`mt-4 ml-2 text-xs font-medium ${t('text-white/40', 'text-slate-500')}`}>
+                                    {tr('account.signInHint')}
+                                </p>
+                            </>
+                        )}
+
+                        {accountError && (
+                            <p className={`mt-4 ml-2 text-sm font-medium ${t('text-rose-400', 'text-rose-500')}`}>{accountError}</p>
+                        )}
+
+                        <div className="mt-10">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('appearance.title')}
+                            </label>
+                            <div className="flex items-center space-x-2 mb-4">
+                                {THEME_MODES.map(mode => {
+                                    const Icon = THEME_MODE_ICONS[mode];
+                                    return (
+                                        <button
+                                            key={mode}
+                                            onClick={() => updateTheme(mode)}
+                                            aria-pressed={themeMode === mode}
+                                            className={`flex-1 flex items-center justify-center space-x-1.5 py-2 rounded-full text-[14px] font-medium transition-all duration-300 border ${themeMode === mode
+                                                ? t('bg-white/20 border-white text-white', 'bg-white border-white text-slate-900 shadow-sm')
+                                                : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                                }`}
+                                        >
+                                            <Icon className="w-3.5 h-3.5" strokeWidth={2} />
+                                            <span>{tr(`appearance.mode.${mode}`)}</span>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                            <div className="grid grid-cols-2 gap-2 mb-4">
+                                {THEME_PRESETS.map(preset => (
+                                    <button
+                                        key={preset.id}
+                                        onClick={() => updateAppearance({ themePreset: preset.id })}
+                                        aria-pressed={themePreset === preset.id}
+                                        className={`flex items-center space-x-3 px-4 py-3 rounded-2xl text-[14px] font-medium text-left transition-all duration-300 border ${themePreset === preset.id
+                                            ? t('bg-white/20 border-white text-white', 'bg-white border-white text-slate-900 shadow-sm')
+                                            : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                            }`}
+                                    >
+                                        <span
+                                            className="w-6 h-6 shrink-0 rounded-full"
+                                            style={{ background: `linear-gradient(135deg, ${preset.blobs.join(', ')})` }}
+                                        />
+                                        <span className="truncate">{tr(`appearance.preset.${preset.id}`)}</span>
+                                    </button>
+                                ))}
+                            </div>
+                            <div className={`flex items-center justify-between p-4 rounded-2xl border ${t('bg-black/20 border-white/10 text-white/90', 'bg-white/50 border-white/80 text-slate-800')}`}>
+                                <label className="flex items-center space-x-3 cursor-pointer">
+                                    <span className="relative w-8 h-8 rounded-full shadow-inner" style={{ backgroundColor: themeVariables['--accent'] }}>
+                                        <input
+                                            type="color"
+                                            value={themeVariables['--accent']}
+                                            onChange={(e) => accentDraft.change('accent', normalizeHexColor(e.target.value))}
+                                            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+                                        />
+                                    </span>
+                                    <span className="text-[15px] font-medium">{tr('appearance.accent')}</span>
+                                </label>
+                                {accentColor && (
+                                    <button
+                                        onClick={() => {
+                                            accentDraft.flush();
+                                            updateAppearance({ accentColor: null });
+                                        }}
+                                        className={`text-sm font-semibold transition-colors ${t('text-white/60 hover:text-white', 'text-slate-500 hover:text-slate-900')}`}
+                                    >
+                                        {tr('appearance.resetAccent')}
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+
+                        <div className="mt-10">
+                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
+                                {tr('account.language')}
+                            </label>
+                            <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
+                                {LOCALES.map(({ id, label }) => (
+                                    <button
+                                        key={id}
+                                        onClick={() => updateLocale(id)}
+                                        lang={id}
+                                        aria-pressed={locale === id}
+                                        className={`flex-shrink-0 px-5 py-2.5 rounded-full text-[15px] font-medium whitespace-nowrap transition-all duration-300 border ${locale === id
+                                            ? t('bg-white/20 border-white text-white shadow-[0_0_15px_rgba(255,255,255,0.2)] backdrop-blur-md', 'bg-white border-white text-slate-900 shadow-sm backdrop-blur-md')
+                                            : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+                                            }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Offer to upload data left over from local mode (shown once, cloud mode only)
+    const renderLocalDataBanner = () => {
+        if (!pendingLocalData || !storage || isAuthLoading) return null;
+        const count = pendingLocalData.projects.length;
+
+        return (
+            <div className="absolute top-4 inset-x-4 z-40 animate-slide-up">
+                <div className={`p-4 rounded-3xl border backdrop-blur-2xl shadow-2xl ${t('bg-white/15 border-white/20 text-white', 'bg-white/90 border-white text-slate-900')}`}>
+                    <p className="text-sm font-semibold mb-1">{tr('localData.title')}</p>
+                    <p className={`text-xs mb-3 ${t('text-white/60', 'text-slate-500')}`}>
+                        {tr('localData.body', { count })}
+                    </p>
+                    <div className="flex items-center space-x-2">
+                        <button
+                            onClick={handleUploadLocalData}
+                            className={`flex-1 py-2 rounded-full text-sm font-semibold transition-transform active:scale-95 ${t('bg-white text-black', 'bg-slate-900 text-white')}`}
+                        >
+                            {tr('localData.upload')}
+                        </button>
+                        <button
+                            onClick={dismissLocalData}
+                            className={`flex-1 py-2 rounded-full text-sm font-semibold border transition-transform active:scale-95 ${t('border-white/20 text-white/80', 'border-slate-200 text-slate-600')}`}
+                        >
+                            {tr('localData.dismiss')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Shown once a new deploy has been downloaded; the local data prompt takes precedence
+    const renderUpdateBanner = () => {
+        if (!isUpdateReady || (pendingLocalData && storage && !isAuthLoading)) return null;
+
+        return (
+            <div className="absolute top-4 inset-x-4 z-40 animate-slide-up">
+                <div className={`flex items-center justify-between pl-5 pr-2 py-2 rounded-full border backdrop-blur-2xl shadow-2xl ${t('bg-white/15 border-white/20 text-white', 'bg-white/90 border-white text-slate-900')}`}>
+                    <span className="text-sm font-semibold">{tr('update.ready')}</span>
+                    <div className="flex items-center space-x-1">
+                        <button
+                            onClick={applyUpdate}
+                            className={`flex items-center space-x-1.5 px-4 py-1.5 rounded-full text-sm font-semibold transition-transform active:scale-95 ${t('bg-white text-black', 'bg-slate-900 text-white')}`}
+                        >
+                            <RefreshCw className="w-3.5 h-3.5" strokeWidth={2} />
+                            <span>{tr('update.reload')}</span>
+                        </button>
+                        <button
+                            onClick={() => setIsUpdateReady(false)}
+                            title={tr('update.later')}
+                            aria-label={tr('update.later')}
+                            className={`p-1.5 rounded-full ${t('text-white/60 hover:text-white', 'text-slate-400 hover:text-slate-700')}`}
+                        >
+                            <X className="w-4 h-4" strokeWidth={2} />
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    };
+
+    // Shared frame for the smaller sheets (share, join, project options, move, shortcuts).
+    // `dialogRef` comes from useDialog; `labelId` is the id of the sheet's <h2>.
+    const renderSmallSheet = ({ dialogRef, labelId, onClose }, children, error = '') => (
+        <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+            <div
+                className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
+                onClick={onClose}
+            />
+
+            <div
+                ref={dialogRef}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={labelId}
+                tabIndex={-1}
+                className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                } outline-none`}>
+                <div className="w-full flex justify-center pt-4 pb-2">
+                    <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                </div>
+
+                <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
+                    <button
+                        onClick={onClose}
+                        aria-label={tr('common.close')}
+                        className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
+                            }`}
+                    >
+                        <X className="w-5 h-5" strokeWidth={1.5} />
+                    </button>
+                </div>
+
+                <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
+                    {children}
+                    {error && (
+                        <p className={`mt-4 ml-2 text-sm font-medium ${t('text-rose-400', 'text-rose-500')}`}>{error}</p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+
+    // 9. SHARE SHEET
+    const renderShareSheet = () => {
+        const project = projects.find(p => p.id === sharingProjectId);
+        if (!project) return null;
+
+        const isOwner = project.role === 'owner';
+        const sectionLabel = `block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`;
+        const primaryClass = `w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border disabled:opacity-40 ${t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]', 'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')}`;
+        const chipClass = (isSelected) => `flex-1 py-2 rounded-full text-[14px] font-medium transition-all border ${isSelected
+            ? t('bg-white/20 border-white text-white', 'bg-white border-white text-slate-900 shadow-sm')
+            : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+            }`;
+        const cardClass = `p-4 rounded-3xl border backdrop-blur-md ${t('bg-black/20 border-white/10', 'bg-white/50 border-white/80')}`;
+
+        return renderSmallSheet({ dialogRef: shareDialogRef, labelId: 'share-title', onClose: () => setSharingProjectId(null) }, (
+            <>
+                <h2 id="share-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('share.title')}</h2>
+                <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>{project.title}</p>
+
+                {!project.shared ? (
+                    <>
+                        <p className={`text-[15px] mb-8 ${t('text-white/70', 'text-slate-600')}`}>
+                            {tr('share.intro')}
+                        </p>
+                        <button onClick={handleShareProject} disabled={isShareBusy} className={primaryClass}>
+                            {tr('share.start')}
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <label className={sectionLabel}>{tr('share.members')}</label>
+                        <div className="space-y-2 mb-8">
+                            {(project.memberUids || []).map(memberUid => {
+                                const role = project.members?.[memberUid] || 'viewer';
+                                const canManage = isOwner && role !== 'owner';
+                                return (
+                                    <div key={memberUid} className={`${cardClass} flex items-center justify-between`}>
+                                        <span className={`text-[15px] font-medium truncate ${t('text-white/90', 'text-slate-800')}`}>{getMemberName(project, memberUid)}</span>
+                                        <div className="flex items-center space-x-2">
+                                            {canManage ? (
+                                                <select
+                                                    value={role}
+                                                    onChange={(e) => handleSetMemberRole(memberUid, e.target.value)}
+                                                    disabled={isShareBusy}
+                                                    className={`bg-transparent outline-none text-sm font-semibold cursor-pointer ${t('text-white/70', 'text-slate-600')}`}
+                                                >
+                                                    {SHARE_ROLES.filter(r => r !== 'owner').map(r => (
+                                                        <option key={r} value={r} className="text-slate-900">{tr(`share.role.${r}`)}</option>
+                                                    ))}
+                                                </select>
+                                            ) : (
+                                                <span className={`text-sm font-semibold ${t('text-white/50', 'text-slate-500')}`}>{tr(`share.role.${role}`)}</span>
+                                            )}
+                                            {canManage && (
+                                                <button
+                                                    onClick={() => handleRemoveMember(memberUid)}
+                                                    disabled={isShareBusy}
+                                                    title={tr('share.remove')}
+                                                    aria-label={tr('share.remove')}
+                                                    className={`p-1.5 rounded-full transition-colors ${t('text-white/40 hover:text-rose-400', 'text-slate-400 hover:text-rose-500')}`}
+                                                >
+                                                    <X className="w-4 h-4" strokeWidth={2} />
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+
+                        {isOwner ? (
+                            <>
+                                <label className={sectionLabel}>{tr('share.invite')}</label>
+                                <div className="flex items-center space-x-2 mb-4">
+                                    {SHARE_ROLES.filter(r => r !== 'owner').map(r => (
+                                        <button key={r} onClick={() => { setInviteRole(r); setInviteCode(''); }} className={chipClass(inviteRole === r)}>
+                                            {tr(`share.role.${r}`)}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                {inviteCode ? (
+                                    <div className={cardClass}>
+                                        <p className={`text-xs font-medium mb-2 ${t('text-white/50', 'text-slate-500')}`}>{tr(inviteRole === 'editor' ? 'share.codeEditor' : 'share.codeViewer', { days: INVITE_TTL_DAYS })}</p>
+                                        <div className="flex items-center justify-between mb-3">
+                                            <span className={`text-2xl font-bold tracking-[0.2em] ${t('text-white', 'text-slate-900')}`}>{inviteCode}</span>
+                                            <button onClick={() => copyToClipboard(inviteCode)} title={tr('share.copyCode')} aria-label={tr('share.copyCode')} className={`p-2 rounded-full ${t('text-white/60 hover:text-white', 'text-slate-500 hover:text-slate-900')}`}>
+                                                <Copy className="w-4 h-4" strokeWidth={2} />
+                                            </button>
+                                        </div>
+                                        <button
+                                            onClick={() => copyToClipboard(getInviteLink(inviteCode))}
+                                            className={`w-full py-2.5 rounded-full text-sm font-semibold border transition-colors ${t('border-white/20 text-white/80 hover:bg-white/10', 'border-slate-200 text-slate-700 hover:bg-white/60')}`}
+                                        >
+                                            {tr('share.copyLink')}
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <button onClick={handleCreateInvite} disabled={isShareBusy} className={primaryClass}>
+                                        {tr('share.createInvite')}
+                                    </button>
+                                )}
+                            </>
+                        ) : (
+                            <button
+                                onClick={handleLeaveProject}
+                                disabled={isShareBusy}
+                                className={`w-full py-4 rounded-full font-semibold text-[15px] transition-all border disabled:opacity-40 ${t('bg-white/10 border-white/20 text-rose-400 hover:bg-white/20', 'bg-white/60 border-white/80 text-rose-500 hover:bg-white/80')}`}
+                            >
+                                {tr('share.leave')}
+                            </button>
+                        )}
+                    </>
+                )}
+            </>
+        ), shareError);
+    };
 
-                        <div className="relative z-10 w-[90%] mb-12">
-                            <h1 className={`text-[2.7rem] font-bold leading-[1.1] tracking-tight drop-shadow-lg text-pretty pr-4 ${t('text-white', 'text-slate-900')}`}>
-                                {project.title}
-                            </h1>
-                        </div>
+    const renderJoinSheet = () => {
+        if (!isJoinOpen) return null;
 
-                        <div className="relative z-10 flex items-center space-x-3 drop-shadow-md">
-                            <div className={`h-[52px] w-[16px] rounded-full p-[3px] flex flex-col justify-end backdrop-blur-md border shadow-inner ${t('bg-black/30 border-white/10', 'bg-black/5 border-white/50')}`}>
-                                <div
-                                    className={`w-full rounded-full transition-all duration-1000 ease-out ${t('bg-white shadow-[0_0_12px_rgba(255,255,255,0.9)]', 'bg-slate-800 shadow-[0_0_5px_rgba(0,0,0,0.2)]')}`}
-                                    style={{ height: `${Math.max(15, progress)}%` }}
-                                />
-                            </div>
-                            <div className="flex flex-col">
-                                <span className={`text-2xl font-bold leading-none mb-0.5 ${t('text-white', 'text-slate-900')}`}>{completedTasks.length}/{totalTasks}</span>
-                                <span className={`text-xs font-semibold leading-none ${t('text-white/60', 'text-slate-500')}`}>tasks</span>
-                            </div>
-                        </div>
-                    </div>
+        return renderSmallSheet({ dialogRef: joinDialogRef, labelId: 'join-title', onClose: closeJoinSheet }, (
+            <>
+                <h2 id="join-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('join.title')}</h2>
+                <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>{tr('join.hint')}</p>
 
-                    <button
-                        onClick={() => {
-                            setSelectedFormProject(project);
-                            setIsAddingTask(true);
-                        }}
-                        className={`absolute bottom-0 left-1/2 -translate-x-1/2 w-16 h-16 backdrop-blur-xl rounded-full border flex items-center justify-center transition-all z-30 hover:scale-105 active:scale-95 ${t('bg-white/20 text-white border-white/30 shadow-[0_8px_32px_rgba(255,255,255,0.15)] hover:bg-white/30',
-                            'bg-white/80 text-slate-900 border-white/100 shadow-[0_8px_32px_rgba(0,0,0,0.1)] hover:bg-white')
+                <form onSubmit={handleJoinProject}>
+                    <input
+                        type="text"
+                        value={joinCode}
+                        onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                        placeholder="ABCD2345"
+                        autoFocus
+                        className={`w-full border rounded-3xl px-6 py-4 mb-4 text-[20px] font-bold tracking-[0.2em] text-center transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/20 focus:border-white/40 focus:bg-black/40',
+                            'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-300 focus:border-white focus:bg-white/80')
                             }`}
+                    />
+                    <button
+                        type="submit"
+                        disabled={!joinCode.trim() || isShareBusy}
+                        className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border disabled:opacity-40 ${t('bg-white text-black border-transparent shadow-[0_0_20px_rgba(255,255,255,0.3)]', 'bg-slate-900 text-white border-transparent shadow-lg')}`}
                     >
-                        <Plus className="w-8 h-8" strokeWidth={1.5} />
+                        {tr('join.submit')}
                     </button>
-                </div>
+                </form>
+            </>
+        ), shareError);
+    };
 
-                <div className="flex-1 overflow-y-auto px-6 pb-10 hide-scrollbar z-10 -mt-4 pt-4">
-                    <div className="space-y-3">
-                        {activeTasks.length === 0 && completedTasks.length === 0 && (
-                            <p className={`text-center mt-8 text-sm ${t('text-white/40', 'text-slate-400')}`}>No tasks yet. Press the + button to add.</p>
-                        )}
+    // 10. STATISTICS SHEET
+    const renderStatsSheet = () => {
+        if (!isStatsOpen) return null;
 
-                        {activeTasks.map((task) => (
-                            <div key={task.id} className={`group flex items-center justify-between p-4 backdrop-blur-md border rounded-2xl transition-all duration-300 shadow-sm hover:shadow-md ${t('bg-white/5 hover:bg-white/10 border-white/10', 'bg-white/60 hover:bg-white/80 border-white/80')
-                                }`}>
-                                <div
-                                    className="flex items-center flex-1 min-w-0 pr-4 cursor-pointer"
-                                    onClick={() => toggleTask(project.id, task.id)}
-                                >
-                                    <div className={`flex-shrink-0 w-6 h-6 rounded-full border flex items-center justify-center mr-4 transition-all duration-200 ${t('border-white/40 group-hover:border-white', 'border-slate-400 group-hover:border-slate-800')
-                                        }`}>
-                                        <Check className="w-3.5 h-3.5 text-transparent" strokeWidth={3} />
-                                    </div>
-                                    <span className={`text-[16px] font-medium truncate ${t('text-white/90', 'text-slate-800')}`}>
-                                        {task.text}
-                                    </span>
-                                </div>
-                                <button
-                                    onClick={(e) => { e.stopPropagation(); deleteTask(project.id, task.id); }}
-                                    className={`p-2 transition-colors opacity-100 sm:opacity-0 sm:group-hover:opacity-100 rounded-full backdrop-blur-md ${t('text-white/40 hover:text-rose-400 bg-black/20', 'text-slate-400 hover:text-rose-500 bg-white/50')
-                                        }`}
-                                >
-                                    <Trash2 className="w-4 h-4" strokeWidth={1.5} />
-                                </button>
-                            </div>
-                        ))}
-                    </div>
+        const stats = getStats(projects, { weightSubtasks, now });
+        const maxPerDay = Math.max(1, ...stats.perDay.map(d => d.count));
+        const maxPerWeek = Math.max(1, ...stats.perWeek.map(w => w.count));
+        const sectionLabel = `block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`;
+        const cardClass = `p-4 rounded-3xl border backdrop-blur-md ${t('bg-black/20 border-white/10', 'bg-white/50 border-white/80')}`;
 
-                    {completedTasks.length > 0 && (
-                        <div className="mt-8 mb-4">
-                            <div className={`flex items-center justify-between text-[11px] font-bold uppercase tracking-widest mb-3 px-2 ${t('text-white/40', 'text-slate-500')}`}>
-                                <span>Completed ({completedTasks.length})</span>
-                                <ChevronLeft className="w-4 h-4 -rotate-90" strokeWidth={2} />
-                            </div>
+        const tiles = [
+            { icon: CircleCheck, label: tr('stats.thisWeek'), value: i18n.formatNumber(stats.completedThisWeek) },
+            { icon: Flame, label: tr('stats.streak'), value: i18n.formatNumber(stats.streak.current) },
+            { icon: Trophy, label: tr('stats.bestStreak'), value: i18n.formatNumber(stats.streak.longest) },
+            { icon: Timer, label: tr('stats.averageTime'), value: formatDuration(stats.averageCompletionMs, i18n) },
+        ];
 
-                            <div className="space-y-3">
-                                {completedTasks.map((task) => (
-                                    <div key={task.id} className={`group flex items-center justify-between p-4 backdrop-blur-sm border rounded-2xl transition-all opacity-60 hover:opacity-100 ${t('bg-black/10 border-white/5', 'bg-white/30 border-white/40')
-                                        }`}>
-                                        <div
-                                            className="flex items-center flex-1 min-w-0 pr-4 cursor-pointer"
-                                            onClick={() => toggleTask(project.id, task.id)}
-                                        >
-                                            <div className={`flex-shrink-0 w-6 h-6 rounded-full border-none flex items-center justify-center mr-4 ${t('bg-white shadow-[0_0_10px_rgba(255,255,255,0.5)]', 'bg-slate-800 shadow-sm')
-                                                }`}>
-                                                <Check className={`w-3.5 h-3.5 ${t('text-black', 'text-white')}`} strokeWidth={3} />
-                                            </div>
-                                            <span className={`text-[16px] font-medium line-through ${t('text-white/50 decoration-white/30', 'text-slate-500 decoration-slate-400')}`}>
-                                                {task.text}
-                                            </span>
-                                        </div>
-                                        <button
-                                            onClick={(e) => { e.stopPropagation(); deleteTask(project.id, task.id); }}
-                                            className={`p-2 transition-colors opacity-100 sm:opacity-0 sm:group-hover:opacity-100 rounded-full ${t('text-white/30 hover:text-rose-400 bg-black/20', 'text-slate-400 hover:text-rose-500 bg-white/50')
-                                                }`}
-                                        >
-                                            <Trash2 className="w-4 h-4" strokeWidth={1.5} />
-                                        </button>
-                                    </div>
-                                ))}
-                            </div>
-                        </div>
-                    )}
-                </div>
+        // Plain flexbox bars, no chart library
+        const renderBars = (items, max, getLabel) => (
+            <div className={`${cardClass} flex items-end justify-between space-x-1 h-40`}>
+                {items.map((item, i) => (
+                    <div key={i} className="flex-1 flex flex-col items-center justify-end h-full min-w-0" title={`${getLabel(item, true)}: ${item.count}`}>
+                        <span className={`text-[10px] font-semibold mb-1 ${item.count ? t('text-white/70', 'text-slate-600') : 'opacity-0'}`}>{item.count}</span>
+                        <div
+                            className="w-full rounded-full transition-all duration-700 bg-(--accent)"
+                            style={{ height: `${(item.count / max) * 100}%`, minHeight: '4px', opacity: item.count ? 1 : 0.2 }}
+                        />
+                        <span className={`text-[9px] font-semibold mt-1.5 truncate ${t('text-white/40', 'text-slate-400')}`}>{getLabel(item, false)}</span>
+                    </div>
+                ))}
             </div>
         );
-    };
-
-    // 3. NEW TASK MODAL
-    const renderNewTaskModal = () => {
-        if (!isAddingTask) return null;
 
         return (
             <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
                 <div
                     className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
-                    onClick={() => setIsAddingTask(false)}
+                    onClick={() => setIsStatsOpen(false)}
                 />
 
-                <div className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
-                    }`}>
+                <div
+                    ref={statsDialogRef}
+                    role="dialog"
+                    aria-modal="true"
+                    aria-labelledby="stats-title"
+                    tabIndex={-1}
+                    className={`w-full h-[90vh] sm:h-[85vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
+                    } outline-none`}>
                     <div className="w-full flex justify-center pt-4 pb-2">
                         <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
                     </div>
 
                     <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
                         <button
-                            onClick={() => setIsAddingTask(false)}
+                            onClick={() => setIsStatsOpen(false)}
+                            aria-label={tr('common.close')}
                             className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
                                 }`}
                         >
@@ -808,181 +4034,317 @@ export default function App() {
                     </div>
 
                     <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
-                        <h2 className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>New Task</h2>
+                        <h2 id="stats-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('stats.title')}</h2>
+                        <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>{tr('stats.total', { count: stats.totalCompleted })}</p>
 
-                        <div className="mb-8">
-                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
-                                PROJECT
-                            </label>
-                            <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
-                                <button
-                                    onClick={() => {
-                                        setIsAddingTask(false);
-                                        setIsAddingProject(true);
-                                    }}
-                                    className={`flex-shrink-0 w-12 h-11 flex items-center justify-center rounded-full border transition-colors ${t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/50 border-white/80 text-slate-600 hover:bg-white/80')
-                                        }`}
-                                >
-                                    <FolderPlus className="w-5 h-5" strokeWidth={1.5} />
-                                </button>
-                                {projects.map(p => {
-                                    const isSelected = selectedFormProject?.id === p.id;
-                                    return (
-                                        <button
-                                            key={p.id}
-                                            onClick={() => setSelectedFormProject(p)}
-                                            className={`flex-shrink-0 px-5 py-2.5 rounded-full text-[15px] font-medium whitespace-nowrap transition-all duration-300 border ${isSelected
-                                                ? t('bg-white/20 border-white text-white shadow-[0_0_15px_rgba(255,255,255,0.2)] backdrop-blur-md', 'bg-white border-white text-slate-900 shadow-sm backdrop-blur-md')
-                                                : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
-                                                }`}
-                                        >
-                                            {p.title}
-                                        </button>
-                                    );
-                                })}
-                            </div>
+                        <div className="grid grid-cols-2 gap-3 mb-8">
+                            {tiles.map(({ icon: Icon, label, value }) => (
+                                <div key={label} className={cardClass}>
+                                    <Icon className={`w-4 h-4 mb-2 ${t('text-white/50', 'text-slate-400')}`} strokeWidth={2} />
+                                    <p className={`text-2xl font-bold leading-none mb-1 ${t('text-white', 'text-slate-900')}`}>{value}</p>
+                                    <p className={`text-xs font-semibold ${t('text-white/50', 'text-slate-500')}`}>{label}</p>
+                                </div>
+                            ))}
                         </div>
 
-                        <div className="mb-4">
-                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
-                                TITLE
-                            </label>
-                            <input
-                                type="text"
-                                value={newTaskText}
-                                onChange={(e) => setNewTaskText(e.target.value)}
-                                placeholder="Buy travel insurance"
-                                className={`w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
-                                    'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
-                                    }`}
-                                autoFocus
-                            />
+                        <div className="mb-8">
+                            <label className={sectionLabel}>{tr('stats.perDay', { count: stats.perDay.length })}</label>
+                            {renderBars(stats.perDay, maxPerDay, (day, full) => {
+                                const date = parseDateInputValue(day.date);
+                                return full
+                                    ? i18n.formatDate(date, { weekday: 'short', month: 'short', day: 'numeric' })
+                                    : i18n.formatDate(date, { weekday: 'narrow' });
+                            })}
                         </div>
+
                         <div className="mb-8">
-                            <input
-                                type="text"
-                                value={newTaskDesc}
-                                onChange={(e) => setNewTaskDesc(e.target.value)}
-                                placeholder="Description (optional)"
-                                className={`w-full border rounded-3xl px-6 py-4 text-[15px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
-                                    'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
-                                    }`}
-                            />
+                            <label className={sectionLabel}>{tr('stats.perWeek', { count: stats.perWeek.length })}</label>
+                            {renderBars(stats.perWeek, maxPerWeek, (week, full) => {
+                                const label = i18n.formatDate(week.weekStart, { month: 'short', day: 'numeric' });
+                                return full ? tr('stats.weekOf', { date: label }) : label;
+                            })}
+                        </div>
+
+                        <div>
+                            <label className={sectionLabel}>{tr('stats.byProject')}</label>
+                            {stats.projects.length === 0 ? (
+                                <p className={`text-sm ${t('text-white/40', 'text-slate-400')}`}>{tr('stats.noProjects')}</p>
+                            ) : (
+                                <div className="space-y-3">
+                                    {stats.projects.map(({ project, completed, total, percent, completedThisWeek, averageCompletionMs }) => (
+                                        <div key={project.id} className={cardClass}>
+                                            <div className="flex items-center justify-between mb-2">
+                                                <span className={`flex items-center space-x-2 min-w-0 text-[15px] font-semibold ${t('text-white', 'text-slate-900')}`}>
+                                                    <span className="w-2.5 h-2.5 flex-shrink-0 rounded-full" style={{ backgroundColor: getProjectColor(project) }} />
+                                                    <span className="truncate">{project.title}</span>
+                                                </span>
+                                                <span className={`text-sm font-bold ${t('text-white/70', 'text-slate-600')}`}>{completed}/{total}</span>
+                                            </div>
+                                            <div className={`h-1.5 rounded-full overflow-hidden mb-2 ${t('bg-white/10', 'bg-black/10')}`}>
+                                                <div className={`h-full rounded-full ${t('bg-white', 'bg-slate-800')}`} style={{ width: `${percent}%` }} />
+                                            </div>
+                                            <p className={`text-xs font-medium ${t('text-white/50', 'text-slate-500')}`}>
+                                                {tr('stats.projectSummary', { count: completedThisWeek, duration: formatDuration(averageCompletionMs, i18n) })}
+                                            </p>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     </div>
+                </div>
+            </div>
+        );
+    };
 
-                    <div className={`p-6 backdrop-blur-xl border-t shrink-0 pb-8 sm:pb-6 ${t('bg-black/20 border-white/10', 'bg-white/40 border-white/40')}`}>
+    // 11. PROJECT OPTIONS SHEET (pin, folder, color & icon, archive)
+    const renderProjectOptionsSheet = () => {
+        const project = projects.find(p => p.id === optionsProjectId);
+        if (!project) return null;
+
+        const sectionLabel = `block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`;
+        const rowClass = `w-full flex items-center space-x-3 p-4 mb-3 rounded-3xl border backdrop-blur-md text-left font-semibold transition-colors ${t('bg-black/20 border-white/10 text-white hover:bg-white/10', 'bg-white/50 border-white/80 text-slate-800 hover:bg-white/80')}`;
+        const chipClass = (isSelected) => `inline-flex items-center space-x-1.5 px-4 py-2 rounded-full text-[14px] font-medium transition-all border ${isSelected
+            ? t('bg-white/20 border-white text-white', 'bg-white border-white text-slate-900 shadow-sm')
+            : t('bg-black/20 border-white/10 text-white/70 hover:bg-white/10', 'bg-white/30 border-white/60 text-slate-600 hover:bg-white/60')
+            }`;
+
+        return renderSmallSheet({ dialogRef: optionsDialogRef, labelId: 'organize-title', onClose: () => setOptionsProjectId(null) }, (
+            <>
+                <h2 id="organize-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('organize.title')}</h2>
+                <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>
+                    {project.title}{project.shared && ` · ${tr(canEditProject(project) ? 'organize.sharedHint' : 'organize.viewerHint')}`}
+                </p>
+
+                {!isArchived(project) && (
+                    <button onClick={() => togglePinned(project)} className={rowClass}>
+                        {project.pinned ? <PinOff className="w-5 h-5" strokeWidth={2} /> : <Pin className="w-5 h-5" strokeWidth={2} />}
+                        <span>{project.pinned ? tr('organize.unpin') : tr('organize.pin')}</span>
+                    </button>
+                )}
+
+                <label className={`${sectionLabel} mt-8`}>{tr('organize.folder')}</label>
+                <div className="flex flex-wrap gap-2 mb-4">
+                    <button onClick={() => moveToFolder(project.id, null)} className={chipClass(!project.folder)}>
+                        {tr('organize.noFolder')}
+                    </button>
+                    {getFolderNames(projects).map(name => (
+                        <button key={name} onClick={() => moveToFolder(project.id, name)} className={chipClass(project.folder === name)}>
+                            <Folder className="w-3.5 h-3.5" strokeWidth={2} />
+                            <span>{name}</span>
+                        </button>
+                    ))}
+                </div>
+                <form onSubmit={handleCreateFolder} className="flex items-center space-x-2 mb-8">
+                    <input
+                        type="text"
+                        value={newFolderName}
+                        onChange={(e) => setNewFolderName(e.target.value)}
+                        placeholder={tr('organize.newFolder')}
+                        className={`flex-1 min-w-0 border rounded-full px-5 py-3 text-[15px] transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
+                            'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
+                            }`}
+                    />
+                    <button
+                        type="submit"
+                        disabled={!normalizeFolderName(newFolderName)}
+                        title={tr('organize.moveToNewFolder')}
+                        aria-label={tr('organize.moveToNewFolder')}
+                        className={`w-12 h-12 shrink-0 rounded-full flex items-center justify-center border transition-colors disabled:opacity-40 ${t('bg-white/10 border-white/20 text-white hover:bg-white/20', 'bg-white/60 border-white/80 text-slate-800 hover:bg-white/80')}`}
+                    >
+                        <FolderPlus className="w-5 h-5" strokeWidth={2} />
+                    </button>
+                </form>
+
+                {/* Color and icon live on the shared document, so viewers see them read-only */}
+                <fieldset disabled={!canEditProject(project)} className="mb-8 disabled:opacity-40">
+                    {renderProjectAppearanceFields(
+                        projectColorDraft.colorFor(project.id, getProjectColor(project)),
+                        (color) => {
+                            projectColorDraft.flush();
+                            updateProjectPlacement(project.id, { color });
+                        },
+                        project.buttonIcon,
+                        (buttonIcon) => updateProjectPlacement(project.id, { buttonIcon }),
+                        (color) => projectColorDraft.change(project.id, color)
+                    )}
+                </fieldset>
+
+                {isArchived(project) ? (
+                    <button onClick={() => unarchiveProject(project)} className={rowClass}>
+                        <ArchiveRestore className="w-5 h-5" strokeWidth={2} />
+                        <span>{tr('organize.unarchive')}</span>
+                    </button>
+                ) : (
+                    <button onClick={() => archiveProject(project)} className={rowClass}>
+                        <Archive className="w-5 h-5" strokeWidth={2} />
+                        <span>{tr('organize.archive')}</span>
+                    </button>
+                )}
+                <p className={`text-xs ml-2 ${t('text-white/40', 'text-slate-400')}`}>
+                    {tr('organize.archiveHint')}
+                </p>
+            </>
+        ));
+    };
+
+    // 12. MOVE TASKS SHEET (target project for the multi-select "Move")
+    const renderMoveSheet = () => {
+        if (!isMovingSelection || !selectedTaskIds) return null;
+        const targets = activeProjects.filter(p => p.id !== activeProjectId && canEditProject(p));
+
+        return renderSmallSheet({ dialogRef: moveDialogRef, labelId: 'move-title', onClose: () => setIsMovingSelection(false) }, (
+            <>
+                <h2 id="move-title" className={`text-[2.2rem] font-semibold mb-2 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('move.title')}</h2>
+                <p className={`text-sm mb-8 ${t('text-white/50', 'text-slate-500')}`}>{tr('move.hint', { count: selectedTaskIds.length })}</p>
+
+                <div className="space-y-3">
+                    {targets.map(p => (
                         <button
-                            onClick={handleAddTask}
-                            disabled={!newTaskText.trim()}
-                            className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${newTaskText.trim()
-                                ? t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
-                                    'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
-                                : t('bg-white/5 text-white/30 border-white/10 cursor-not-allowed shadow-none',
-                                    'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
-                                }`}
+                            key={p.id}
+                            onClick={() => handleBulkMove(activeProjectId, p.id)}
+                            className={`w-full flex items-center p-4 rounded-3xl border backdrop-blur-md text-left font-semibold transition-colors ${t('bg-black/20 border-white/10 text-white hover:bg-white/10', 'bg-white/50 border-white/80 text-slate-800 hover:bg-white/80')}`}
                         >
-                            Create Task
+                            <div className="w-3 h-3 rounded-full shrink-0 mr-3" style={{ backgroundColor: getProjectColor(p) }}></div>
+                            <span className="flex-1 min-w-0 truncate">{p.title}</span>
+                            {p.shared && <Users className={`w-4 h-4 ml-3 ${t('text-white/40', 'text-slate-400')}`} strokeWidth={2} />}
                         </button>
-                    </div>
+                    ))}
                 </div>
-            </div>
-        );
+            </>
+        ));
     };
 
-    // 4. NEW PROJECT MODAL
-    const renderNewProjectModal = () => {
-        if (!isAddingProject) return null;
+    // 13. COMMAND PALETTE (Cmd/Ctrl+K)
+    const renderCommandPalette = () => {
+        if (!isPaletteOpen) return null;
+
+        const results = filterCommands(getCommands(), paletteQuery);
+        const activeIndex = Math.min(paletteIndex, results.length - 1);
+
+        const handlePaletteKeyDown = (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const delta = e.key === 'ArrowDown' ? 1 : -1;
+                setPaletteIndex((activeIndex + delta + results.length) % Math.max(1, results.length));
+            } else if (e.key === 'Enter' && results[activeIndex]) {
+                e.preventDefault();
+                runCommand(results[activeIndex].command);
+            }
+        };
 
         return (
-            <div className="absolute inset-0 z-50 flex items-end sm:items-center justify-center">
+            <div className="absolute inset-0 z-[70] flex items-start justify-center pt-20 px-4">
                 <div
-                    className={`absolute inset-0 backdrop-blur-md transition-opacity ${t('bg-black/40', 'bg-slate-900/20')}`}
-                    onClick={() => setIsAddingProject(false)}
+                    className={`absolute inset-0 backdrop-blur-md ${t('bg-black/40', 'bg-slate-900/20')}`}
+                    onClick={() => setIsPaletteOpen(false)}
                 />
 
-                <div className={`w-full h-[65vh] sm:h-[60vh] sm:max-w-md rounded-t-[3rem] sm:rounded-[3rem] relative flex flex-col animate-slide-up overflow-hidden backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_-10px_50px_rgba(0,0,0,0.5)]', 'bg-white/70 border-white/100 shadow-[0_-10px_40px_rgba(0,0,0,0.1)]')
-                    }`}>
-                    <div className="w-full flex justify-center pt-4 pb-2">
-                        <div className={`w-12 h-1.5 rounded-full ${t('bg-white/30', 'bg-black/20')}`}></div>
+                <div className={`w-full max-w-sm relative rounded-[2rem] overflow-hidden animate-slide-up backdrop-blur-3xl border ${t('bg-white/10 border-white/20 shadow-[0_10px_50px_rgba(0,0,0,0.5)]', 'bg-white/80 border-white shadow-[0_10px_40px_rgba(0,0,0,0.1)]')}`}>
+                    <div className={`flex items-center space-x-3 px-5 py-4 border-b ${t('border-white/10', 'border-slate-200/60')}`}>
+                        <Search className={`w-4 h-4 flex-shrink-0 ${t('text-white/50', 'text-slate-400')}`} strokeWidth={2} />
+                        <input
+                            type="text"
+                            value={paletteQuery}
+                            onChange={(e) => {
+                                setPaletteQuery(e.target.value);
+                                setPaletteIndex(0);
+                            }}
+                            onKeyDown={handlePaletteKeyDown}
+                            placeholder={tr('palette.placeholder')}
+                            autoFocus
+                            className={`flex-1 min-w-0 bg-transparent outline-none text-[15px] font-medium ${t('text-white placeholder:text-white/40', 'text-slate-900 placeholder:text-slate-400')}`}
+                        />
                     </div>
 
-                    <div className="px-6 pt-2 pb-4 flex justify-between items-center shrink-0">
-                        <button
-                            onClick={() => setIsAddingProject(false)}
-                            className={`w-10 h-10 flex items-center justify-center rounded-full border transition-colors ${t('bg-white/10 border-white/10 hover:bg-white/20 text-white', 'bg-white/50 border-white/80 hover:bg-white/80 text-slate-700')
-                                }`}
-                        >
-                            <X className="w-5 h-5" strokeWidth={1.5} />
-                        </button>
+                    <div className="max-h-[50vh] overflow-y-auto hide-scrollbar p-2">
+                        {results.length === 0 && (
+                            <p className={`px-4 py-6 text-center text-sm ${t('text-white/40', 'text-slate-400')}`}>{tr('palette.noMatches')}</p>
+                        )}
+                        {results.map(({ command, ranges }, index) => (
+                            <button
+                                key={command.id}
+                                onClick={() => runCommand(command)}
+                                onMouseMove={() => index !== activeIndex && setPaletteIndex(index)}
+                                className={`w-full flex items-center justify-between px-4 py-3 rounded-2xl text-left text-[15px] transition-colors ${index === activeIndex
+                                    ? t('bg-white/15 text-white', 'bg-white text-slate-900 shadow-sm')
+                                    : t('text-white/80', 'text-slate-700')
+                                    }`}
+                            >
+                                <span className="truncate font-medium">{renderHighlighted(command.label, ranges)}</span>
+                                {command.shortcut ? (
+                                    <kbd className={`ml-3 flex-shrink-0 px-2 py-0.5 rounded-md text-[11px] font-semibold border ${t('border-white/20 text-white/60', 'border-slate-200 text-slate-500')}`}>{command.shortcut}</kbd>
+                                ) : command.group && (
+                                    <span className={`ml-3 flex-shrink-0 text-[11px] font-semibold uppercase tracking-widest ${t('text-white/40', 'text-slate-400')}`}>{command.group}</span>
+                                )}
+                            </button>
+                        ))}
                     </div>
+                </div>
+            </div>
+        );
+    };
 
-                    <div className="px-6 flex-1 overflow-y-auto hide-scrollbar pb-8">
-                        <h2 className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>New Project</h2>
+    // 14. KEYBOARD SHORTCUTS HELP (?)
+    const renderShortcutHelp = () => {
+        if (!isShortcutHelpOpen) return null;
 
-                        <div className="mb-4">
-                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
-                                PROJECT NAME
-                            </label>
-                            <input
-                                type="text"
-                                value={newProjectTitle}
-                                onChange={(e) => setNewProjectTitle(e.target.value)}
-                                placeholder="e.g., Grocery Shopping"
-                                className={`w-full border rounded-3xl px-6 py-4 text-[17px] font-medium transition-all outline-none backdrop-blur-md ${t('bg-black/20 border-white/10 text-white placeholder:text-white/30 focus:border-white/40 focus:bg-black/40',
-                                    'bg-white/50 border-white/80 text-slate-900 placeholder:text-slate-400 focus:border-white focus:bg-white/80')
-                                    }`}
-                                autoFocus
-                                onKeyDown={(e) => e.key === 'Enter' && handleAddProject()}
-                            />
-                        </div>
+        return renderSmallSheet({ dialogRef: shortcutsDialogRef, labelId: 'shortcuts-title', onClose: () => setIsShortcutHelpOpen(false) }, (
+            <>
+                <h2 id="shortcuts-title" className={`text-[2.2rem] font-semibold mb-8 tracking-tight drop-shadow-md ${t('text-white', 'text-slate-900')}`}>{tr('shortcuts.title')}</h2>
 
-                        <div className="mb-4 mt-6">
-                            <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>
-                                THEME COLOR
-                            </label>
-                            <div className="flex items-center space-x-3 overflow-x-auto hide-scrollbar pb-2 -mx-6 px-6">
-                                {blobColors.map(colorClass => (
-                                    <button
-                                        key={colorClass}
-                                        onClick={() => setNewProjectColor(colorClass)}
-                                        className={`flex-shrink-0 w-12 h-12 rounded-full ${colorClass} flex items-center justify-center transition-all duration-300 ${newProjectColor === colorClass
-                                            ? 'scale-110 shadow-lg'
-                                            : 'opacity-50 hover:opacity-100 hover:scale-105'
-                                            }`}
-                                    >
-                                        {newProjectColor === colorClass && <Check className="w-6 h-6 text-white drop-shadow-md" />}
-                                    </button>
-                                ))}
-                            </div>
+                {SHORTCUTS.map(section => (
+                    <div key={section.title} className="mb-8">
+                        <label className={`block text-[11px] font-medium uppercase tracking-widest mb-3 ${t('text-white/50', 'text-slate-500')}`}>{tr(section.title)}</label>
+                        <div className={`rounded-3xl border backdrop-blur-md divide-y ${t('bg-black/20 border-white/10 divide-white/10', 'bg-white/50 border-white/80 divide-slate-200/60')}`}>
+                            {section.items.map(item => (
+                                <div key={item.label} className="flex items-center justify-between px-4 py-3">
+                                    <span className={`text-[15px] font-medium ${t('text-white/80', 'text-slate-700')}`}>{tr(item.label)}</span>
+                                    <span className="flex items-center space-x-1">
+                                        {item.keys.map(key => (
+                                            <kbd key={key} className={`min-w-[1.75rem] text-center px-2 py-0.5 rounded-md text-xs font-semibold border ${t('border-white/20 bg-white/5 text-white/70', 'border-slate-200 bg-white text-slate-600')}`}>{key}</kbd>
+                                        ))}
+                                    </span>
+                                </div>
+                            ))}
                         </div>
                     </div>
+                ))}
+            </>
+        ));
+    };
 
-                    <div className={`p-6 backdrop-blur-xl border-t shrink-0 pb-8 sm:pb-6 ${t('bg-black/20 border-white/10', 'bg-white/40 border-white/40')}`}>
+    // 15. UNDO TOAST
+    const renderToast = () => {
+        if (!toast) return null;
+
+        return (
+            <div key={toast.id} className="absolute bottom-8 inset-x-6 z-[60] flex justify-center pointer-events-none animate-slide-up">
+                <div className={`pointer-events-auto flex items-center justify-between w-full max-w-sm pl-5 pr-2 py-2 rounded-full border backdrop-blur-2xl shadow-2xl ${t('bg-white/15 border-white/20 text-white', 'bg-slate-900/90 border-slate-900 text-white')}`}>
+                    <span className="text-sm font-medium truncate">{toast.message}</span>
+                    {toast.onUndo && (
                         <button
-                            onClick={handleAddProject}
-                            disabled={!newProjectTitle.trim()}
-                            className={`w-full py-4 rounded-full font-semibold text-[17px] tracking-wide transition-all backdrop-blur-md border ${newProjectTitle.trim()
-                                ? t('bg-white text-black border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-[0_0_20px_rgba(255,255,255,0.3)]',
-                                    'bg-slate-900 text-white border-transparent hover:scale-[1.02] active:scale-[0.98] shadow-lg')
-                                : t('bg-white/5 text-white/30 border-white/10 cursor-not-allowed shadow-none',
-                                    'bg-white/40 text-slate-400 border-white/40 cursor-not-allowed shadow-none')
-                                }`}
+                            onClick={() => {
+                                toast.onUndo();
+                                setToast(null);
+                            }}
+                            className="flex items-center space-x-1.5 px-4 py-2 rounded-full text-sm font-semibold bg-white text-black transition-transform active:scale-95"
                         >
-                            Create Project
+                            <RotateCcw className="w-3.5 h-3.5" strokeWidth={2} />
+                            <span>{tr('toast.undo')}</span>
                         </button>
-                    </div>
+                    )}
                 </div>
             </div>
         );
     };
 
     return (
-        <div className={`min-h-screen flex items-center justify-center p-0 sm:p-6 font-sans relative overflow-hidden transition-colors duration-700 ${t('bg-[#0a0a0a] selection:bg-white/30 selection:text-white', 'bg-[#f0f2f5] selection:bg-black/20 selection:text-black')
+        <div style={themeVariables} className={`min-h-screen flex items-center justify-center p-0 sm:p-6 font-sans relative overflow-hidden transition-colors duration-700 accent-(--accent) caret-(--accent) ${t('bg-[#0a0a0a] selection:bg-(--accent)/40 selection:text-white', 'bg-[#f0f2f5] selection:bg-(--accent)/30 selection:text-black')
             }`}>
 
             {/* Background Mesh Global */}
-            <div className={`absolute inset-0 bg-[radial-gradient(ellipse_at_top,_var(--tw-gradient-stops))] transition-colors duration-700 ${t('from-indigo-900/40 via-[#0a0a0a] to-[#0a0a0a]', 'from-indigo-200/50 via-[#f0f2f5] to-[#f0f2f5]')
+            <div className={`absolute inset-0 bg-[radial-gradient(ellipse_at_top,_var(--tw-gradient-stops))] transition-colors duration-700 ${t('from-(--accent)/25 via-[#0a0a0a] to-[#0a0a0a]', 'from-(--accent)/25 via-[#f0f2f5] to-[#f0f2f5]')
                 }`}></div>
 
             <style dangerouslySetInnerHTML={{
@@ -1016,6 +4378,34 @@ export default function App() {
           -ms-overflow-style: none;
           scrollbar-width: none;
         }
+        :where(button, a, [tabindex]):focus-visible {
+          outline: 2px solid var(--accent);
+          outline-offset: 2px;
+        }
+
+        @media (prefers-reduced-motion: reduce) {
+          .animate-slide-up {
+            animation: none;
+          }
+          *, *::before, *::after {
+            transition-duration: 0.01ms !important;
+            scroll-behavior: auto !important;
+          }
+        }
+        @media (prefers-reduced-motion: reduce), (prefers-contrast: more) {
+          .animate-blob {
+            animation: none;
+          }
+          [class*="backdrop-blur"] {
+            -webkit-backdrop-filter: none !important;
+            backdrop-filter: none !important;
+          }
+        }
+        @media (prefers-contrast: more) {
+          .animate-blob {
+            display: none;
+          }
+        }
       `}} />
 
             {/* Main Application Container */}
@@ -1024,6 +4414,9 @@ export default function App() {
 
                 <AnimatedBackground />
 
+                {renderLocalDataBanner()}
+                {renderUpdateBanner()}
+
                 {/* Check Login/Auth Profile */}
                 {!currentUser ? (
                     renderLoginView()
@@ -1041,12 +4434,24 @@ export default function App() {
                                 className={`absolute inset-0 flex flex-col transition-all duration-[500ms] ease-[cubic-bezier(0.32,0.72,0,1)] ${isDetailOpen ? 'translate-x-0' : 'translate-x-full pointer-events-none opacity-0'
                                     }`}
                             >
-                                {activeProjectId && renderProjectDetailView()}
+                                {activeSmartView ? renderSmartView() : activeProjectId && renderProjectDetailView()}
                             </div>
                         </div>
 
                         {renderNewTaskModal()}
                         {renderNewProjectModal()}
+                        {renderTaskDetailSheet()}
+                        {renderTrashSheet()}
+                        {renderBackupSheet()}
+                        {renderAccountSheet()}
+                        {renderStatsSheet()}
+                        {renderShareSheet()}
+                        {renderJoinSheet()}
+                        {renderProjectOptionsSheet()}
+                        {renderMoveSheet()}
+                        {renderShortcutHelp()}
+                        {renderCommandPalette()}
+                        {renderToast()}
                     </>
                 )}
             </div>
@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from 'react';
+
+// === COLOR PICKER DRAFT ===
+// Native color inputs fire an input event for every step of a drag. The picked color is
+// kept here so it shows right away, and `commit(key, color)` only runs once the picker
+// has been still for DRAFT_DELAY_MS (or on unmount), so storage gets one write per pick.
+// `key` says what the draft belongs to (e.g. a project id); colorFor(key, saved) reads it back.
+
+const DRAFT_DELAY_MS = 400;
+
+export const useColorDraft = (commit) => {
+    const [draft, setDraft] = useState(null); // { key, color } while a pick is pending
+    const commitRef = useRef(commit);
+    const pendingRef = useRef(null);
+    const timerRef = useRef(null);
+    commitRef.current = commit;
+
+    const flush = () => {
+        clearTimeout(timerRef.current);
+        const pending = pendingRef.current;
+        pendingRef.current = null;
+        setDraft(null);
+        if (pending) commitRef.current(pending.key, pending.color);
+    };
+
+    useEffect(() => () => {
+        clearTimeout(timerRef.current);
+        const pending = pendingRef.current;
+        if (pending) commitRef.current(pending.key, pending.color);
+    }, []);
+
+    const change = (key, color) => {
+        // A pick for something else saves the previous one first
+        if (pendingRef.current && pendingRef.current.key !== key) flush();
+        pendingRef.current = { key, color };
+        setDraft({ key, color });
+        clearTimeout(timerRef.current);
+        timerRef.current = setTimeout(flush, DRAFT_DELAY_MS);
+    };
+
+    const colorFor = (key, saved) => (draft && draft.key === key ? draft.color : saved);
+
+    return { colorFor, change, flush };
+};
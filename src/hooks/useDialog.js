@@ -0,0 +1,60 @@
+import { useEffect, useRef } from 'react';
+
+// === MODAL DIALOG FOCUS ===
+// While `isOpen`, focus moves into the element holding the returned ref (unless an
+// autoFocus field inside already has it) and Tab / Shift+Tab cycle inside it.
+// On close, focus goes back to whatever was focused before it opened.
+// When dialogs stack, only the one opened last traps Tab.
+// Escape is handled by the global shortcut handler in App.jsx.
+
+const FOCUSABLE = [
+    'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+const getFocusable = (node) => [...node.querySelectorAll(FOCUSABLE)].filter((el) => el.getClientRects().length > 0);
+
+// Open dialogs, innermost last
+const openDialogs = [];
+
+export const useDialog = (isOpen) => {
+    const dialogRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen) return;
+        const previous = document.activeElement;
+        const node = dialogRef.current;
+
+        if (node && !node.contains(document.activeElement)) {
+            (getFocusable(node)[0] || node).focus();
+        }
+
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Tab' || !node || openDialogs[openDialogs.length - 1] !== node) return;
+            const focusable = getFocusable(node);
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !node.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !node.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+
+        openDialogs.push(node);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            openDialogs.splice(openDialogs.lastIndexOf(node), 1);
+            document.removeEventListener('keydown', handleKeyDown);
+            if (previous instanceof HTMLElement && previous.isConnected) previous.focus();
+        };
+    }, [isOpen]);
+
+    return dialogRef;
+};
@@ -0,0 +1,78 @@
+import { useState, useRef } from 'react';
+import { moveId } from '../lib/ordering.js';
+
+// === DRAG & DROP REORDERING ===
+// Pointer-event based so it works the same for mouse, pen and touch.
+// The list re-renders in preview order while dragging; onReorder(ids) fires once on drop.
+// Focused drag handles also move their item with ArrowUp / ArrowDown.
+export const useDragReorder = (items, onReorder) => {
+    const [drag, setDrag] = useState(null); // { id, order: [ids] }
+    const itemNodes = useRef(new Map());
+    const handleNodes = useRef(new Map());
+
+    const ids = items.map((item) => item.id);
+    const order = drag ? drag.order : ids;
+    const byId = new Map(items.map((item) => [item.id, item]));
+    const orderedItems = order.map((id) => byId.get(id)).filter(Boolean);
+
+    const commit = (nextIds) => {
+        if (nextIds.join() !== ids.join()) onReorder(nextIds);
+    };
+
+    const handlePointerMove = (e) => {
+        if (!drag) return;
+        const others = drag.order.filter((id) => id !== drag.id);
+        let index = others.length;
+        for (let i = 0; i < others.length; i++) {
+            const rect = itemNodes.current.get(others[i])?.getBoundingClientRect();
+            if (rect && e.clientY < rect.top + rect.height / 2) {
+                index = i;
+                break;
+            }
+        }
+        const next = [...others.slice(0, index), drag.id, ...others.slice(index)];
+        if (next.join() !== drag.order.join()) setDrag({ ...drag, order: next });
+    };
+
+    const endDrag = (cancelled) => {
+        if (!drag) return;
+        if (!cancelled) commit(drag.order);
+        setDrag(null);
+    };
+
+    const getItemProps = (id) => ({
+        ref: (node) => {
+            if (node) itemNodes.current.set(id, node);
+            else itemNodes.current.delete(id);
+        },
+    });
+
+    const getHandleProps = (id) => ({
+        ref: (node) => {
+            if (node) handleNodes.current.set(id, node);
+            else handleNodes.current.delete(id);
+        },
+        style: { touchAction: 'none' },
+        onClick: (e) => e.stopPropagation(),
+        onPointerDown: (e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation();
+            e.currentTarget.setPointerCapture(e.pointerId);
+            setDrag({ id, order: ids });
+        },
+        onPointerMove: handlePointerMove,
+        onPointerUp: () => endDrag(false),
+        onPointerCancel: () => endDrag(true),
+        onKeyDown: (e) => {
+            const delta = e.key === 'ArrowUp' ? -1 : e.key === 'ArrowDown' ? 1 : 0;
+            if (!delta) return;
+            e.preventDefault();
+            e.stopPropagation();
+            commit(moveId(ids, id, delta));
+            // Keep focus on the handle after the list re-renders in its new order
+            requestAnimationFrame(() => handleNodes.current.get(id)?.focus());
+        },
+    });
+
+    return { orderedItems, draggingId: drag?.id ?? null, getItemProps, getHandleProps };
+};
@@ -0,0 +1,21 @@
+import { useEffect, useState } from 'react';
+
+// === MEDIA QUERY ===
+// Whether `query` currently matches, updated when it changes (e.g. the OS switching to dark mode)
+
+const matches = (query) => typeof window !== 'undefined' && !!window.matchMedia?.(query).matches;
+
+export const useMediaQuery = (query) => {
+    const [isMatch, setIsMatch] = useState(() => matches(query));
+
+    useEffect(() => {
+        const list = window.matchMedia?.(query);
+        if (!list) return;
+        const handleChange = () => setIsMatch(list.matches);
+        handleChange();
+        list.addEventListener('change', handleChange);
+        return () => list.removeEventListener('change', handleChange);
+    }, [query]);
+
+    return isMatch;
+};
@@ -0,0 +1,333 @@
+import { RECURRENCE_TYPES } from './recurrence.js';
+import { normalizePriority, parseTags } from './taskView.js';
+import { getProjectColor, normalizeProjectIcon } from './themes.js';
+
+// === EXPORT / IMPORT ===
+// JSON is the lossless, versioned format. CSV (one row per task) and Markdown
+// (a checklist per project) are for spreadsheets and notes, and import back
+// with whatever fields they carry.
+
+export const BACKUP_VERSION = 1;
+
+const CSV_COLUMNS = ['project', 'task', 'description', 'completed', 'dueDate', 'dueTime', 'recurrence', 'subtasks', 'priority', 'tags', 'createdAt'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+// --- Export ---
+
+// Trash and shared-project membership stay behind; an imported project is always a personal one
+const stripProject = ({ deletedTasks, deletedAt, shared, role, ownerId, members, memberUids, memberNames, joinCode, ...project }) => project;
+
+export const buildBackup = (profile, projects, now = Date.now()) => ({
+    app: 'miroo',
+    version: BACKUP_VERSION,
+    exportedAt: now,
+    profile: profile ? {
+        name: profile.name, avatarUrl: profile.avatarUrl, theme: profile.theme, locale: profile.locale,
+        themePreset: profile.themePreset, accentColor: profile.accentColor,
+    } : null,
+    projects: projects.map(stripProject),
+});
+
+export const toJSON = (profile, projects) => JSON.stringify(buildBackup(profile, projects), null, 2);
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (projects) => {
+    const rows = [CSV_COLUMNS];
+    projects.forEach((project) => {
+        (project.tasks || []).forEach((task) => {
+            rows.push([
+                project.title,
+                task.text,
+                task.description || '',
+                task.completed ? 'true' : 'false',
+                task.dueDate || '',
+                task.dueTime || '',
+                task.recurrence ? JSON.stringify(task.recurrence) : '',
+                (task.subtasks || []).map((s) => `${s.completed ? '[x]' : '[ ]'} ${s.text}`).join('; '),
+                normalizePriority(task.priority),
+                (task.tags || []).join(' '),
+                task.createdAt ? new Date(task.createdAt).toISOString() : '',
+            ]);
+        });
+    });
+    return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+export const toMarkdown = (projects) => projects.map((project) => {
+    const lines = [`## ${project.title}`, ''];
+    (project.tasks || []).forEach((task) => {
+        const due = task.dueDate ? ` (due ${task.dueDate}${task.dueTime ? ` ${task.dueTime}` : ''})` : '';
+        lines.push(`- [${task.completed ? 'x' : ' '}] ${task.text}${due}`);
+        if (task.description) lines.push(`  > ${task.description.replace(/\s*\n\s*/g, ' ')}`);
+        (task.subtasks || []).forEach((s) => lines.push(`  - [${s.completed ? 'x' : ' '}] ${s.text}`));
+    });
+    return lines.join('\n');
+}).join('\n\n') + '\n';
+
+export const downloadFile = (content, filename, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Parsing & validation ---
+
+const parseCSVRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter((r) => r.some((c) => c.trim()));
+};
+
+// Errors and skipped-row notes carry a `code` (a key in src/locales) and `params`, so the UI
+// can show them in the user's language; the English message is for logs
+const backupError = (code, message, params = {}) => Object.assign(new Error(message), { code, params });
+
+const parseChecklistItem = (line) => {
+    const match = line.match(/^-\s*\[( |x|X)\]\s*(.+)$/);
+    return match ? { completed: match[1] !== ' ', text: match[2].trim() } : null;
+};
+
+const normalizeRecurrence = (recurrence) => (
+    recurrence && RECURRENCE_TYPES.includes(recurrence.type) ? recurrence : null
+);
+
+// Completion log entries (see lib/tasks.js); anything without a valid completedAt is dropped
+const normalizeHistory = (history) => (Array.isArray(history) ? history : [])
+    .filter((entry) => entry && Number.isFinite(entry.completedAt))
+    .map(({ completedAt, dueDate, undoneAt }) => ({
+        completedAt,
+        ...(DATE_RE.test(dueDate || '') && { dueDate }),
+        ...(Number.isFinite(undoneAt) && { undoneAt }),
+    }));
+
+// Only the fields a task is made of are read. Trash state, positions and attribution
+// (deletedAt, position, createdBy, completedBy, spawnedTaskId) never come from a file.
+const normalizeTask = (raw, errors, project) => {
+    if (!raw || typeof raw.text !== 'string' || !raw.text.trim()) {
+        errors.push({ code: 'backup.skippedTask', params: { project } });
+        return null;
+    }
+    const completed = raw.completed === true;
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : crypto.randomUUID(),
+        text: raw.text.trim(),
+        description: typeof raw.description === 'string' ? raw.description : '',
+        completed,
+        completedAt: completed && Number.isFinite(raw.completedAt) ? raw.completedAt : null,
+        dueDate: DATE_RE.test(raw.dueDate || '') ? raw.dueDate : null,
+        dueTime: DATE_RE.test(raw.dueDate || '') && TIME_RE.test(raw.dueTime || '') ? raw.dueTime : null,
+        recurrence: normalizeRecurrence(raw.recurrence),
+        subtasks: Array.isArray(raw.subtasks)
+            ? raw.subtasks
+                .filter((s) => s && typeof s.text === 'string' && s.text.trim())
+                .map((s) => ({ id: typeof s.id === 'string' && s.id ? s.id : crypto.randomUUID(), text: s.text.trim(), completed: s.completed === true }))
+            : [],
+        priority: normalizePriority(raw.priority),
+        tags: parseTags(raw.tags),
+        createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+        history: normalizeHistory(raw.history),
+        ...(typeof raw.seriesId === 'string' && raw.seriesId && { seriesId: raw.seriesId }),
+    };
+};
+
+const normalizeProject = (raw, errors, index) => {
+    if (!raw || typeof raw.title !== 'string' || !raw.title.trim()) {
+        errors.push({ code: 'backup.skippedProject', params: { number: index + 1 } });
+        return null;
+    }
+    const title = raw.title.trim();
+    return {
+        ...stripProject(raw),
+        id: typeof raw.id === 'string' && raw.id ? raw.id : crypto.randomUUID(),
+        title,
+        color: getProjectColor(raw),
+        buttonIcon: normalizeProjectIcon(raw.buttonIcon),
+        createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+        tasks: (Array.isArray(raw.tasks) ? raw.tasks : [])
+            .map((task) => normalizeTask(task, errors, title))
+            .filter(Boolean),
+    };
+};
+
+const readJSON = (text) => {
+    const data = JSON.parse(text);
+    if (data?.app !== 'miroo' || !Array.isArray(data.projects)) {
+        throw backupError('backup.notBackup', 'This is not a Miroo backup file.');
+    }
+    if (data.version > BACKUP_VERSION) {
+        throw backupError('backup.newerVersion', `This backup was made by a newer version of Miroo (v${data.version}).`, { version: data.version });
+    }
+    return { profile: data.profile || null, projects: data.projects };
+};
+
+const readCSV = (text) => {
+    const [header, ...rows] = parseCSVRows(text);
+    const columns = (header || []).map((c) => c.trim());
+    if (!columns.includes('project') || !columns.includes('task')) {
+        throw backupError('backup.csvColumns', 'CSV needs at least "project" and "task" columns.');
+    }
+
+    const byTitle = new Map();
+    rows.forEach((cells) => {
+        const row = Object.fromEntries(columns.map((c, i) => [c, cells[i] ?? '']));
+        const title = row.project.trim();
+        if (!byTitle.has(title)) byTitle.set(title, { title, tasks: [] });
+
+        let recurrence = null;
+        try { recurrence = row.recurrence ? JSON.parse(row.recurrence) : null; } catch { recurrence = null; }
+
+        byTitle.get(title).tasks.push({
+            text: row.task,
+            description: row.description,
+            completed: row.completed === 'true',
+            dueDate: row.dueDate,
+            dueTime: row.dueTime,
+            recurrence,
+            subtasks: (row.subtasks || '').split(';').map((s) => parseChecklistItem(`- ${s.trim()}`)).filter(Boolean),
+            priority: row.priority,
+            tags: row.tags,
+            createdAt: row.createdAt ? Date.parse(row.createdAt) : undefined,
+        });
+    });
+    return { profile: null, projects: [...byTitle.values()] };
+};
+
+const readMarkdown = (text) => {
+    const projects = [];
+    let lastTask = null;
+
+    text.split(/\r?\n/).forEach((line) => {
+        const heading = line.match(/^#{1,6}\s+(.+)$/);
+        if (heading) {
+            projects.push({ title: heading[1].trim(), tasks: [] });
+            lastTask = null;
+            return;
+        }
+        const project = projects[projects.length - 1];
+        if (!project) return;
+
+        const indented = /^\s+/.test(line);
+        const item = parseChecklistItem(line.trim());
+        if (item && indented && lastTask) {
+            lastTask.subtasks.push(item);
+        } else if (item) {
+            const due = item.text.match(/\s*\(due (\d{4}-\d{2}-\d{2})(?: (\d{2}:\d{2}))?\)$/);
+            lastTask = {
+                ...item,
+                text: due ? item.text.slice(0, due.index) : item.text,
+                dueDate: due?.[1],
+                dueTime: due?.[2],
+                subtasks: [],
+            };
+            project.tasks.push(lastTask);
+        } else if (indented && lastTask && line.trim().startsWith('>')) {
+            lastTask.description = line.trim().replace(/^>\s?/, '');
+        }
+    });
+
+    if (projects.length === 0) throw backupError('backup.noHeadings', 'No "## Project" headings found in the Markdown file.');
+    return { profile: null, projects };
+};
+
+// Returns { format, profile, projects, errors }, or throws an error with a `code`
+export const parseBackup = (text, filename = '') => {
+    const extension = filename.split('.').pop().toLowerCase();
+    const trimmed = text.trim();
+
+    let format;
+    if (extension === 'json' || trimmed.startsWith('{')) format = 'json';
+    else if (extension === 'csv') format = 'csv';
+    else if (extension === 'md' || extension === 'markdown' || trimmed.startsWith('#')) format = 'markdown';
+    else throw backupError('backup.unsupported', 'Unsupported file. Choose a .json, .csv or .md export.');
+
+    let data;
+    try {
+        data = format === 'json' ? readJSON(text) : format === 'csv' ? readCSV(text) : readMarkdown(text);
+    } catch (error) {
+        throw error instanceof SyntaxError ? backupError('backup.invalidJSON', 'The file is not valid JSON.') : error;
+    }
+
+    const errors = [];
+    const projects = data.projects.map((p, i) => normalizeProject(p, errors, i)).filter(Boolean);
+    return { format, profile: data.profile, projects, errors };
+};
+
+// --- Planning ---
+
+// Works out what an import will do, without touching storage.
+//   merge:   projects are matched by id, then by title; only tasks not already there are added
+//   replace: every current personal project goes to the trash and the imported ones are added fresh
+// Shared projects are never changed by an import, as every member would see it (and viewers may
+// not write at all); in either mode they end up in `keep`.
+export const planImport = (existingProjects, incomingProjects, mode) => {
+    const plan = { mode, add: [], update: [], remove: [], keep: [], tasksAdded: 0 };
+
+    if (mode === 'replace') {
+        plan.remove = existingProjects.filter((p) => !p.shared).map((p) => p.id);
+        plan.keep = existingProjects.filter((p) => p.shared).map((p) => p.id);
+        plan.add = incomingProjects.map((p) => ({ ...p, id: crypto.randomUUID() }));
+        plan.tasksAdded = plan.add.reduce((sum, p) => sum + p.tasks.length, 0);
+        return plan;
+    }
+
+    const takenIds = new Set(existingProjects.map((p) => p.id));
+    incomingProjects.forEach((incoming) => {
+        const match = existingProjects.find((p) => p.id === incoming.id)
+            || existingProjects.find((p) => p.title.trim().toLowerCase() === incoming.title.toLowerCase());
+
+        if (match?.shared) {
+            if (!plan.keep.includes(match.id)) plan.keep.push(match.id);
+            return;
+        }
+
+        if (!match) {
+            const project = takenIds.has(incoming.id) ? { ...incoming, id: crypto.randomUUID() } : incoming;
+            takenIds.add(project.id);
+            plan.add.push(project);
+            plan.tasksAdded += project.tasks.length;
+            return;
+        }
+
+        const existingTasks = match.tasks || [];
+        const newTasks = incoming.tasks.filter((task) => !existingTasks.some((t) =>
+            t.id === task.id || t.text.trim().toLowerCase() === task.text.toLowerCase()
+        ));
+        if (newTasks.length === 0) return;
+
+        plan.update.push({ id: match.id, title: match.title, newTasks, fields: { tasks: [...existingTasks, ...newTasks] } });
+        plan.tasksAdded += newTasks.length;
+    });
+
+    return plan;
+};
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { parseBackup, planImport, toCSV, toJSON, toMarkdown, BACKUP_VERSION } from './backup.js';
+
+const task = (id, text, fields = {}) => ({ id, text, ...fields });
+const EXISTING = [
+    { id: 'home', title: 'Home', tasks: [task('t1', 'Water plants')] },
+    { id: 'trip', title: 'Trip', shared: true, role: 'editor', tasks: [task('t2', 'Renew passports')] },
+    { id: 'club', title: 'Book Club', shared: true, role: 'viewer', tasks: [] },
+];
+
+const backupJSON = (projects, fields = {}) => JSON.stringify({ app: 'miroo', version: BACKUP_VERSION, projects, ...fields });
+const errorOf = (run) => {
+    try {
+        run();
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+const codeOf = (run) => errorOf(run)?.code;
+
+describe('parseBackup', () => {
+    it('reads back what JSON, CSV and Markdown exports wrote', () => {
+        const projects = [{
+            id: 'home', title: 'Home', color: '#ff6b6b', buttonIcon: 'plus', createdAt: 1,
+            tasks: [task('t1', 'Pay rent, "soon"', { dueDate: '2026-10-20', dueTime: '09:00', subtasks: [{ id: 's1', text: 'Find card', completed: true }] })],
+        }];
+
+        const json = parseBackup(toJSON({ name: 'Ana' }, projects), 'miroo.json');
+        expect(json.format).toBe('json');
+        expect(json.profile.name).toBe('Ana');
+        expect(json.projects[0].tasks[0]).toMatchObject({ text: 'Pay rent, "soon"', dueTime: '09:00' });
+
+        const csv = parseBackup(toCSV(projects), 'miroo.csv');
+        expect(csv.projects[0].tasks[0]).toMatchObject({ text: 'Pay rent, "soon"', dueDate: '2026-10-20' });
+        expect(csv.projects[0].tasks[0].subtasks).toMatchObject([{ text: 'Find card', completed: true }]);
+
+        const markdown = parseBackup(toMarkdown(projects), 'miroo.md');
+        expect(markdown.projects[0].title).toBe('Home');
+        expect(markdown.projects[0].tasks[0]).toMatchObject({ text: 'Pay rent, "soon"', dueDate: '2026-10-20', dueTime: '09:00' });
+    });
+
+    it('rejects files it cannot read, with a code for each reason', () => {
+        expect(codeOf(() => parseBackup('{"app": "other", "projects": []}', 'a.json'))).toBe('backup.notBackup');
+        expect(codeOf(() => parseBackup('{ nope', 'a.json'))).toBe('backup.invalidJSON');
+        expect(codeOf(() => parseBackup('name,done\nRent,true', 'a.csv'))).toBe('backup.csvColumns');
+        expect(codeOf(() => parseBackup('- [ ] Rent', 'a.md'))).toBe('backup.noHeadings');
+        expect(codeOf(() => parseBackup('hello', 'a.txt'))).toBe('backup.unsupported');
+    });
+
+    it('refuses backups from a newer version', () => {
+        expect(errorOf(() => parseBackup(backupJSON([], { version: BACKUP_VERSION + 1 }), 'a.json'))).toMatchObject({ code: 'backup.newerVersion', params: { version: BACKUP_VERSION + 1 } });
+    });
+
+    it('skips projects and tasks without a title and reports them', () => {
+        const { projects, errors } = parseBackup(backupJSON([{ title: '' }, { title: 'Home', tasks: [{ text: ' ' }, { text: 'Rent' }] }]), 'a.json');
+        expect(projects.map((p) => p.tasks.length)).toEqual([1]);
+        expect(errors).toEqual([
+            { code: 'backup.skippedProject', params: { number: 1 } },
+            { code: 'backup.skippedTask', params: { project: 'Home' } },
+        ]);
+    });
+
+    it('reads only the fields a task is made of', () => {
+        const { projects } = parseBackup(backupJSON([{
+            title: 'Home',
+            tasks: [{
+                id: 't1', text: 'Rent', completed: true, completedAt: 'yesterday', deletedAt: 5, position: 3,
+                createdBy: 'someone-else', completedBy: 'someone-else', spawnedTaskId: 'x',
+                history: [{ completedAt: 10, dueDate: '2026-10-01' }, { completedAt: 'soon' }, null],
+            }],
+        }]), 'a.json');
+        const [imported] = projects[0].tasks;
+        expect(imported).toMatchObject({ id: 't1', text: 'Rent', completed: true, completedAt: null });
+        expect(imported.history).toEqual([{ completedAt: 10, dueDate: '2026-10-01' }]);
+        ['deletedAt', 'position', 'createdBy', 'completedBy', 'spawnedTaskId'].forEach((field) => {
+            expect(imported).not.toHaveProperty(field);
+        });
+    });
+});
+
+describe('planImport', () => {
+    it('merges into a project matched by id, adding only tasks that are not there yet', () => {
+        const plan = planImport(EXISTING, [{ id: 'home', title: 'House', tasks: [task('t1', 'Renamed'), task('t3', 'Fix tap')] }], 'merge');
+        expect(plan.update.map((u) => [u.id, u.newTasks.map((t) => t.id)])).toEqual([['home', ['t3']]]);
+        expect(plan.add).toEqual([]);
+    });
+
+    it('merges into a project matched by title, skipping tasks with the same text', () => {
+        const plan = planImport(EXISTING, [{ id: 'other', title: 'home', tasks: [task('t9', 'water plants'), task('t3', 'Fix tap')] }], 'merge');
+        expect(plan.update).toHaveLength(1);
+        expect(plan.update[0].newTasks.map((t) => t.text)).toEqual(['Fix tap']);
+        expect(plan.tasksAdded).toBe(1);
+    });
+
+    it('adds unmatched projects, with a fresh id if theirs is taken', () => {
+        const plan = planImport(EXISTING, [
+            { id: 'new', title: 'Garden', tasks: [task('t4', 'Plant bulbs')] },
+            { id: 'new', title: 'Garage', tasks: [] },
+        ], 'merge');
+        expect(plan.add.map((p) => p.title)).toEqual(['Garden', 'Garage']);
+        expect(plan.add[0].id).toBe('new');
+        expect(plan.add[1].id).not.toBe('new');
+        expect(plan.tasksAdded).toBe(1);
+    });
+
+    it('never merges into shared projects, whatever the role', () => {
+        const plan = planImport(EXISTING, [
+            { id: 'x1', title: 'Trip', tasks: [task('t5', 'Book hotel')] },
+            { id: 'club', title: 'Club', tasks: [task('t6', 'Pick a book')] },
+        ], 'merge');
+        expect(plan.update).toEqual([]);
+        expect(plan.add).toEqual([]);
+        expect(plan.keep).toEqual(['trip', 'club']);
+        expect(plan.tasksAdded).toBe(0);
+    });
+
+    it('replaces personal projects but keeps shared ones', () => {
+        const plan = planImport(EXISTING, [{ id: 'home', title: 'Home', tasks: [task('t1', 'Water plants')] }], 'replace');
+        expect(plan.remove).toEqual(['home']);
+        expect(plan.keep).toEqual(['trip', 'club']);
+        expect(plan.add).toHaveLength(1);
+        expect(plan.add[0].id).not.toBe('home');
+    });
+});
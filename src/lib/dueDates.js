@@ -0,0 +1,58 @@
+import { defaultI18n } from './i18n.js';
+
+// === DUE DATE HELPERS ===
+// Tasks store `dueDate` as 'YYYY-MM-DD' and an optional `dueTime` as 'HH:MM' (local time).
+// A task without a time is due at the end of its day.
+
+export const DUE_SOON_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const toDateInputValue = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const toTimeInputValue = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+export const parseDateInputValue = (value) => {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d);
+};
+
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const getDueAt = (task) => {
+    if (!task?.dueDate) return null;
+    const date = parseDateInputValue(task.dueDate);
+    if (task.dueTime) {
+        const [h, min] = task.dueTime.split(':').map(Number);
+        date.setHours(h, min, 0, 0);
+    } else {
+        date.setHours(23, 59, 59, 999);
+    }
+    return date.getTime();
+};
+
+// 'overdue' | 'soon' | 'upcoming' | null (no due date or already completed)
+export const getDueStatus = (task, now = Date.now()) => {
+    if (task.completed) return null;
+    const dueAt = getDueAt(task);
+    if (dueAt === null) return null;
+    if (dueAt < now) return 'overdue';
+    if (dueAt - now <= DUE_SOON_MS) return 'soon';
+    return 'upcoming';
+};
+
+export const formatDue = (task, now = Date.now(), i18n = defaultI18n) => {
+    if (!task?.dueDate) return '';
+    const today = startOfDay(new Date(now)).getTime();
+    const day = parseDateInputValue(task.dueDate).getTime();
+    const diffDays = Math.round((day - today) / (24 * 60 * 60 * 1000));
+
+    let label;
+    if (diffDays === 0) label = i18n.tr('due.today');
+    else if (diffDays === 1) label = i18n.tr('due.tomorrow');
+    else if (diffDays === -1) label = i18n.tr('due.yesterday');
+    else label = i18n.formatDate(day, { weekday: 'short', month: 'short', day: 'numeric' });
+
+    return task.dueTime ? `${label} ${task.dueTime}` : label;
+};
@@ -0,0 +1,59 @@
+import { en } from '../locales/en.js';
+import { id } from '../locales/id.js';
+
+// === TRANSLATIONS & LOCALE FORMATTING ===
+// Catalogs in src/locales map flat keys ('detail.completed') to messages. Messages may hold
+// {placeholders}; numbers passed in are formatted for the locale. A message can also be
+// an object of plural forms ({ one, other }) picked by Intl.PluralRules from params.count.
+// Missing keys fall back to English, then to the key itself.
+// The chosen locale is saved on the profile as `locale`, next to `theme`.
+
+export const LOCALES = [
+    { id: 'en', label: 'English' },
+    { id: 'id', label: 'Bahasa Indonesia' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, id };
+
+export const isSupportedLocale = (locale) => Object.hasOwn(CATALOGS, locale);
+
+// Best match from the browser's languages, used until the profile says otherwise
+export const detectLocale = () => {
+    const languages = typeof navigator === 'undefined' ? [] : (navigator.languages || [navigator.language]);
+    const match = languages.map((lang) => String(lang || '').slice(0, 2).toLowerCase()).find(isSupportedLocale);
+    return match || DEFAULT_LOCALE;
+};
+
+export const createI18n = (locale) => {
+    const lang = isSupportedLocale(locale) ? locale : DEFAULT_LOCALE;
+    const messages = CATALOGS[lang];
+    const pluralRules = new Intl.PluralRules(lang);
+    const numberFormat = new Intl.NumberFormat(lang);
+
+    const lookup = (key) => messages[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+
+    const tr = (key, params = {}) => {
+        let message = lookup(key) ?? key;
+        if (typeof message === 'object') message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return typeof value === 'number' ? numberFormat.format(value) : String(value);
+        });
+    };
+
+    return {
+        locale: lang,
+        tr,
+        has: (key) => lookup(key) !== undefined,
+        formatNumber: (value, options) => new Intl.NumberFormat(lang, options).format(value),
+        formatDate: (value, options) => new Date(value).toLocaleDateString(lang, options),
+        formatDateTime: (value, options) => new Date(value).toLocaleString(lang, options),
+        formatList: (items) => new Intl.ListFormat(lang, { style: 'short', type: 'unit' }).format(items),
+    };
+};
+
+// English formatting for lib helpers called without an i18n instance
+export const defaultI18n = createI18n(DEFAULT_LOCALE);
@@ -0,0 +1,24 @@
+// === MANUAL ORDERING ===
+// Projects carry an optional numeric `order`. Until a project has been dragged
+// it has none and falls back to newest-first by `createdAt`.
+
+const orderKey = (project) => (Number.isFinite(project.order) ? project.order : -(project.createdAt || 0));
+
+export const sortProjects = (projects) => [...projects].sort((a, b) => orderKey(a) - orderKey(b));
+
+// `order` for a project added to the top of the list, or undefined when nothing is ordered yet
+export const getTopOrder = (projects) => {
+    const orders = projects.map((p) => p.order).filter(Number.isFinite);
+    return orders.length > 0 ? Math.min(...orders) - 1 : undefined;
+};
+
+// Moves `id` by `delta` positions in an array of ids
+export const moveId = (ids, id, delta) => {
+    const from = ids.indexOf(id);
+    const to = from + delta;
+    if (from === -1 || to < 0 || to >= ids.length) return ids;
+    const next = [...ids];
+    next.splice(from, 1);
+    next.splice(to, 0, id);
+    return next;
+};
@@ -0,0 +1,27 @@
+// === PROGRESS HELPERS ===
+
+// Fraction of a single task that is done: 1 when completed, otherwise its finished subtasks
+export const getTaskProgress = (task) => {
+    if (task.completed) return 1;
+    const subtasks = task.subtasks || [];
+    if (subtasks.length === 0) return 0;
+    return subtasks.filter((s) => s.completed).length / subtasks.length;
+};
+
+export const getSubtaskCounts = (task) => {
+    const subtasks = task.subtasks || [];
+    return { done: subtasks.filter((s) => s.completed).length, total: subtasks.length };
+};
+
+// With weightSubtasks, half-finished checklists move the project bar too
+export const getProjectProgress = (project, { weightSubtasks = false } = {}) => {
+    const tasks = project.tasks || [];
+    const completed = tasks.filter((t) => t.completed).length;
+    const total = tasks.length;
+    if (total === 0) return { completed, total, percent: 0 };
+
+    const done = weightSubtasks
+        ? tasks.reduce((sum, t) => sum + getTaskProgress(t), 0)
+        : completed;
+    return { completed, total, percent: (done / total) * 100 };
+};
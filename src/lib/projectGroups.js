@@ -0,0 +1,58 @@
+import { sortProjects } from './ordering.js';
+
+// === HOME LIST GROUPING ===
+// Projects carry three optional fields for the home list:
+//   pinned      true  -> listed first
+//   folder      name  -> grouped under that folder (folders are just names, A-Z)
+//   archivedAt  time  -> hidden from the main list, shown in the Archive section
+// Within each group the manual order from lib/ordering.js is kept.
+
+export const isArchived = (project) => !!project.archivedAt;
+
+export const normalizeFolderName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+// Every folder name in use, including those only holding archived projects
+export const getFolderNames = (projects) => (
+    [...new Set(projects.map((p) => p.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b))
+);
+
+// { pinned, folders: [{ name, projects }], unfiled, archived }; pinned projects skip their folder
+export const groupProjects = (projects) => {
+    const active = projects.filter((p) => !isArchived(p));
+    const rest = active.filter((p) => !p.pinned);
+    return {
+        pinned: active.filter((p) => p.pinned),
+        folders: getFolderNames(rest).map((name) => ({ name, projects: rest.filter((p) => p.folder === name) })),
+        unfiled: rest.filter((p) => !p.folder),
+        archived: projects.filter(isArchived),
+    };
+};
+
+// The non-archived projects in the order the home list shows them
+export const flattenGroups = ({ pinned, folders, unfiled }) => [
+    ...pinned,
+    ...folders.flatMap((folder) => folder.projects),
+    ...unfiled,
+];
+
+// Shared projects keep these fields per member rather than on the shared document, on the
+// profile as sharedLayout: { [projectId]: { order, pinned, folder, archivedAt, taskSort } }, so one
+// member's home list or task sort never changes another's. Color and icon stay shared.
+export const SHARED_LAYOUT_FIELDS = ['order', 'pinned', 'folder', 'archivedAt', 'taskSort'];
+
+// Projects with the user's own layout applied to the shared ones, back in display order
+export const applySharedLayout = (projects, sharedLayout = {}) => sortProjects(projects.map((project) => {
+    if (!project.shared) return project;
+    const layout = sharedLayout?.[project.id] || {};
+    return { ...project, ...Object.fromEntries(SHARED_LAYOUT_FIELDS.map((field) => [field, layout[field]])) };
+}));
+
+// Splits field updates into { fields } for the project document and { layout } for the profile
+export const splitSharedLayout = (project, fields) => {
+    if (!project?.shared) return { fields, layout: {} };
+    const entries = Object.entries(fields);
+    return {
+        fields: Object.fromEntries(entries.filter(([key]) => !SHARED_LAYOUT_FIELDS.includes(key))),
+        layout: Object.fromEntries(entries.filter(([key]) => SHARED_LAYOUT_FIELDS.includes(key))),
+    };
+};
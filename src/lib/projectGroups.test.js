@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { groupProjects, flattenGroups, applySharedLayout, splitSharedLayout } from './projectGroups.js';
+
+const ids = (projects) => projects.map((p) => p.id);
+
+describe('groupProjects', () => {
+    const projects = [
+        { id: 'a', folder: 'Work' },
+        { id: 'b', pinned: true, folder: 'Work' },
+        { id: 'c' },
+        { id: 'd', folder: 'Home', archivedAt: 1 },
+    ];
+
+    it('lists pinned projects first, skipping their folder, and archived ones apart', () => {
+        const groups = groupProjects(projects);
+        expect(ids(groups.pinned)).toEqual(['b']);
+        expect(groups.folders.map((f) => [f.name, ids(f.projects)])).toEqual([['Work', ['a']]]);
+        expect(ids(groups.unfiled)).toEqual(['c']);
+        expect(ids(groups.archived)).toEqual(['d']);
+        expect(ids(flattenGroups(groups))).toEqual(['b', 'a', 'c']);
+    });
+});
+
+describe('shared layout', () => {
+    const shared = { id: 's', shared: true, createdAt: 2, order: 0, pinned: true, archivedAt: 5, taskSort: 'priority', color: '#ff0000' };
+    const personal = { id: 'p', createdAt: 1, order: 1, pinned: true };
+
+    it('ignores another member\'s layout on the shared document', () => {
+        const [project] = applySharedLayout([shared], {});
+        expect(project).toMatchObject({ pinned: undefined, archivedAt: undefined, taskSort: undefined, color: '#ff0000' });
+    });
+
+    it('applies the user\'s own layout and re-sorts', () => {
+        const projects = applySharedLayout([personal, shared], { s: { order: 5, folder: 'Trips', taskSort: 'dueDate' } });
+        expect(ids(projects)).toEqual(['p', 's']);
+        expect(projects[1]).toMatchObject({ folder: 'Trips', taskSort: 'dueDate', pinned: undefined });
+        expect(projects[0]).toBe(personal);
+    });
+
+    it('sends layout fields of shared projects to the profile, everything else to the project', () => {
+        expect(splitSharedLayout(shared, { pinned: false, archivedAt: 9, color: '#00ff00' })).toEqual({
+            fields: { color: '#00ff00' },
+            layout: { pinned: false, archivedAt: 9 },
+        });
+        expect(splitSharedLayout(personal, { pinned: false })).toEqual({ fields: { pinned: false }, layout: {} });
+    });
+});
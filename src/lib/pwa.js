@@ -0,0 +1,54 @@
+// === PWA: SERVICE WORKER & UPDATES ===
+// The worker only exists in production builds (dist/sw.js, generated by vite.config.js).
+// A new deploy installs in the background and then waits; listeners hear about it so the
+// app can offer a reload, and applyUpdate() lets it take over and reloads the page.
+
+let waitingWorker = null;
+let isApplying = false;
+const listeners = new Set();
+
+const setWaiting = (worker) => {
+    waitingWorker = worker;
+    listeners.forEach((listener) => listener(!!worker));
+};
+
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    // Also fires on the very first install (clients.claim), only reload when we asked for it
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (isApplying) window.location.reload();
+    });
+
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            if (registration.waiting && navigator.serviceWorker.controller) setWaiting(registration.waiting);
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaiting(worker);
+                });
+            });
+
+            // Installed apps can stay open for days, look for new deploys every hour
+            setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+        } catch (error) {
+            console.error("Service worker registration failed:", error);
+        }
+    });
+};
+
+// listener(isUpdateReady) -> unsubscribe
+export const subscribeUpdate = (listener) => {
+    listeners.add(listener);
+    listener(!!waitingWorker);
+    return () => listeners.delete(listener);
+};
+
+export const applyUpdate = () => {
+    if (!waitingWorker) return;
+    isApplying = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
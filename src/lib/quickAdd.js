@@ -0,0 +1,171 @@
+import { toDateInputValue, parseDateInputValue, startOfDay } from './dueDates.js';
+import { createRecurrence } from './recurrence.js';
+import { normalizeTag } from './taskView.js';
+
+// === QUICK ADD PARSER ===
+// Turns "Pay rent tomorrow 9am #Home !high every month" into task fields. Recognised
+// phrases are cut out of the title; anything not understood stays in it.
+//   dates    today, tonight, tomorrow, friday, on fri, next fri, next week, in 3 days, in 2 weeks,
+//            25 oct, oct 25, 2026-10-25 (optionally after "on", "by" or "due")
+//   times    9am, 9:30pm, 14:00, at 9, noon
+//   #word    the project whose title matches (ignoring case, spaces and dashes), otherwise a tag
+//   !high, !medium / !med, !low
+//   repeats  daily, weekdays, weekly, monthly, every day / weekday / week / month,
+//            every monday, every 3 days, every 2 weeks
+// Only the first phrase of each kind is used. Everything runs locally, nothing is sent anywhere.
+
+const WEEKDAYS = {
+    sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tues: 2, tue: 2, wednesday: 3, wed: 3,
+    thursday: 4, thurs: 4, thur: 4, thu: 4, friday: 5, fri: 5, saturday: 6, sat: 6,
+};
+const WEEKDAY = `(${Object.keys(WEEKDAYS).join('|')})`;
+// Bare weekdays must be spelled out, so "sun cream" or "wed photos" stay in the title
+const WEEKDAY_FULL = `(${Object.keys(WEEKDAYS).filter((name) => name.endsWith('day')).join('|')})`;
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const monthIndex = (name) => ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(name.slice(0, 3).toLowerCase());
+
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+const DATE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+
+const PRIORITY_ALIASES = { high: 'high', medium: 'medium', med: 'medium', low: 'low' };
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Soonest `weekday` from today on; `strictlyAfter` skips today
+const nextWeekday = (today, weekday, strictlyAfter = false) => {
+    const offset = (weekday - today.getDay() + 7) % 7;
+    return addDays(today, offset === 0 && strictlyAfter ? 7 : offset);
+};
+
+// This year's date unless it has passed already; null for impossible dates like 31 feb
+const upcomingDate = (today, month, day) => {
+    let date = new Date(today.getFullYear(), month, day);
+    if (date.getMonth() !== month) return null;
+    if (date < today) date = new Date(today.getFullYear() + 1, month, day);
+    return date;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const to24h = (hours, minutes, meridiem) => {
+    if (hours > 12 || minutes > 59) return null;
+    const h = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    return `${pad(h)}:${pad(minutes)}`;
+};
+
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+// Exact match first, then a project that is the only one starting with the word
+const matchProject = (word, projects) => {
+    const key = normalizeTitle(word);
+    if (!key) return null;
+    const exact = projects.find((p) => normalizeTitle(p.title) === key);
+    if (exact) return exact;
+    const prefixed = projects.filter((p) => normalizeTitle(p.title).startsWith(key));
+    return prefixed.length === 1 ? prefixed[0] : null;
+};
+
+export const parseQuickAdd = (input, projects = [], now = Date.now()) => {
+    let rest = ` ${String(input || '')} `;
+    const today = startOfDay(new Date(now));
+
+    // Finds the first match (case-insensitive, on word boundaries) and cuts it out of the title
+    const consume = (pattern, resolve) => {
+        const regex = new RegExp(`(?<=\\s)${pattern}(?=[\\s.,;!?]|$)`, 'iu');
+        const match = rest.match(regex);
+        if (!match) return null;
+        const value = resolve(match.slice(1).map((part) => part?.toLowerCase()), match);
+        if (value === null || value === undefined) return null;
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+        return value;
+    };
+
+    // --- Repeats (before dates, so "every monday" is not read as a due date)
+    let repeatWeekday = null;
+    const recurrenceType = consume('(daily|weekdays|weekly|monthly)', ([word]) => ({ daily: 'daily', weekdays: 'weekdays', weekly: 'weekly', monthly: 'monthly' })[word])
+        ?? consume('every\\s+(day|weekday|week|month)', ([unit]) => ({ day: 'daily', weekday: 'weekdays', week: 'weekly', month: 'monthly' })[unit])
+        ?? consume(`every\\s+${WEEKDAY}`, ([day]) => {
+            repeatWeekday = WEEKDAYS[day];
+            return 'weekly';
+        })
+        ?? consume('every\\s+(\\d{1,3})\\s+(days?|weeks?)', ([count, unit]) => {
+            const days = Number(count) * (unit.startsWith('week') ? 7 : 1);
+            return days > 0 ? { interval: days } : null;
+        });
+
+    // --- Priority
+    const priority = consume('!(high|medium|med|low)', ([word]) => PRIORITY_ALIASES[word]);
+
+    // --- Due date
+    let dueTime = null;
+    const dueDate = consume(`${DATE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})`, ([y, m, d]) => {
+        const value = `${y}-${m}-${d}`;
+        return toDateInputValue(parseDateInputValue(value)) === value ? parseDateInputValue(value) : null;
+    })
+        ?? consume(`${DATE_PREFIX}(today)`, () => today)
+        ?? consume('(tonight)', () => {
+            dueTime = '20:00';
+            return today;
+        })
+        ?? consume(`${DATE_PREFIX}(tomorrow|tmrw|tmr)`, () => addDays(today, 1))
+        ?? consume(`${DATE_PREFIX}in\\s+(\\d{1,3})\\s+(days?|weeks?)`, ([count, unit]) => (
+            addDays(today, Number(count) * (unit.startsWith('week') ? 7 : 1))
+        ))
+        ?? consume('next\\s+week', () => nextWeekday(today, 1, true))
+        ?? consume(`${DATE_PREFIX}(next\\s+)?${WEEKDAY_FULL}`, ([next, day]) => nextWeekday(today, WEEKDAYS[day], !!next))
+        ?? consume(`(on|by|due|next)\\s+${WEEKDAY}`, ([prefix, day]) => nextWeekday(today, WEEKDAYS[day], prefix === 'next'))
+        ?? consume(`${DATE_PREFIX}${ORDINAL}\\s+${MONTH}`, ([day, month]) => upcomingDate(today, monthIndex(month), Number(day)))
+        ?? consume(`${DATE_PREFIX}${MONTH}\\s+${ORDINAL}`, ([month, day]) => upcomingDate(today, monthIndex(month), Number(day)));
+
+    // --- Time
+    dueTime = consume('(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)', ([h, m, meridiem]) => to24h(Number(h), Number(m || 0), meridiem))
+        ?? consume('(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)', ([h, m]) => `${pad(Number(h))}:${m}`)
+        ?? consume('at\\s+([01]?\\d|2[0-3])', ([h]) => `${pad(Number(h))}:00`)
+        ?? consume('(?:at\\s+)?(noon)', () => '12:00')
+        ?? dueTime;
+
+    // --- Project and tags
+    let projectId = null;
+    const tags = [];
+    let hashtag;
+    while ((hashtag = consume('#([\\p{L}\\p{N}_-]+)', (_, match) => match[1])) !== null) {
+        const project = projectId ? null : matchProject(hashtag, projects);
+        if (project) projectId = project.id;
+        else tags.push(normalizeTag(hashtag));
+    }
+
+    // A bare time means the next time that clock time comes round
+    let date = dueDate;
+    if (!date && dueTime) {
+        const [h, m] = dueTime.split(':').map(Number);
+        const todayAt = new Date(today.getFullYear(), today.getMonth(), today.getDate(), h, m);
+        date = todayAt.getTime() > now ? today : addDays(today, 1);
+    }
+    // "every monday" without a date starts on the next monday
+    if (!date && repeatWeekday !== null) date = nextWeekday(today, repeatWeekday);
+
+    let recurrence = null;
+    if (recurrenceType) {
+        const baseDate = date || new Date(now);
+        recurrence = recurrenceType.interval
+            ? { type: 'interval', interval: recurrenceType.interval }
+            : createRecurrence(recurrenceType, baseDate);
+        if (repeatWeekday !== null) recurrence = { type: 'weekly', days: [repeatWeekday] };
+    }
+
+    return {
+        text: rest.replace(/\s+/g, ' ').trim(),
+        dueDate: date ? toDateInputValue(date) : null,
+        dueTime,
+        projectId,
+        priority: priority || null,
+        recurrence,
+        tags: [...new Set(tags.filter(Boolean))],
+    };
+};
+
+// Whether anything besides the title was recognised
+export const hasQuickAddFields = (parsed) => !!(
+    parsed.dueDate || parsed.dueTime || parsed.projectId || parsed.priority || parsed.recurrence || parsed.tags.length > 0
+);
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickAdd, hasQuickAddFields } from './quickAdd.js';
+
+// Monday 19 Oct 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0).getTime();
+const PROJECTS = [{ id: 'home', title: 'Home' }, { id: 'work', title: 'Work Stuff' }];
+
+const parse = (input) => parseQuickAdd(input, PROJECTS, NOW);
+
+describe('parseQuickAdd', () => {
+    it('reads every kind of phrase from the example line', () => {
+        expect(parse('Pay rent tomorrow 9am #Home !high every month')).toEqual({
+            text: 'Pay rent',
+            dueDate: '2026-10-20',
+            dueTime: '09:00',
+            projectId: 'home',
+            priority: 'high',
+            recurrence: { type: 'monthly', dayOfMonth: 20 },
+            tags: [],
+        });
+    });
+
+    it('turns an unknown #project into a tag', () => {
+        const parsed = parse('Plant bulbs #Garden');
+        expect(parsed.projectId).toBeNull();
+        expect(parsed.tags).toEqual(['garden']);
+        expect(parsed.text).toBe('Plant bulbs');
+    });
+
+    it('matches a project by a unique prefix, ignoring case and spaces', () => {
+        expect(parse('Send report #work').projectId).toBe('work');
+        expect(parse('Send report #workstuff').projectId).toBe('work');
+    });
+
+    describe('times without a date', () => {
+        it('uses today when the time is still ahead', () => {
+            expect(parse('Call mum 9:30pm')).toMatchObject({ dueDate: '2026-10-19', dueTime: '21:30' });
+        });
+
+        it('uses tomorrow when the time has passed', () => {
+            expect(parse('Call mum 9am')).toMatchObject({ dueDate: '2026-10-20', dueTime: '09:00' });
+        });
+
+        it('reads 24-hour times and "at" hours', () => {
+            expect(parse('Standup 14:00').dueTime).toBe('14:00');
+            expect(parse('Standup at 16').dueTime).toBe('16:00');
+        });
+    });
+
+    it('reads 12am as midnight and 12pm as noon', () => {
+        expect(parse('Backup 12am')).toMatchObject({ dueDate: '2026-10-20', dueTime: '00:00' });
+        expect(parse('Lunch 12pm')).toMatchObject({ dueDate: '2026-10-19', dueTime: '12:00' });
+        expect(parse('Lunch at noon').dueTime).toBe('12:00');
+    });
+
+    it('rejects impossible times and dates, leaving them in the title', () => {
+        expect(parse('Meet 13pm').dueTime).toBeNull();
+        expect(parse('Party 31 feb')).toMatchObject({ text: 'Party 31 feb', dueDate: null });
+    });
+
+    it('leaves text without any phrases alone', () => {
+        const parsed = parse('  Buy   milk  ');
+        expect(parsed).toEqual({
+            text: 'Buy milk',
+            dueDate: null,
+            dueTime: null,
+            projectId: null,
+            priority: null,
+            recurrence: null,
+            tags: [],
+        });
+        expect(hasQuickAddFields(parsed)).toBe(false);
+    });
+
+    it('keeps short weekday-like words in the title', () => {
+        expect(parse('Buy sun cream').text).toBe('Buy sun cream');
+        expect(parse('Buy sun cream').dueDate).toBeNull();
+    });
+
+    it('starts "every monday" on the next monday', () => {
+        expect(parse('Gym every monday')).toMatchObject({
+            text: 'Gym',
+            dueDate: '2026-10-19',
+            recurrence: { type: 'weekly', days: [1] },
+        });
+    });
+});
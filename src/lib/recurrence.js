@@ -0,0 +1,122 @@
+import { toDateInputValue, parseDateInputValue, getDueAt, startOfDay } from './dueDates.js';
+import { defaultI18n } from './i18n.js';
+
+// === RECURRENCE RULES ===
+// A task's `recurrence` is one of:
+//   { type: 'daily' }
+//   { type: 'weekdays' }
+//   { type: 'weekly', days: [0-6] }         // 0 = Sunday
+//   { type: 'monthly', dayOfMonth: 1-31 }   // clamped to the month's last day
+//   { type: 'interval', interval: n }       // every n days
+
+export const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+
+// Short weekday name in the UI language; 7 Jan 2024 was a Sunday
+export const weekdayLabel = (day, i18n = defaultI18n) => i18n.formatDate(new Date(2024, 0, 7 + day), { weekday: 'short' });
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Builds a rule of the given type with defaults taken from the base date
+export const createRecurrence = (type, baseDate = new Date()) => {
+    switch (type) {
+        case 'weekly': return { type, days: [baseDate.getDay()] };
+        case 'monthly': return { type, dayOfMonth: baseDate.getDate() };
+        case 'interval': return { type, interval: 2 };
+        default: return { type };
+    }
+};
+
+// First occurrence strictly after `date`
+const nextAfter = (rule, date) => {
+    switch (rule.type) {
+        case 'daily':
+            return addDays(date, 1);
+        case 'weekdays': {
+            let next = addDays(date, 1);
+            while (next.getDay() === 0 || next.getDay() === 6) next = addDays(next, 1);
+            return next;
+        }
+        case 'weekly': {
+            const days = rule.days?.length ? rule.days : [date.getDay()];
+            let next = addDays(date, 1);
+            while (!days.includes(next.getDay())) next = addDays(next, 1);
+            return next;
+        }
+        case 'monthly': {
+            const dayOfMonth = rule.dayOfMonth || date.getDate();
+            let year = date.getFullYear();
+            let month = date.getMonth();
+            if (date.getDate() >= Math.min(dayOfMonth, daysInMonth(year, month))) {
+                month += 1;
+                if (month > 11) { month = 0; year += 1; }
+            }
+            return new Date(year, month, Math.min(dayOfMonth, daysInMonth(year, month)));
+        }
+        case 'interval':
+            return addDays(date, Math.max(1, rule.interval || 1));
+        default:
+            return null;
+    }
+};
+
+// Next due date ('YYYY-MM-DD') after `fromDate`, skipping occurrences that are already in the past
+export const getNextOccurrence = (rule, fromDate, now = Date.now()) => {
+    if (!rule) return null;
+    const today = startOfDay(new Date(now));
+    let next = nextAfter(rule, parseDateInputValue(fromDate));
+    while (next && next < today) next = nextAfter(rule, next);
+    return next ? toDateInputValue(next) : null;
+};
+
+export const describeRecurrence = (rule, i18n = defaultI18n) => {
+    if (!rule) return '';
+    switch (rule.type) {
+        case 'daily': return i18n.tr('repeat.everyDay');
+        case 'weekdays': return i18n.tr('repeat.weekdays');
+        case 'weekly': return i18n.tr('repeat.everyWeekdays', {
+            days: i18n.formatList([...(rule.days || [])].sort().map((day) => weekdayLabel(day, i18n))),
+        });
+        case 'monthly': return i18n.tr('repeat.monthlyOnDay', { day: rule.dayOfMonth });
+        case 'interval': return i18n.tr('repeat.everyNDays', { count: rule.interval });
+        default: return '';
+    }
+};
+
+// Completing a recurring task returns the finished task plus the next occurrence.
+// The history of completions travels with the series so streaks survive.
+export const completeRecurringTask = (task, now = Date.now()) => {
+    const dueDate = task.dueDate || toDateInputValue(new Date(now));
+    const history = [...(task.history || []), { dueDate, completedAt: now }];
+    const nextId = crypto.randomUUID();
+
+    const completedTask = { ...task, completed: true, completedAt: now, history, spawnedTaskId: nextId };
+    const nextTask = {
+        ...task,
+        id: nextId,
+        seriesId: task.seriesId || task.id,
+        completed: false,
+        completedAt: null,
+        spawnedTaskId: null,
+        dueDate: getNextOccurrence(task.recurrence, dueDate, now),
+        subtasks: (task.subtasks || []).map((s) => ({ ...s, completed: false })),
+        history,
+        createdAt: now,
+    };
+
+    return { completedTask, nextTask };
+};
+
+// Consecutive completions, newest first, that were done by the end of their due moment
+export const getStreak = (task) => {
+    const history = (task.history || []).filter((entry) => !entry.undoneAt);
+    let streak = 0;
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        const dueAt = getDueAt({ dueDate: entry.dueDate, dueTime: null });
+        if (entry.completedAt > dueAt) break;
+        streak += 1;
+    }
+    return streak;
+};
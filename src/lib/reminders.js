@@ -0,0 +1,64 @@
+import { getDueAt } from './dueDates.js';
+import { defaultI18n } from './i18n.js';
+
+// setTimeout overflows past ~24.8 days, later reminders are picked up on a future reschedule
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const requestNotificationPermission = async () => {
+    if (!notificationsSupported() || Notification.permission !== 'default') return;
+    try {
+        await Notification.requestPermission();
+    } catch (error) {
+        console.error("Notification permission error:", error);
+    }
+};
+
+// === REMINDER SCHEDULER ===
+// Fires a browser notification when a timed task comes due while the app is open.
+// Call schedule(projects, i18n) whenever the data or locale changes; it replaces all pending timers.
+export const createReminderScheduler = ({ onDue } = {}) => {
+    let timers = [];
+    const fired = new Set();
+
+    const clear = () => {
+        timers.forEach(clearTimeout);
+        timers = [];
+    };
+
+    const notify = (project, task, i18n) => {
+        onDue?.(project, task);
+        if (!notificationsSupported() || Notification.permission !== 'granted') return;
+        try {
+            new Notification(task.text, {
+                body: task.description || i18n.tr('reminder.dueNow', { project: project.title }),
+                tag: `miroo-${task.id}`,
+            });
+        } catch (error) {
+            console.error("Notification error:", error);
+        }
+    };
+
+    const schedule = (projects, i18n = defaultI18n) => {
+        clear();
+        const now = Date.now();
+
+        projects.forEach((project) => {
+            (project.tasks || []).forEach((task) => {
+                if (task.completed || !task.dueTime) return;
+                const dueAt = getDueAt(task);
+                const key = `${task.id}@${dueAt}`;
+                const delay = dueAt - now;
+                if (delay < 0 || delay > MAX_TIMEOUT_MS || fired.has(key)) return;
+
+                timers.push(setTimeout(() => {
+                    fired.add(key);
+                    notify(project, task, i18n);
+                }, delay));
+            });
+        });
+    };
+
+    return { schedule, clear };
+};
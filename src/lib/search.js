@@ -0,0 +1,113 @@
+// === GLOBAL SEARCH ===
+// Fuzzy matching over project titles, task text and task descriptions. Every
+// whitespace-separated term of the query has to match; a plain substring beats a
+// scattered subsequence. Matches carry [start, end) ranges for highlighting.
+
+export const SEARCH_STATUSES = ['all', 'active', 'completed'];
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/.,:;([]/.test(text[index - 1]);
+
+// Subsequence match for a single term, or null when the letters are too spread out to mean anything
+const matchSubsequence = (lower, term) => {
+    const positions = [];
+    let from = 0;
+    for (const char of term) {
+        const index = lower.indexOf(char, from);
+        if (index === -1) return null;
+        positions.push(index);
+        from = index + 1;
+    }
+
+    const span = positions[positions.length - 1] - positions[0] + 1;
+    if (span > Math.max(term.length * 3, term.length + 6)) return null;
+
+    const ranges = [];
+    for (const index of positions) {
+        const last = ranges[ranges.length - 1];
+        if (last && last[1] === index) last[1] = index + 1;
+        else ranges.push([index, index + 1]);
+    }
+    return { score: 40 - (span - term.length) - ranges.length, ranges };
+};
+
+const matchTerm = (text, lower, term) => {
+    const index = lower.indexOf(term);
+    if (index !== -1) {
+        const bonus = index === 0 ? 30 : isWordStart(text, index) ? 15 : 0;
+        return { score: 100 + bonus - Math.min(index, 20) * 0.5, ranges: [[index, index + term.length]] };
+    }
+    return term.length > 1 ? matchSubsequence(lower, term) : null;
+};
+
+const mergeRanges = (ranges) => {
+    const merged = [];
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    }
+    return merged;
+};
+
+export const getSearchTerms = (query) => query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+// { score, ranges } when every term matches `text`, otherwise null
+export const fuzzyMatch = (text, terms) => {
+    if (!text || terms.length === 0) return null;
+    const lower = text.toLowerCase();
+    let score = 0;
+    const ranges = [];
+    for (const term of terms) {
+        const match = matchTerm(text, lower, term);
+        if (!match) return null;
+        score += match.score;
+        ranges.push(...match.ranges);
+    }
+    return { score: score / terms.length, ranges: mergeRanges(ranges) };
+};
+
+const matchesStatus = (task, status) => (
+    status === 'all' || (status === 'completed' ? task.completed : !task.completed)
+);
+
+// Results grouped by project, best groups first: [{ project, titleMatch, tasks: [{ task, textMatch, descriptionMatch, score }] }]
+export const searchProjects = (projects, query, { status = 'all' } = {}) => {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return [];
+
+    const groups = [];
+    for (const project of projects) {
+        const titleMatch = fuzzyMatch(project.title, terms);
+        const tasks = [];
+        for (const task of project.tasks || []) {
+            if (!matchesStatus(task, status)) continue;
+            const textMatch = fuzzyMatch(task.text, terms);
+            const descriptionMatch = fuzzyMatch(task.description, terms);
+            if (!textMatch && !descriptionMatch) continue;
+            // Hits in the title of a task count for more than hits buried in its notes
+            const score = Math.max(textMatch?.score || 0, (descriptionMatch?.score || 0) * 0.8);
+            tasks.push({ task, textMatch, descriptionMatch, score });
+        }
+        if (!titleMatch && tasks.length === 0) continue;
+
+        tasks.sort((a, b) => b.score - a.score);
+        const score = Math.max(titleMatch?.score || 0, tasks[0]?.score || 0);
+        groups.push({ project, titleMatch, tasks, score });
+    }
+    return groups.sort((a, b) => b.score - a.score);
+};
+
+// A window of `text` around its first match, with ranges shifted to match
+export const getSnippet = (text, ranges, radius = 40) => {
+    if (!ranges.length || text.length <= radius * 2) return { text, ranges, clippedStart: false, clippedEnd: false };
+    const start = Math.max(0, ranges[0][0] - radius);
+    const end = Math.min(text.length, ranges[0][0] + radius);
+    return {
+        text: text.slice(start, end),
+        ranges: ranges
+            .filter(([s, e]) => e > start && s < end)
+            .map(([s, e]) => [Math.max(s, start) - start, Math.min(e, end) - start]),
+        clippedStart: start > 0,
+        clippedEnd: end < text.length,
+    };
+};
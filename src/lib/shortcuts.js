@@ -0,0 +1,48 @@
+import { fuzzyMatch, getSearchTerms } from './search.js';
+
+// === KEYBOARD SHORTCUTS & COMMAND PALETTE ===
+// Single-key shortcuts only fire while no text field has focus and no sheet is open;
+// Esc and Cmd/Ctrl+K work everywhere. SHORTCUTS feeds the help overlay (titles and labels
+// are src/locales keys), the handler itself lives in App.jsx next to the actions it calls.
+
+export const MOD_KEY_LABEL = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.userAgent) ? '⌘' : 'Ctrl';
+
+export const SHORTCUTS = [
+    {
+        title: 'shortcuts.general',
+        items: [
+            { keys: [MOD_KEY_LABEL, 'K'], label: 'shortcuts.palette' },
+            { keys: ['N'], label: 'shortcuts.newTask' },
+            { keys: ['P'], label: 'shortcuts.newProject' },
+            { keys: ['/'], label: 'shortcuts.search' },
+            { keys: ['T'], label: 'shortcuts.theme' },
+            { keys: ['?'], label: 'shortcuts.help' },
+            { keys: ['Esc'], label: 'shortcuts.close' },
+        ],
+    },
+    {
+        title: 'shortcuts.inProject',
+        items: [
+            { keys: ['J'], label: 'shortcuts.next' },
+            { keys: ['K'], label: 'shortcuts.previous' },
+            { keys: ['X'], label: 'shortcuts.toggle' },
+            { keys: ['Enter'], label: 'shortcuts.open' },
+            { keys: ['⌫'], label: 'shortcuts.delete' },
+        ],
+    },
+];
+
+export const isTextInput = (target) => (
+    !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
+
+// Palette commands ({ id, label, ... }) matching the query, best first; all of them for an empty query
+export const filterCommands = (commands, query) => {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return commands.map((command) => ({ command, ranges: [] }));
+    return commands
+        .map((command) => ({ command, match: fuzzyMatch(command.label, terms) }))
+        .filter(({ match }) => match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .map(({ command, match }) => ({ command, ranges: match.ranges }));
+};
@@ -0,0 +1,78 @@
+import { toDateInputValue, startOfDay, getDueAt } from './dueDates.js';
+import { normalizePriority, PRIORITIES } from './taskView.js';
+
+// === SMART VIEWS ===
+// Virtual lists that gather tasks from every project. Entries are { project, task }
+// so the usual per-project actions (toggle, delete, open detail) still apply.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Titles and empty-state texts are src/locales keys: smartViews.<id> and smartViews.<id>.empty
+export const SMART_VIEWS = [
+    { id: 'today' },
+    { id: 'upcoming' },
+    { id: 'active' },
+    { id: 'completedWeek' },
+];
+
+// Monday 00:00 of the week containing `now`
+export const startOfWeek = (now = Date.now()) => {
+    const day = startOfDay(new Date(now));
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    return day.getTime();
+};
+
+const byDue = (a, b) => (getDueAt(a.task) ?? Number.MAX_SAFE_INTEGER) - (getDueAt(b.task) ?? Number.MAX_SAFE_INTEGER);
+const byPriorityThenDue = (a, b) => (
+    PRIORITIES.indexOf(normalizePriority(b.task.priority)) - PRIORITIES.indexOf(normalizePriority(a.task.priority))
+    || byDue(a, b)
+);
+
+const VIEW_RULES = {
+    // Overdue tasks stay in Today until they are dealt with
+    today: {
+        match: (task, { today }) => !task.completed && !!task.dueDate && task.dueDate <= today,
+        compare: byDue,
+    },
+    upcoming: {
+        match: (task, { today, weekAhead }) => !task.completed && !!task.dueDate && task.dueDate > today && task.dueDate <= weekAhead,
+        compare: byDue,
+    },
+    active: {
+        match: (task) => !task.completed,
+        compare: byPriorityThenDue,
+    },
+    completedWeek: {
+        match: (task, { weekStart }) => task.completed && (task.completedAt || 0) >= weekStart,
+        compare: (a, b) => b.task.completedAt - a.task.completedAt,
+    },
+};
+
+const getBounds = (now) => ({
+    today: toDateInputValue(new Date(now)),
+    weekAhead: toDateInputValue(new Date(startOfDay(new Date(now)).getTime() + 7 * DAY_MS)),
+    weekStart: startOfWeek(now),
+});
+
+export const getSmartViewTasks = (projects, viewId, now = Date.now()) => {
+    const rule = VIEW_RULES[viewId];
+    if (!rule) return [];
+    const bounds = getBounds(now);
+    return projects
+        .flatMap((project) => (project.tasks || [])
+            .filter((task) => rule.match(task, bounds))
+            .map((task) => ({ project, task })))
+        .sort(rule.compare);
+};
+
+// { [viewId]: count } for the badges on the home screen
+export const getSmartViewCounts = (projects, now = Date.now()) => {
+    const bounds = getBounds(now);
+    const counts = Object.fromEntries(SMART_VIEWS.map((view) => [view.id, 0]));
+    projects.forEach((project) => (project.tasks || []).forEach((task) => {
+        SMART_VIEWS.forEach((view) => {
+            if (VIEW_RULES[view.id].match(task, bounds)) counts[view.id] += 1;
+        });
+    }));
+    return counts;
+};
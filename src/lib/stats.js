@@ -0,0 +1,114 @@
+import { toDateInputValue, startOfDay } from './dueDates.js';
+import { getProjectProgress } from './progress.js';
+import { startOfWeek } from './smartViews.js';
+import { defaultI18n } from './i18n.js';
+
+// === PRODUCTIVITY STATS ===
+// Built from the same `project.tasks` the progress bars use: every completed task
+// with a `completedAt` counts once. Recurring tasks leave one completed task per
+// occurrence, so they are not double counted through their shared `history`.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const getCompletions = (projects) => projects.flatMap((project) => (project.tasks || [])
+    .filter((task) => task.completed && Number.isFinite(task.completedAt))
+    .map((task) => ({ project, task })));
+
+const dayKey = (time) => toDateInputValue(new Date(time));
+
+// Counts for the last `days` days, oldest first: [{ date, count }]
+const countPerDay = (completions, now, days) => {
+    const counts = new Map();
+    completions.forEach(({ task }) => {
+        const key = dayKey(task.completedAt);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const today = startOfDay(new Date(now));
+    return Array.from({ length: days }, (_, i) => {
+        const date = new Date(today);
+        date.setDate(date.getDate() - (days - 1 - i));
+        const key = toDateInputValue(date);
+        return { date: key, count: counts.get(key) || 0 };
+    });
+};
+
+// Counts for the last `weeks` weeks (Monday to Sunday), oldest first: [{ weekStart, count }]
+const countPerWeek = (completions, now, weeks) => {
+    const currentWeek = startOfWeek(now);
+    const buckets = Array.from({ length: weeks }, (_, i) => {
+        const weekStart = new Date(currentWeek);
+        weekStart.setDate(weekStart.getDate() - (weeks - 1 - i) * 7);
+        return { weekStart: weekStart.getTime(), count: 0 };
+    });
+    completions.forEach(({ task }) => {
+        const bucket = buckets.find((b) => task.completedAt >= b.weekStart && task.completedAt < b.weekStart + WEEK_MS);
+        if (bucket) bucket.count += 1;
+    });
+    return buckets;
+};
+
+// Days in a row with at least one completion. The current streak is still alive
+// when today has nothing yet but yesterday did.
+const getDayStreaks = (completions, now) => {
+    const days = new Set(completions.map(({ task }) => dayKey(task.completedAt)));
+    const sorted = [...days].sort();
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    sorted.forEach((key) => {
+        const time = new Date(`${key}T12:00:00`).getTime();
+        run = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = time;
+    });
+
+    let current = 0;
+    const cursor = startOfDay(new Date(now));
+    if (!days.has(toDateInputValue(cursor))) cursor.setDate(cursor.getDate() - 1);
+    while (days.has(toDateInputValue(cursor))) {
+        current += 1;
+        cursor.setDate(cursor.getDate() - 1);
+    }
+    return { current, longest };
+};
+
+// Mean ms from creation to completion, or null when no task has both timestamps
+const averageCompletionTime = (completions) => {
+    const durations = completions
+        .map(({ task }) => task.completedAt - task.createdAt)
+        .filter((ms) => Number.isFinite(ms) && ms >= 0);
+    return durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) / durations.length : null;
+};
+
+export const getStats = (projects, { weightSubtasks = false, now = Date.now(), days = 14, weeks = 8 } = {}) => {
+    const completions = getCompletions(projects);
+    const weekStart = startOfWeek(now);
+
+    return {
+        totalCompleted: completions.length,
+        completedThisWeek: completions.filter(({ task }) => task.completedAt >= weekStart).length,
+        perDay: countPerDay(completions, now, days),
+        perWeek: countPerWeek(completions, now, weeks),
+        streak: getDayStreaks(completions, now),
+        averageCompletionMs: averageCompletionTime(completions),
+        projects: projects.map((project) => {
+            const own = completions.filter((c) => c.project.id === project.id);
+            return {
+                project,
+                ...getProjectProgress(project, { weightSubtasks }),
+                completedThisWeek: own.filter(({ task }) => task.completedAt >= weekStart).length,
+                averageCompletionMs: averageCompletionTime(own),
+            };
+        }),
+    };
+};
+
+export const formatDuration = (ms, i18n = defaultI18n) => {
+    if (ms === null) return '—';
+    const hours = ms / (60 * 60 * 1000);
+    if (hours < 1) return i18n.tr('duration.minutes', { count: Math.max(1, Math.round(ms / 60000)) });
+    if (hours < 48) return i18n.tr('duration.hours', { count: Math.round(hours) });
+    return i18n.tr('duration.days', { count: Math.round(hours / 2.4) / 10 });
+};
@@ -0,0 +1,45 @@
+// === PRIORITY, TAGS & TASK LIST VIEW ===
+// Tasks carry an optional `priority` (missing means 'none') and a `tags` array of
+// lowercase strings. Each project remembers how its list is sorted in `taskSort`
+// (per member for shared projects, see lib/projectGroups.js); filters are only kept while the project is open.
+
+export const PRIORITIES = ['none', 'low', 'medium', 'high'];
+
+const PRIORITY_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+export const TASK_SORTS = ['manual', 'priority', 'createdAt', 'dueDate'];
+
+export const normalizePriority = (priority) => (PRIORITIES.includes(priority) ? priority : 'none');
+
+export const normalizeTag = (tag) => String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+
+// Accepts an array or a comma/space separated string ("#home, errands") and returns unique tags
+export const parseTags = (input) => {
+    const raw = Array.isArray(input) ? input : String(input || '').split(/[,\s]+/);
+    return [...new Set(raw.map(normalizeTag).filter(Boolean))];
+};
+
+// Every tag used in a project, alphabetically
+export const getProjectTags = (project) => (
+    [...new Set((project?.tasks || []).flatMap((task) => task.tags || []))].sort()
+);
+
+const byPriority = (a, b) => PRIORITY_RANK[normalizePriority(b.priority)] - PRIORITY_RANK[normalizePriority(a.priority)];
+const byCreatedAt = (a, b) => (b.createdAt || 0) - (a.createdAt || 0);
+// Undated tasks go last; same-day tasks without a time sort after timed ones
+const dueKey = (task) => (task.dueDate ? `${task.dueDate} ${task.dueTime || '99:99'}` : '~');
+const byDueDate = (a, b) => (dueKey(a) < dueKey(b) ? -1 : dueKey(a) > dueKey(b) ? 1 : 0);
+
+const COMPARATORS = { priority: byPriority, createdAt: byCreatedAt, dueDate: byDueDate };
+
+export const isFiltered = ({ tag = null, priority = null } = {}) => !!(tag || priority);
+
+// Filters by tag/priority and sorts; 'manual' keeps the stored order. Sorting is stable.
+export const applyTaskView = (tasks, { sort = 'manual', tag = null, priority = null } = {}) => {
+    const filtered = tasks.filter((task) => (
+        (!tag || (task.tags || []).includes(tag))
+        && (!priority || normalizePriority(task.priority) === priority)
+    ));
+    const compare = COMPARATORS[sort];
+    return compare ? [...filtered].sort(compare) : filtered;
+};
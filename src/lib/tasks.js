@@ -0,0 +1,61 @@
+import { completeRecurringTask } from './recurrence.js';
+
+// === TASK LIST HELPERS ===
+// Pure updates on a project's `tasks` array, shared by every place that toggles a task.
+// Every completion is logged in `history`; un-completing marks the entry `undoneAt`
+// instead of dropping it, so the log survives toggling back and forth.
+
+const markLastUndone = (history = [], now) => (
+    history.length > 0 ? [...history.slice(0, -1), { ...history[history.length - 1], undoneAt: now }] : history
+);
+
+const toggle = (tasks, taskId, now) => {
+    const task = tasks.find((t) => t.id === taskId);
+    if (!task) return tasks;
+
+    // Completing a recurring task spawns its next occurrence at the top of the list
+    if (!task.completed && task.recurrence) {
+        const { completedTask, nextTask } = completeRecurringTask(task, now);
+        return [nextTask, ...tasks.map((t) => (t.id === taskId ? completedTask : t))];
+    }
+
+    // Undoing that completion withdraws the spawned occurrence, as long as it is untouched
+    if (task.completed && task.spawnedTaskId) {
+        const spawned = tasks.find((t) => t.id === task.spawnedTaskId);
+        const withdraw = spawned && !spawned.completed;
+        return tasks
+            .filter((t) => !(withdraw && t.id === spawned.id))
+            .map((t) => (t.id === taskId
+                ? { ...t, completed: false, completedAt: null, spawnedTaskId: null, history: markLastUndone(t.history, now) }
+                : t));
+    }
+
+    if (task.completed) {
+        return tasks.map((t) => (t.id === taskId
+            ? { ...t, completed: false, completedAt: null, history: markLastUndone(t.history, now) }
+            : t));
+    }
+    return tasks.map((t) => (t.id === taskId
+        ? { ...t, completed: true, completedAt: now, history: [...(t.history || []), { completedAt: now }] }
+        : t));
+};
+
+// `by` (a user id) is recorded as `completedBy`, so shared projects can show who finished a task
+export const toggleTaskInList = (tasks, taskId, now = Date.now(), by = null) => toggle(tasks, taskId, now)
+    .map((t) => (t.id === taskId ? { ...t, completedBy: t.completed ? by : null } : t));
+
+// Bulk version of toggleTaskInList: every listed task not already in the wanted state is toggled,
+// so recurring tasks still spawn (or withdraw) their next occurrence
+export const setTasksCompleted = (tasks, taskIds, completed, now = Date.now(), by = null) => taskIds.reduce((list, taskId) => {
+    const task = list.find((t) => t.id === taskId);
+    return task && task.completed !== completed ? toggleTaskInList(list, taskId, now, by) : list;
+}, tasks);
+
+// Moves tasks between two projects' lists, keeping their relative order and placing them on top
+export const moveTasksBetween = (fromTasks, toTasks, taskIds) => {
+    const moving = fromTasks.filter((t) => taskIds.includes(t.id));
+    return {
+        from: fromTasks.filter((t) => !taskIds.includes(t.id)),
+        to: [...moving, ...toTasks],
+    };
+};
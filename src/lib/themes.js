@@ -0,0 +1,104 @@
+// === THEMES, ACCENTS & PROJECT APPEARANCE ===
+// The profile keeps three appearance fields:
+//   theme        true (dark), false (light) or 'system' (follows prefers-color-scheme)
+//   themePreset  one of THEME_PRESETS, colors the animated background
+//   accentColor  any #rrggbb, overrides the preset accent; null uses the preset's
+// getThemeVariables turns them into CSS variables set on the app root, so the JSX
+// refers to var(--accent) / var(--blob-1..3) instead of fixed Tailwind colors.
+// Projects carry `color` (#rrggbb) and `buttonIcon` (a PROJECT_ICONS name or an emoji).
+// Projects from before custom colors only have a Tailwind `blobColor` class, mapped below.
+
+export const THEME_MODES = ['dark', 'light', 'system'];
+
+// Profile `theme` <-> mode; older profiles only ever stored a boolean
+export const toThemeMode = (theme) => {
+    if (theme === 'system') return 'system';
+    return theme === false ? 'light' : 'dark';
+};
+export const fromThemeMode = (mode) => (mode === 'system' ? 'system' : mode === 'dark');
+
+export const THEME_PRESETS = [
+    { id: 'aurora', accent: '#a855f7', blobs: ['#a855f7', '#22d3ee', '#ec4899'] },
+    { id: 'sunset', accent: '#f97316', blobs: ['#f97316', '#f43f5e', '#facc15'] },
+    { id: 'ocean', accent: '#0ea5e9', blobs: ['#0ea5e9', '#6366f1', '#2dd4bf'] },
+    { id: 'forest', accent: '#10b981', blobs: ['#10b981', '#84cc16', '#0d9488'] },
+    { id: 'mono', accent: '#94a3b8', blobs: ['#64748b', '#94a3b8', '#cbd5e1'] },
+];
+
+export const DEFAULT_THEME_PRESET = THEME_PRESETS[0].id;
+
+export const getThemePreset = (id) => THEME_PRESETS.find((preset) => preset.id === id) || THEME_PRESETS[0];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+// '#ABC' / 'abc123' -> '#aabbcc' / '#abc123'; null for anything else
+export const normalizeHexColor = (value) => {
+    let hex = String(value || '').trim().replace(/^#/, '').toLowerCase();
+    if (/^[0-9a-f]{3}$/.test(hex)) hex = [...hex].map((c) => c + c).join('');
+    return /^[0-9a-f]{6}$/.test(hex) ? `#${hex}` : null;
+};
+
+// Black or white, whichever reads better on `hex` (WCAG relative luminance)
+export const getContrastColor = (hex) => {
+    const [r, g, b] = [1, 3, 5].map((i) => {
+        const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.179 ? '#000000' : '#ffffff';
+};
+
+export const getThemeVariables = ({ preset, accentColor } = {}) => {
+    const { accent, blobs } = getThemePreset(preset);
+    return {
+        '--accent': isHexColor(accentColor) ? accentColor : accent,
+        '--blob-1': blobs[0],
+        '--blob-2': blobs[1],
+        '--blob-3': blobs[2],
+    };
+};
+
+// Swatches offered for projects; the same hues as the original blobColors palette
+export const PROJECT_COLORS = [
+    '#06b6d4', '#ec4899', '#a855f7', '#f59e0b', '#10b981', '#f43f5e', '#6366f1',
+    '#14b8a6', '#f97316', '#84cc16', '#0ea5e9', '#d946ef', '#eab308', '#8b5cf6',
+];
+
+const LEGACY_BLOB_COLORS = {
+    'bg-cyan-500': '#06b6d4', 'bg-pink-500': '#ec4899', 'bg-purple-500': '#a855f7',
+    'bg-amber-500': '#f59e0b', 'bg-emerald-500': '#10b981', 'bg-rose-500': '#f43f5e',
+    'bg-indigo-500': '#6366f1', 'bg-teal-500': '#14b8a6', 'bg-orange-500': '#f97316',
+    'bg-lime-500': '#84cc16', 'bg-sky-500': '#0ea5e9', 'bg-fuchsia-500': '#d946ef',
+    'bg-yellow-500': '#eab308', 'bg-violet-500': '#8b5cf6',
+};
+
+export const getProjectColor = (project) => {
+    if (isHexColor(project?.color)) return project.color;
+    return LEGACY_BLOB_COLORS[project?.blobColor] || PROJECT_COLORS[0];
+};
+
+// lucide icon names offered for projects; App.jsx maps them to components.
+// 'plus' is the default and 'more' an old value, both kept for existing projects.
+export const PROJECT_ICONS = [
+    'plus', 'list-checks', 'briefcase', 'home', 'shopping-cart', 'heart', 'book-open',
+    'dumbbell', 'plane', 'music', 'code', 'star', 'gift', 'graduation-cap',
+];
+
+export const DEFAULT_PROJECT_ICON = 'plus';
+
+// The first grapheme of `value` when it is an emoji, otherwise null
+export const toEmojiIcon = (value) => {
+    const text = String(value || '').trim();
+    if (!text) return null;
+    const [first] = typeof Intl.Segmenter === 'function'
+        ? [...new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)].map((s) => s.segment)
+        : [...text];
+    return /\p{Extended_Pictographic}/u.test(first) ? first : null;
+};
+
+// Icon names we know (plus the legacy 'more') and emoji are kept, anything else is the default
+export const normalizeProjectIcon = (value) => {
+    if (PROJECT_ICONS.includes(value) || value === 'more') return value;
+    return toEmojiIcon(value) || DEFAULT_PROJECT_ICON;
+};
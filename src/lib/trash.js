@@ -0,0 +1,61 @@
+// === SOFT DELETE / TRASH ===
+// Deleted projects keep their document with a `deletedAt` timestamp.
+// Deleted tasks move from `tasks` into the project's `deletedTasks` array,
+// remembering where they were so a restore puts them back in place.
+// Anything older than TRASH_RETENTION_MS is purged for good.
+
+export const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+export const isExpired = (deletedAt, now = Date.now()) => now - deletedAt > TRASH_RETENTION_MS;
+
+export const daysLeft = (deletedAt, now = Date.now()) =>
+    Math.max(0, Math.ceil((deletedAt + TRASH_RETENTION_MS - now) / (24 * 60 * 60 * 1000)));
+
+// Field updates for the project that move `taskIds` into the trash
+export const trashTasks = (project, taskIds, now = Date.now()) => {
+    const tasks = project.tasks || [];
+    const trashed = tasks
+        .map((task, index) => ({ ...task, deletedAt: now, trashIndex: index }))
+        .filter((task) => taskIds.includes(task.id));
+
+    return {
+        tasks: tasks.filter((t) => !taskIds.includes(t.id)),
+        deletedTasks: [...trashed, ...(project.deletedTasks || [])],
+    };
+};
+
+export const restoreTasks = (project, taskIds) => {
+    const deletedTasks = project.deletedTasks || [];
+    const restoring = deletedTasks
+        .filter((t) => taskIds.includes(t.id))
+        .sort((a, b) => a.trashIndex - b.trashIndex);
+
+    const tasks = [...(project.tasks || [])];
+    restoring.forEach(({ deletedAt, trashIndex, ...task }) => {
+        tasks.splice(Math.min(trashIndex ?? 0, tasks.length), 0, task);
+    });
+
+    return {
+        tasks,
+        deletedTasks: deletedTasks.filter((t) => !taskIds.includes(t.id)),
+    };
+};
+
+export const purgeTasks = (project, taskIds) => ({
+    deletedTasks: (project.deletedTasks || []).filter((t) => !taskIds.includes(t.id)),
+});
+
+// Everything in the trash, newest first. Tasks of a deleted project travel with it.
+export const getTrashItems = (projects) => {
+    const items = [];
+    projects.forEach((project) => {
+        if (project.deletedAt) {
+            items.push({ kind: 'project', project, deletedAt: project.deletedAt });
+            return;
+        }
+        (project.deletedTasks || []).forEach((task) => {
+            items.push({ kind: 'task', project, task, deletedAt: task.deletedAt });
+        });
+    });
+    return items.sort((a, b) => b.deletedAt - a.deletedAt);
+};
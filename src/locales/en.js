@@ -0,0 +1,367 @@
+// === ENGLISH ===
+// The reference catalog: every key used in the app lives here, other locales fall back to it.
+// Plural messages are { one, other } objects, see lib/i18n.js.
+
+export const en = {
+    // --- Shared
+    'common.delete': 'Delete',
+    'common.close': 'Close',
+
+    // --- App
+    'app.tagline': 'Clear your list. Clear your mind.',
+
+    // --- Errors (storage, sharing and sign-in)
+    'errors.generic': 'Something went wrong. Please try again.',
+    'errors.permissionDenied': "You don't have permission to do that.",
+    'errors.notSynced': 'This project has not finished syncing yet.',
+    'errors.invalidInvite': 'That invite code does not exist.',
+    'errors.inviteExpired': 'That invite code has expired. Ask for a new one.',
+    'errors.emailInUse': 'That email already has an account. Sign in instead.',
+    'errors.accountExists': 'That account already exists. Sign in instead.',
+    'errors.invalidEmail': 'That email address is not valid.',
+    'errors.weakPassword': 'Use a password with at least 6 characters.',
+    'errors.wrongCredentials': 'Wrong email or password.',
+    'errors.popupClosed': 'The sign-in window was closed.',
+    'errors.popupBlocked': 'Your browser blocked the sign-in window.',
+    'errors.offline': 'You appear to be offline.',
+    'errors.methodDisabled': 'This sign-in method is not enabled for this Firebase project.',
+
+    // --- Login
+    'login.syncing': 'Syncing with iCloud...',
+    'login.nickname': 'Nickname',
+    'login.nicknamePlaceholder': 'e.g., Michael',
+    'login.start': 'Start using Miroo',
+
+    // --- Sync status
+    'sync.synced': 'All changes synced',
+    'sync.pending': 'Saving changes…',
+    'sync.error': 'Changes not synced yet, retrying',
+
+    // --- Home
+    'home.greeting': 'Hello, {name}',
+    'home.title': 'Your Projects',
+    'home.changePhoto': 'Change profile photo',
+    'home.newProject': 'New Project',
+    'home.resetProfile': 'Reset Profile',
+    'home.empty': 'No projects yet',
+    'home.sharedCount': 'Shared · {count}',
+    'home.otherProjects': 'Other projects',
+    'home.archive': 'Archive',
+
+    // --- Search
+    'search.clear': 'Clear search',
+    'search.status.all': 'All',
+    'search.status.active': 'Active',
+    'search.status.completed': 'Completed',
+    'search.noMatches': 'No matches for "{query}"',
+    'search.taskCount': { one: '{count} task', other: '{count} tasks' },
+
+    // --- Smart views
+    'smartViews.today': 'Today',
+    'smartViews.today.empty': 'Nothing due today.',
+    'smartViews.upcoming': 'Upcoming 7 days',
+    'smartViews.upcoming.empty': 'Nothing due in the next week.',
+    'smartViews.active': 'All active',
+    'smartViews.active.empty': 'No open tasks. Nice.',
+    'smartViews.completedWeek': 'Completed this week',
+    'smartViews.completedWeek.empty': 'Nothing completed yet this week.',
+    'smartViews.summary': { one: '{count} task across {projects}', other: '{count} tasks across {projects}' },
+    'smartViews.projectCount': { one: '{count} project', other: '{count} projects' },
+
+    // --- Project cards
+    'projectOptions.button': 'Pin, move to folder or archive',
+    'projectOptions.pinned': 'Pinned',
+    'projectOptions.unarchive': 'Unarchive',
+    'progress.tasks': { one: 'task', other: 'tasks' },
+    'drag.reorder': 'Drag to reorder (or use arrow keys)',
+
+    // --- Sharing
+    'share.formerMember': 'Former member',
+    'share.you': 'You',
+    'share.button': 'Share',
+    'share.title': 'Share',
+    'share.intro': 'Sharing moves this project to a shared space. You stay the owner, and people you invite can follow along live, as editors or read-only viewers.',
+    'share.start': 'Share This Project',
+    'share.members': 'Members',
+    'share.role.owner': 'Owner',
+    'share.role.editor': 'Editor',
+    'share.role.viewer': 'Viewer',
+    'share.remove': 'Remove from project',
+    'share.invite': 'Invite',
+    'share.codeEditor': 'For the next {days} days, anyone with this code joins as an editor:',
+    'share.codeViewer': 'For the next {days} days, anyone with this code joins as a viewer:',
+    'share.copyCode': 'Copy code',
+    'share.copyLink': 'Copy Invite Link',
+    'share.createInvite': 'Create Invite',
+    'share.leave': 'Leave Project',
+    'join.title': 'Join Project',
+    'join.hint': 'Enter the invite code someone shared with you.',
+    'join.submit': 'Join',
+    'attribution.addedBy': 'Added by {name}',
+    'attribution.doneBy': 'Done by {name}',
+
+    // --- Project detail
+    'detail.deleteProject': 'Delete project',
+    'detail.weightSubtasks': 'Count subtasks towards progress',
+    'detail.steps': 'Steps',
+    'detail.addTask': 'Add task',
+    'detail.noMatches': 'No tasks match these filters.',
+    'detail.empty': 'No tasks yet. Press the + button to add.',
+    'detail.completed': 'Completed ({count})',
+    'detail.clearCompletedHint': 'Move every completed task to Recently Deleted',
+    'detail.clearCompleted': 'Clear completed',
+    'select.start': 'Select',
+    'select.markAllDone': 'Mark all done',
+    'select.task': 'Select "{task}"',
+    'select.count': '{count} selected',
+    'select.none': 'Select none',
+    'select.all': 'Select all',
+    'select.done': 'Done selecting',
+    'select.complete': 'Complete',
+    'select.reopen': 'Reopen',
+    'select.move': 'Move',
+    'sort.manual': 'Manual',
+    'sort.priority': 'Priority',
+    'sort.createdAt': 'Newest',
+    'sort.dueDate': 'Due date',
+
+    // --- Tasks
+    'task.deleteNamed': 'Delete "{task}"',
+    'task.complete': 'Complete "{task}"',
+    'task.reopen': 'Reopen "{task}"',
+    'task.delete': 'Delete task',
+    'priority.none': 'None',
+    'priority.low': 'Low',
+    'priority.medium': 'Medium',
+    'priority.high': 'High',
+    'due.today': 'Today',
+    'due.tomorrow': 'Tomorrow',
+    'due.yesterday': 'Yesterday',
+    'due.overdue': 'Overdue · {due}',
+
+    // --- Repeat
+    'repeat.everyDay': 'Every day',
+    'repeat.weekdays': 'Weekdays',
+    'repeat.everyWeekdays': 'Every {days}',
+    'repeat.monthlyOnDay': 'Monthly on day {day}',
+    'repeat.everyNDays': { one: 'Every {count} day', other: 'Every {count} days' },
+    'repeat.type.never': 'Never',
+    'repeat.type.daily': 'Daily',
+    'repeat.type.weekdays': 'Weekdays',
+    'repeat.type.weekly': 'Weekly',
+    'repeat.type.monthly': 'Monthly',
+    'repeat.type.interval': 'Every N days',
+    'repeat.monthlyBefore': 'On day',
+    'repeat.monthlyAfter': 'of every month',
+    'repeat.intervalBefore': 'Every',
+    'repeat.intervalAfter': { one: 'day', other: 'days' },
+
+    // --- Task fields
+    'form.due': 'Due',
+    'form.clearDue': 'Clear due date',
+    'form.reminderHint': "You'll get a reminder at {time} while Miroo is open",
+    'reminder.dueNow': 'Due now in {project}',
+    'form.priority': 'Priority',
+    'form.tags': 'Tags',
+    'form.tagsPlaceholder': 'errands, home',
+    'form.repeat': 'Repeat',
+    'form.quickAdd': 'Quick add',
+    'form.quickAddPlaceholder': 'Pay rent tomorrow 9am #Home !high every month',
+    'form.untitled': 'Untitled',
+    'form.project': 'Project',
+    'form.title': 'Title',
+    'form.descriptionPlaceholder': 'Description (optional)',
+
+    // --- Sheets
+    'newTask.title': 'New Task',
+    'newTask.titlePlaceholder': 'Buy travel insurance',
+    'newTask.create': 'Create Task',
+    'newProject.title': 'New Project',
+    'newProject.name': 'Project name',
+    'newProject.namePlaceholder': 'e.g., Grocery Shopping',
+    'newProject.join': 'Join a shared project with a code',
+    'newProject.create': 'Create Project',
+    'subtasks.title': 'Subtasks',
+    'subtasks.delete': 'Delete step “{title}”',
+    'subtasks.placeholder': 'Add a step',
+    'subtasks.allDone': 'All steps done. Complete this task?',
+    'taskDetail.title': 'Task',
+    'taskDetail.save': 'Save Changes',
+    'trash.empty': 'Empty Trash',
+    'trash.title': 'Recently Deleted',
+    'trash.retention': 'Items are permanently deleted after 30 days.',
+    'trash.nothing': 'Nothing here.',
+    'trash.project': { one: 'Project · {count} task', other: 'Project · {count} tasks' },
+    'trash.task': 'Task in {project}',
+    'trash.daysLeft': { one: '{count} day left', other: '{count} days left' },
+    'trash.restore': 'Restore',
+    'trash.deleteForever': 'Delete Forever',
+    'trash.ownerOnly': 'Owner only',
+
+    // --- Export & import
+    'backup.notBackup': 'This is not a Miroo backup file.',
+    'backup.newerVersion': 'This backup was made by a newer version of Miroo (v{version}).',
+    'backup.csvColumns': 'CSV needs at least "project" and "task" columns.',
+    'backup.noHeadings': 'No "## Project" headings found in the Markdown file.',
+    'backup.unsupported': 'Unsupported file. Choose a .json, .csv or .md export.',
+    'backup.invalidJSON': 'The file is not valid JSON.',
+    'backup.skippedTask': '"{project}": task without a title was skipped',
+    'backup.skippedProject': 'Project #{number} has no title and was skipped',
+    'backup.importFailed': 'Import failed. Your existing data was not fully changed, check the trash if anything is missing.',
+    'backup.title': 'Export & Import',
+    'backup.export': 'Export',
+    'backup.exportHint': 'JSON keeps everything, including your profile. CSV has one row per task.',
+    'backup.import': 'Import',
+    'backup.chooseFile': 'Choose a .json, .csv or .md file',
+    'backup.merge': 'Merge',
+    'backup.replace': 'Replace',
+    'backup.planAdd': { one: '{count} new project', other: '{count} new projects' },
+    'backup.planUpdate': { one: '{count} task into “{title}”', other: '{count} tasks into “{title}”' },
+    'backup.planRemove': { one: '{count} current project moved to Recently Deleted', other: '{count} current projects moved to Recently Deleted' },
+    'backup.planKeepShared': { one: '{count} shared project is left as it is, imports never change shared projects', other: '{count} shared projects are left as they are, imports never change shared projects' },
+    'backup.planTasks': { one: '{count} task will be added', other: '{count} tasks will be added' },
+    'backup.planNothing': 'Everything in this file is already here.',
+    'backup.applyReplace': 'Replace My Data',
+    'backup.applyMerge': 'Merge Into My Data',
+
+    // --- Account
+    'account.title': 'Account',
+    'account.localMode': 'Miroo is running without Firebase, so everything is saved in this browser only. Add a Firebase config to sign in and sync across devices.',
+    'account.signedInHint': 'Your projects are saved to your account and sync across devices.',
+    'account.signedIn': 'Signed in',
+    'account.signOut': 'Sign Out',
+    'account.guestHint': "You're using Miroo as a guest. Create an account to keep your projects if this browser's data is cleared.",
+    'account.email': 'Email',
+    'account.password': 'Password',
+    'account.create': 'Create Account',
+    'account.signIn': 'Sign In to Existing Account',
+    'account.google': 'Continue with Google',
+    'account.signInHint': "Signing in to an existing account switches to that account's projects. Export a backup first if you want to keep this guest's data.",
+    'account.language': 'Language',
+
+    // --- Appearance
+    'appearance.title': 'Appearance',
+    'appearance.mode.dark': 'Dark',
+    'appearance.mode.light': 'Light',
+    'appearance.mode.system': 'System',
+    'appearance.preset.aurora': 'Aurora',
+    'appearance.preset.sunset': 'Sunset',
+    'appearance.preset.ocean': 'Ocean',
+    'appearance.preset.forest': 'Forest',
+    'appearance.preset.mono': 'Mono',
+    'appearance.accent': 'Accent color',
+    'appearance.resetAccent': 'Use theme color',
+    'appearance.color': 'Color',
+    'appearance.customColor': 'Custom color',
+    'appearance.icon': 'Icon',
+    'appearance.icon.plus': 'Plus',
+    'appearance.icon.list-checks': 'Checklist',
+    'appearance.icon.briefcase': 'Work',
+    'appearance.icon.home': 'Home',
+    'appearance.icon.shopping-cart': 'Shopping',
+    'appearance.icon.heart': 'Health',
+    'appearance.icon.book-open': 'Reading',
+    'appearance.icon.dumbbell': 'Fitness',
+    'appearance.icon.plane': 'Travel',
+    'appearance.icon.music': 'Music',
+    'appearance.icon.code': 'Code',
+    'appearance.icon.star': 'Favorites',
+    'appearance.icon.gift': 'Gifts',
+    'appearance.icon.graduation-cap': 'Study',
+    'appearance.emoji': 'Emoji',
+    'appearance.emojiPlaceholder': 'Or type an emoji',
+
+    // --- Banners
+    'localData.title': 'Found data saved on this device',
+    'localData.body': { one: '{count} project from before cloud sync was set up. Upload it to your account?', other: '{count} projects from before cloud sync was set up. Upload them to your account?' },
+    'localData.upload': 'Upload',
+    'localData.dismiss': 'Not Now',
+    'update.ready': 'A new version of Miroo is ready',
+    'update.reload': 'Reload',
+    'update.later': 'Later',
+
+    // --- Statistics
+    'stats.thisWeek': 'This week',
+    'stats.streak': 'Day streak',
+    'stats.bestStreak': 'Best streak',
+    'stats.averageTime': 'Avg. time to done',
+    'stats.title': 'Statistics',
+    'stats.total': { one: '{count} task completed in total.', other: '{count} tasks completed in total.' },
+    'stats.perDay': { one: 'Per day · last {count} day', other: 'Per day · last {count} days' },
+    'stats.perWeek': { one: 'Per week · last {count} week', other: 'Per week · last {count} weeks' },
+    'stats.weekOf': 'Week of {date}',
+    'stats.byProject': 'By project',
+    'stats.noProjects': 'No projects yet.',
+    'stats.projectSummary': '{count} this week · avg. {duration} to done',
+    'duration.minutes': '{count} min',
+    'duration.hours': '{count} h',
+    'duration.days': { one: '{count} day', other: '{count} days' },
+
+    // --- Organize sheet
+    'organize.title': 'Organize',
+    'organize.sharedHint': 'color and icon apply to every member',
+    'organize.viewerHint': 'only editors can change color and icon',
+    'organize.unpin': 'Unpin',
+    'organize.pin': 'Pin to Top',
+    'organize.folder': 'Folder',
+    'organize.noFolder': 'No folder',
+    'organize.newFolder': 'New folder or area',
+    'organize.moveToNewFolder': 'Move to new folder',
+    'organize.unarchive': 'Unarchive',
+    'organize.archive': 'Archive Project',
+    'organize.archiveHint': 'Archived projects leave the home list and smart views but keep all their tasks.',
+    'move.title': 'Move Tasks',
+    'move.hint': { one: 'Move {count} task to:', other: 'Move {count} tasks to:' },
+
+    // --- Command palette
+    'command.newTask': 'New task',
+    'command.newProject': 'New project',
+    'command.search': 'Search tasks and projects',
+    'command.language': 'Switch language to {language}',
+    'command.stats': 'Statistics',
+    'command.account': 'Account',
+    'command.backup': 'Export & import',
+    'command.trash': 'Recently deleted',
+    'command.join': 'Join a shared project',
+    'command.shortcuts': 'Keyboard shortcuts',
+    'command.groupSmartView': 'Smart view',
+    'command.groupArchived': 'Archived',
+    'command.groupProject': 'Project',
+    'theme.toLight': 'Switch to light mode',
+    'theme.toDark': 'Switch to dark mode',
+    'nav.backToProjects': 'Back to projects',
+    'palette.placeholder': 'Type a command or project',
+    'palette.noMatches': 'No matching commands',
+
+    // --- Keyboard shortcuts
+    'shortcuts.title': 'Shortcuts',
+    'shortcuts.general': 'General',
+    'shortcuts.inProject': 'In a project',
+    'shortcuts.palette': 'Command palette',
+    'shortcuts.newTask': 'New task',
+    'shortcuts.newProject': 'New project',
+    'shortcuts.search': 'Search',
+    'shortcuts.theme': 'Toggle dark mode',
+    'shortcuts.help': 'Show shortcuts',
+    'shortcuts.close': 'Close sheet or project',
+    'shortcuts.next': 'Next task',
+    'shortcuts.previous': 'Previous task',
+    'shortcuts.toggle': 'Complete / reopen task',
+    'shortcuts.open': 'Open task',
+    'shortcuts.delete': 'Delete task',
+
+    // --- Toasts and confirmations
+    'toast.uploaded': { one: 'Uploaded {count} project to your account', other: 'Uploaded {count} projects to your account' },
+    'toast.projectDeleted': 'Project deleted',
+    'toast.tasksDeleted': { one: 'Task deleted', other: '{count} tasks deleted' },
+    'toast.tasksCompleted': { one: '{count} task completed', other: '{count} tasks completed' },
+    'toast.tasksReopened': { one: '{count} task reopened', other: '{count} tasks reopened' },
+    'toast.tasksMoved': { one: '{count} task moved to {project}', other: '{count} tasks moved to {project}' },
+    'toast.imported': { one: 'Imported {count} task', other: 'Imported {count} tasks' },
+    'toast.projectArchived': 'Project archived',
+    'toast.undo': 'Undo',
+    'toast.joined': 'Joined shared project',
+    'toast.copied': 'Copied to clipboard',
+    'confirm.resetProfile': 'Are you sure you want to reset your profile?',
+    'confirm.emptyTrash': { one: 'Permanently delete {count} item?', other: 'Permanently delete {count} items?' },
+};
@@ -0,0 +1,367 @@
+// === BAHASA INDONESIA ===
+// Indonesian does not inflect nouns for number, so plurals are plain strings.
+// The quick add placeholder stays English because the parser only reads English phrases.
+
+export const id = {
+    // --- Shared
+    'common.delete': 'Hapus',
+    'common.close': 'Tutup',
+
+    // --- App
+    'app.tagline': 'Kosongkan daftar. Tenangkan pikiran.',
+
+    // --- Errors (storage, sharing and sign-in)
+    'errors.generic': 'Terjadi kesalahan. Silakan coba lagi.',
+    'errors.permissionDenied': 'Anda tidak punya izin untuk melakukan itu.',
+    'errors.notSynced': 'Proyek ini belum selesai disinkronkan.',
+    'errors.invalidInvite': 'Kode undangan itu tidak ada.',
+    'errors.inviteExpired': 'Kode undangan itu sudah kedaluwarsa. Mintalah yang baru.',
+    'errors.emailInUse': 'Email itu sudah punya akun. Silakan masuk.',
+    'errors.accountExists': 'Akun itu sudah ada. Silakan masuk.',
+    'errors.invalidEmail': 'Alamat email itu tidak valid.',
+    'errors.weakPassword': 'Gunakan kata sandi minimal 6 karakter.',
+    'errors.wrongCredentials': 'Email atau kata sandi salah.',
+    'errors.popupClosed': 'Jendela masuk ditutup.',
+    'errors.popupBlocked': 'Browser Anda memblokir jendela masuk.',
+    'errors.offline': 'Sepertinya Anda sedang offline.',
+    'errors.methodDisabled': 'Metode masuk ini belum diaktifkan untuk proyek Firebase ini.',
+
+    // --- Login
+    'login.syncing': 'Menyinkronkan dengan iCloud...',
+    'login.nickname': 'Nama panggilan',
+    'login.nicknamePlaceholder': 'mis., Budi',
+    'login.start': 'Mulai pakai Miroo',
+
+    // --- Sync status
+    'sync.synced': 'Semua perubahan tersinkron',
+    'sync.pending': 'Menyimpan perubahan…',
+    'sync.error': 'Perubahan belum tersinkron, mencoba lagi',
+
+    // --- Home
+    'home.greeting': 'Halo, {name}',
+    'home.title': 'Proyek Anda',
+    'home.changePhoto': 'Ganti foto profil',
+    'home.newProject': 'Proyek Baru',
+    'home.resetProfile': 'Atur Ulang Profil',
+    'home.empty': 'Belum ada proyek',
+    'home.sharedCount': 'Dibagikan · {count}',
+    'home.otherProjects': 'Proyek lain',
+    'home.archive': 'Arsip',
+
+    // --- Search
+    'search.clear': 'Hapus pencarian',
+    'search.status.all': 'Semua',
+    'search.status.active': 'Aktif',
+    'search.status.completed': 'Selesai',
+    'search.noMatches': 'Tidak ada hasil untuk "{query}"',
+    'search.taskCount': '{count} tugas',
+
+    // --- Smart views
+    'smartViews.today': 'Hari ini',
+    'smartViews.today.empty': 'Tidak ada yang jatuh tempo hari ini.',
+    'smartViews.upcoming': '7 hari ke depan',
+    'smartViews.upcoming.empty': 'Tidak ada yang jatuh tempo minggu depan.',
+    'smartViews.active': 'Semua aktif',
+    'smartViews.active.empty': 'Tidak ada tugas terbuka. Mantap.',
+    'smartViews.completedWeek': 'Selesai minggu ini',
+    'smartViews.completedWeek.empty': 'Belum ada yang selesai minggu ini.',
+    'smartViews.summary': '{count} tugas di {projects}',
+    'smartViews.projectCount': '{count} proyek',
+
+    // --- Project cards
+    'projectOptions.button': 'Sematkan, pindahkan ke folder, atau arsipkan',
+    'projectOptions.pinned': 'Disematkan',
+    'projectOptions.unarchive': 'Batalkan arsip',
+    'progress.tasks': 'tugas',
+    'drag.reorder': 'Seret untuk mengurutkan (atau gunakan tombol panah)',
+
+    // --- Sharing
+    'share.formerMember': 'Mantan anggota',
+    'share.you': 'Anda',
+    'share.button': 'Bagikan',
+    'share.title': 'Bagikan',
+    'share.intro': 'Berbagi memindahkan proyek ini ke ruang bersama. Anda tetap pemiliknya, dan orang yang Anda undang bisa mengikuti secara langsung, sebagai editor atau pembaca saja.',
+    'share.start': 'Bagikan Proyek Ini',
+    'share.members': 'Anggota',
+    'share.role.owner': 'Pemilik',
+    'share.role.editor': 'Editor',
+    'share.role.viewer': 'Pembaca',
+    'share.remove': 'Keluarkan dari proyek',
+    'share.invite': 'Undang',
+    'share.codeEditor': 'Selama {days} hari ke depan, siapa pun yang memakai kode ini bergabung sebagai editor:',
+    'share.codeViewer': 'Selama {days} hari ke depan, siapa pun yang memakai kode ini bergabung sebagai pembaca:',
+    'share.copyCode': 'Salin kode',
+    'share.copyLink': 'Salin Tautan Undangan',
+    'share.createInvite': 'Buat Undangan',
+    'share.leave': 'Keluar dari Proyek',
+    'join.title': 'Gabung ke Proyek',
+    'join.hint': 'Masukkan kode undangan yang dibagikan kepada Anda.',
+    'join.submit': 'Gabung',
+    'attribution.addedBy': 'Ditambahkan oleh {name}',
+    'attribution.doneBy': 'Diselesaikan oleh {name}',
+
+    // --- Project detail
+    'detail.deleteProject': 'Hapus proyek',
+    'detail.weightSubtasks': 'Hitung subtugas dalam progres',
+    'detail.steps': 'Langkah',
+    'detail.addTask': 'Tambah tugas',
+    'detail.noMatches': 'Tidak ada tugas yang cocok dengan filter ini.',
+    'detail.empty': 'Belum ada tugas. Tekan tombol + untuk menambah.',
+    'detail.completed': 'Selesai ({count})',
+    'detail.clearCompletedHint': 'Pindahkan semua tugas selesai ke Baru Dihapus',
+    'detail.clearCompleted': 'Bersihkan yang selesai',
+    'select.start': 'Pilih',
+    'select.markAllDone': 'Tandai semua selesai',
+    'select.task': 'Pilih "{task}"',
+    'select.count': '{count} dipilih',
+    'select.none': 'Batal pilih semua',
+    'select.all': 'Pilih semua',
+    'select.done': 'Selesai memilih',
+    'select.complete': 'Selesaikan',
+    'select.reopen': 'Buka kembali',
+    'select.move': 'Pindahkan',
+    'sort.manual': 'Manual',
+    'sort.priority': 'Prioritas',
+    'sort.createdAt': 'Terbaru',
+    'sort.dueDate': 'Tenggat',
+
+    // --- Tasks
+    'task.deleteNamed': 'Hapus "{task}"',
+    'task.complete': 'Selesaikan "{task}"',
+    'task.reopen': 'Buka kembali "{task}"',
+    'task.delete': 'Hapus tugas',
+    'priority.none': 'Tidak ada',
+    'priority.low': 'Rendah',
+    'priority.medium': 'Sedang',
+    'priority.high': 'Tinggi',
+    'due.today': 'Hari ini',
+    'due.tomorrow': 'Besok',
+    'due.yesterday': 'Kemarin',
+    'due.overdue': 'Terlambat · {due}',
+
+    // --- Repeat
+    'repeat.everyDay': 'Setiap hari',
+    'repeat.weekdays': 'Hari kerja',
+    'repeat.everyWeekdays': 'Setiap {days}',
+    'repeat.monthlyOnDay': 'Bulanan pada tanggal {day}',
+    'repeat.everyNDays': 'Setiap {count} hari',
+    'repeat.type.never': 'Tidak pernah',
+    'repeat.type.daily': 'Harian',
+    'repeat.type.weekdays': 'Hari kerja',
+    'repeat.type.weekly': 'Mingguan',
+    'repeat.type.monthly': 'Bulanan',
+    'repeat.type.interval': 'Setiap N hari',
+    'repeat.monthlyBefore': 'Pada tanggal',
+    'repeat.monthlyAfter': 'setiap bulan',
+    'repeat.intervalBefore': 'Setiap',
+    'repeat.intervalAfter': 'hari',
+
+    // --- Task fields
+    'form.due': 'Tenggat',
+    'form.clearDue': 'Hapus tenggat',
+    'form.reminderHint': 'Anda akan diingatkan pukul {time} selama Miroo terbuka',
+    'reminder.dueNow': 'Jatuh tempo sekarang di {project}',
+    'form.priority': 'Prioritas',
+    'form.tags': 'Tag',
+    'form.tagsPlaceholder': 'belanja, rumah',
+    'form.repeat': 'Ulangi',
+    'form.quickAdd': 'Tambah cepat',
+    'form.quickAddPlaceholder': 'Pay rent tomorrow 9am #Home !high every month',
+    'form.untitled': 'Tanpa judul',
+    'form.project': 'Proyek',
+    'form.title': 'Judul',
+    'form.descriptionPlaceholder': 'Deskripsi (opsional)',
+
+    // --- Sheets
+    'newTask.title': 'Tugas Baru',
+    'newTask.titlePlaceholder': 'Beli asuransi perjalanan',
+    'newTask.create': 'Buat Tugas',
+    'newProject.title': 'Proyek Baru',
+    'newProject.name': 'Nama proyek',
+    'newProject.namePlaceholder': 'mis., Belanja Bulanan',
+    'newProject.join': 'Gabung ke proyek bersama dengan kode',
+    'newProject.create': 'Buat Proyek',
+    'subtasks.title': 'Subtugas',
+    'subtasks.delete': 'Hapus langkah “{title}”',
+    'subtasks.placeholder': 'Tambah langkah',
+    'subtasks.allDone': 'Semua langkah selesai. Selesaikan tugas ini?',
+    'taskDetail.title': 'Tugas',
+    'taskDetail.save': 'Simpan Perubahan',
+    'trash.empty': 'Kosongkan Sampah',
+    'trash.title': 'Baru Dihapus',
+    'trash.retention': 'Item dihapus permanen setelah 30 hari.',
+    'trash.nothing': 'Tidak ada apa-apa di sini.',
+    'trash.project': 'Proyek · {count} tugas',
+    'trash.task': 'Tugas di {project}',
+    'trash.daysLeft': '{count} hari lagi',
+    'trash.restore': 'Pulihkan',
+    'trash.deleteForever': 'Hapus Selamanya',
+    'trash.ownerOnly': 'Khusus pemilik',
+
+    // --- Export & import
+    'backup.notBackup': 'Ini bukan file cadangan Miroo.',
+    'backup.newerVersion': 'Cadangan ini dibuat oleh versi Miroo yang lebih baru (v{version}).',
+    'backup.csvColumns': 'CSV membutuhkan setidaknya kolom "project" dan "task".',
+    'backup.noHeadings': 'Tidak ada judul "## Project" di file Markdown.',
+    'backup.unsupported': 'File tidak didukung. Pilih ekspor .json, .csv, atau .md.',
+    'backup.invalidJSON': 'File ini bukan JSON yang valid.',
+    'backup.skippedTask': '"{project}": tugas tanpa judul dilewati',
+    'backup.skippedProject': 'Proyek #{number} tidak punya judul dan dilewati',
+    'backup.importFailed': 'Impor gagal. Data Anda tidak sepenuhnya berubah, periksa sampah jika ada yang hilang.',
+    'backup.title': 'Ekspor & Impor',
+    'backup.export': 'Ekspor',
+    'backup.exportHint': 'JSON menyimpan semuanya, termasuk profil Anda. CSV berisi satu baris per tugas.',
+    'backup.import': 'Impor',
+    'backup.chooseFile': 'Pilih file .json, .csv, atau .md',
+    'backup.merge': 'Gabungkan',
+    'backup.replace': 'Ganti',
+    'backup.planAdd': '{count} proyek baru',
+    'backup.planUpdate': '{count} tugas ke “{title}”',
+    'backup.planRemove': '{count} proyek saat ini dipindahkan ke Baru Dihapus',
+    'backup.planKeepShared': '{count} proyek bersama dibiarkan, impor tidak pernah mengubah proyek bersama',
+    'backup.planTasks': '{count} tugas akan ditambahkan',
+    'backup.planNothing': 'Semua isi file ini sudah ada di sini.',
+    'backup.applyReplace': 'Ganti Data Saya',
+    'backup.applyMerge': 'Gabungkan ke Data Saya',
+
+    // --- Account
+    'account.title': 'Akun',
+    'account.localMode': 'Miroo berjalan tanpa Firebase, jadi semuanya hanya disimpan di browser ini. Tambahkan konfigurasi Firebase untuk masuk dan menyinkronkan antarperangkat.',
+    'account.signedInHint': 'Proyek Anda disimpan di akun Anda dan tersinkron antarperangkat.',
+    'account.signedIn': 'Sudah masuk',
+    'account.signOut': 'Keluar',
+    'account.guestHint': 'Anda memakai Miroo sebagai tamu. Buat akun agar proyek Anda tetap aman jika data browser ini dihapus.',
+    'account.email': 'Email',
+    'account.password': 'Kata sandi',
+    'account.create': 'Buat Akun',
+    'account.signIn': 'Masuk ke Akun yang Ada',
+    'account.google': 'Lanjutkan dengan Google',
+    'account.signInHint': 'Masuk ke akun yang sudah ada akan beralih ke proyek akun tersebut. Ekspor cadangan dulu jika ingin menyimpan data tamu ini.',
+    'account.language': 'Bahasa',
+
+    // --- Appearance
+    'appearance.title': 'Tampilan',
+    'appearance.mode.dark': 'Gelap',
+    'appearance.mode.light': 'Terang',
+    'appearance.mode.system': 'Sistem',
+    'appearance.preset.aurora': 'Aurora',
+    'appearance.preset.sunset': 'Senja',
+    'appearance.preset.ocean': 'Samudra',
+    'appearance.preset.forest': 'Hutan',
+    'appearance.preset.mono': 'Mono',
+    'appearance.accent': 'Warna aksen',
+    'appearance.resetAccent': 'Pakai warna tema',
+    'appearance.color': 'Warna',
+    'appearance.customColor': 'Warna khusus',
+    'appearance.icon': 'Ikon',
+    'appearance.icon.plus': 'Tambah',
+    'appearance.icon.list-checks': 'Daftar periksa',
+    'appearance.icon.briefcase': 'Kerja',
+    'appearance.icon.home': 'Rumah',
+    'appearance.icon.shopping-cart': 'Belanja',
+    'appearance.icon.heart': 'Kesehatan',
+    'appearance.icon.book-open': 'Bacaan',
+    'appearance.icon.dumbbell': 'Kebugaran',
+    'appearance.icon.plane': 'Perjalanan',
+    'appearance.icon.music': 'Musik',
+    'appearance.icon.code': 'Kode',
+    'appearance.icon.star': 'Favorit',
+    'appearance.icon.gift': 'Hadiah',
+    'appearance.icon.graduation-cap': 'Belajar',
+    'appearance.emoji': 'Emoji',
+    'appearance.emojiPlaceholder': 'Atau ketik emoji',
+
+    // --- Banners
+    'localData.title': 'Ditemukan data yang tersimpan di perangkat ini',
+    'localData.body': '{count} proyek dari sebelum sinkronisasi cloud diatur. Unggah ke akun Anda?',
+    'localData.upload': 'Unggah',
+    'localData.dismiss': 'Nanti Saja',
+    'update.ready': 'Versi baru Miroo sudah siap',
+    'update.reload': 'Muat ulang',
+    'update.later': 'Nanti',
+
+    // --- Statistics
+    'stats.thisWeek': 'Minggu ini',
+    'stats.streak': 'Hari beruntun',
+    'stats.bestStreak': 'Rekor beruntun',
+    'stats.averageTime': 'Rata-rata waktu selesai',
+    'stats.title': 'Statistik',
+    'stats.total': 'Total {count} tugas selesai.',
+    'stats.perDay': 'Per hari · {count} hari terakhir',
+    'stats.perWeek': 'Per minggu · {count} minggu terakhir',
+    'stats.weekOf': 'Minggu {date}',
+    'stats.byProject': 'Per proyek',
+    'stats.noProjects': 'Belum ada proyek.',
+    'stats.projectSummary': '{count} minggu ini · rata-rata {duration} sampai selesai',
+    'duration.minutes': '{count} mnt',
+    'duration.hours': '{count} jam',
+    'duration.days': '{count} hari',
+
+    // --- Organize sheet
+    'organize.title': 'Atur',
+    'organize.sharedHint': 'warna dan ikon berlaku untuk semua anggota',
+    'organize.viewerHint': 'hanya editor yang dapat mengubah warna dan ikon',
+    'organize.unpin': 'Lepas sematan',
+    'organize.pin': 'Sematkan di Atas',
+    'organize.folder': 'Folder',
+    'organize.noFolder': 'Tanpa folder',
+    'organize.newFolder': 'Folder atau area baru',
+    'organize.moveToNewFolder': 'Pindahkan ke folder baru',
+    'organize.unarchive': 'Batalkan Arsip',
+    'organize.archive': 'Arsipkan Proyek',
+    'organize.archiveHint': 'Proyek yang diarsipkan keluar dari daftar utama dan tampilan pintar, tetapi semua tugasnya tetap disimpan.',
+    'move.title': 'Pindahkan Tugas',
+    'move.hint': 'Pindahkan {count} tugas ke:',
+
+    // --- Command palette
+    'command.newTask': 'Tugas baru',
+    'command.newProject': 'Proyek baru',
+    'command.search': 'Cari tugas dan proyek',
+    'command.language': 'Ganti bahasa ke {language}',
+    'command.stats': 'Statistik',
+    'command.account': 'Akun',
+    'command.backup': 'Ekspor & impor',
+    'command.trash': 'Baru dihapus',
+    'command.join': 'Gabung ke proyek bersama',
+    'command.shortcuts': 'Pintasan keyboard',
+    'command.groupSmartView': 'Tampilan pintar',
+    'command.groupArchived': 'Diarsipkan',
+    'command.groupProject': 'Proyek',
+    'theme.toLight': 'Beralih ke mode terang',
+    'theme.toDark': 'Beralih ke mode gelap',
+    'nav.backToProjects': 'Kembali ke proyek',
+    'palette.placeholder': 'Ketik perintah atau proyek',
+    'palette.noMatches': 'Tidak ada perintah yang cocok',
+
+    // --- Keyboard shortcuts
+    'shortcuts.title': 'Pintasan',
+    'shortcuts.general': 'Umum',
+    'shortcuts.inProject': 'Di dalam proyek',
+    'shortcuts.palette': 'Palet perintah',
+    'shortcuts.newTask': 'Tugas baru',
+    'shortcuts.newProject': 'Proyek baru',
+    'shortcuts.search': 'Cari',
+    'shortcuts.theme': 'Ganti mode gelap',
+    'shortcuts.help': 'Tampilkan pintasan',
+    'shortcuts.close': 'Tutup lembar atau proyek',
+    'shortcuts.next': 'Tugas berikutnya',
+    'shortcuts.previous': 'Tugas sebelumnya',
+    'shortcuts.toggle': 'Selesaikan / buka kembali tugas',
+    'shortcuts.open': 'Buka tugas',
+    'shortcuts.delete': 'Hapus tugas',
+
+    // --- Toasts and confirmations
+    'toast.uploaded': '{count} proyek diunggah ke akun Anda',
+    'toast.projectDeleted': 'Proyek dihapus',
+    'toast.tasksDeleted': '{count} tugas dihapus',
+    'toast.tasksCompleted': '{count} tugas selesai',
+    'toast.tasksReopened': '{count} tugas dibuka kembali',
+    'toast.tasksMoved': '{count} tugas dipindahkan ke {project}',
+    'toast.imported': '{count} tugas diimpor',
+    'toast.projectArchived': 'Proyek diarsipkan',
+    'toast.undo': 'Urungkan',
+    'toast.joined': 'Bergabung ke proyek bersama',
+    'toast.copied': 'Disalin ke papan klip',
+    'confirm.resetProfile': 'Yakin ingin mengatur ulang profil Anda?',
+    'confirm.emptyTrash': 'Hapus permanen {count} item?',
+};
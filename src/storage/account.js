@@ -0,0 +1,71 @@
+import {
+    EmailAuthProvider,
+    GoogleAuthProvider,
+    linkWithCredential,
+    linkWithPopup,
+    signInWithCredential,
+    signInWithEmailAndPassword,
+    signInAnonymously,
+    signOut,
+} from 'firebase/auth';
+import { auth } from './firebase.js';
+
+// === ACCOUNT UPGRADES ===
+// The app starts every visitor as an anonymous Firebase user. Linking keeps the same uid,
+// so everything already saved under artifacts/{appId}/users/{uid} stays with the account.
+
+export const describeUser = (user) => (user ? {
+    uid: user.uid,
+    isAnonymous: user.isAnonymous,
+    email: user.email || null,
+    providers: (user.providerData || []).map((p) => p.providerId),
+} : null);
+
+// Firebase error codes -> message keys in src/locales
+const ERROR_KEYS = {
+    'auth/email-already-in-use': 'errors.emailInUse',
+    'auth/credential-already-in-use': 'errors.accountExists',
+    'auth/invalid-email': 'errors.invalidEmail',
+    'auth/weak-password': 'errors.weakPassword',
+    'auth/wrong-password': 'errors.wrongCredentials',
+    'auth/invalid-credential': 'errors.wrongCredentials',
+    'auth/user-not-found': 'errors.wrongCredentials',
+    'auth/popup-closed-by-user': 'errors.popupClosed',
+    'auth/popup-blocked': 'errors.popupBlocked',
+    'auth/network-request-failed': 'errors.offline',
+    'auth/operation-not-allowed': 'errors.methodDisabled',
+};
+
+export const describeAuthError = (error, tr) => tr(ERROR_KEYS[error?.code] || 'errors.generic');
+
+// Turns the current anonymous user into an email/password account
+export const linkEmailPassword = async (email, password) => {
+    const credential = EmailAuthProvider.credential(email, password);
+    const { user } = await linkWithCredential(auth.currentUser, credential);
+    return user;
+};
+
+export const linkGoogle = async () => {
+    const { user } = await linkWithPopup(auth.currentUser, new GoogleAuthProvider());
+    return user;
+};
+
+// Switching to an existing account changes the uid, so the guest's data stays behind
+export const signInEmailPassword = async (email, password) => {
+    const { user } = await signInWithEmailAndPassword(auth, email, password);
+    return user;
+};
+
+// Used after linkGoogle fails because that Google account is already registered
+export const signInWithLinkError = async (error) => {
+    const credential = GoogleAuthProvider.credentialFromError(error);
+    if (!credential) throw error;
+    const { user } = await signInWithCredential(auth, credential);
+    return user;
+};
+
+// Signing out drops back to a fresh anonymous guest
+export const signOutToGuest = async () => {
+    await signOut(auth);
+    await signInAnonymously(auth);
+};
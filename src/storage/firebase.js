@@ -0,0 +1,30 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+
+// === FIREBASE INITIALIZATION ===
+// Memuat konfigurasi dari environment platform secara aman
+let app, auth, db, appId;
+let isLocalMode = true; // Default to local mode
+try {
+    if (typeof __firebase_config !== 'undefined' && __firebase_config) {
+        const firebaseConfig = JSON.parse(__firebase_config);
+        if (firebaseConfig.apiKey) {
+            app = initializeApp(firebaseConfig);
+            auth = getAuth(app);
+            db = getFirestore(app);
+            appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+            isLocalMode = false;
+
+            // `npm run emulators` + VITE_USE_EMULATORS=true runs against local Auth/Firestore (and firestore.rules)
+            if (import.meta.env.VITE_USE_EMULATORS === 'true') {
+                connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+                connectFirestoreEmulator(db, '127.0.0.1', 8080);
+            }
+        }
+    }
+} catch (error) {
+    console.error("Firebase not available, running in local mode.", error);
+}
+
+export { app, auth, db, appId, isLocalMode };
@@ -0,0 +1,339 @@
+import {
+    collection, doc, setDoc, getDoc, deleteDoc, updateDoc, onSnapshot, writeBatch, getDocs, deleteField,
+    query, where, arrayUnion, arrayRemove, Timestamp,
+} from 'firebase/firestore';
+import { sortProjects } from '../lib/ordering.js';
+import { splitTaskDocs, legacyTaskDocs } from './taskDocs.js';
+
+// Firestore allows 500 writes per batch
+const BATCH_LIMIT = 450;
+
+// Firestore rejects `undefined` anywhere in a document
+const toDocData = (data) => JSON.parse(JSON.stringify(data));
+
+export const SHARE_ROLES = ['owner', 'editor', 'viewer'];
+
+// Invite codes stop working after this many days; firestore.rules enforces it too
+export const INVITE_TTL_DAYS = 7;
+
+// Fields that only describe membership of a shared project; never copied into exports or personal projects
+export const SHARING_FIELDS = ['shared', 'role', 'ownerId', 'members', 'memberUids', 'memberNames', 'joinCode'];
+
+// 8 characters without look-alikes (0/O, 1/I/L), easy to read out loud
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 8;
+// Bytes at or above the largest multiple of the alphabet size are redrawn, so every character is equally likely
+const UNBIASED_BYTE_LIMIT = 256 - (256 % INVITE_ALPHABET.length);
+const createInviteCode = () => {
+    let code = '';
+    while (code.length < INVITE_LENGTH) {
+        crypto.getRandomValues(new Uint8Array(INVITE_LENGTH)).forEach((n) => {
+            if (n < UNBIASED_BYTE_LIMIT && code.length < INVITE_LENGTH) code += INVITE_ALPHABET[n % INVITE_ALPHABET.length];
+        });
+    }
+    return code;
+};
+
+const sharingError = (code, message) => Object.assign(new Error(message), { code });
+
+// === FIRESTORE STORAGE BACKEND ===
+// Data lives under artifacts/{appId}/users/{uid}/...
+//   profile/data
+//   projects/{projectId}              project fields only
+//   projects/{projectId}/tasks/{id}   one document per task, so concurrent edits merge
+// Projects saved before tasks moved to their own documents still embed `tasks` arrays;
+// they are read as-is and migrated the first time they are seen.
+//
+// Shared projects live outside any user, under artifacts/{appId}/...
+//   sharedProjects/{projectId}             project fields plus ownerId, members { uid: role },
+//                                          memberUids (for the membership query) and memberNames
+//   sharedProjects/{projectId}/tasks/{id}  same task documents as personal projects
+//   invites/{code}                         { projectId, role, createdBy, createdAt, expiresAt (Timestamp) }
+// They are listed next to personal projects with `shared: true` and the user's `role`;
+// every other method routes to the right place by project id. See firestore.rules.
+export const createFirestoreStorage = (db, appId, uid) => {
+    // Ids of shared projects the user belongs to, kept current by subscribeProjects
+    let sharedIds = new Set();
+    let resolveSharedReady;
+    const sharedReady = new Promise((resolve) => { resolveSharedReady = resolve; });
+
+    const profileRef = () => doc(db, 'artifacts', appId, 'users', uid, 'profile', 'data');
+    const personalProjectsRef = () => collection(db, 'artifacts', appId, 'users', uid, 'projects');
+    const sharedProjectsQuery = () => query(
+        collection(db, 'artifacts', appId, 'sharedProjects'),
+        where('memberUids', 'array-contains', uid)
+    );
+    const projectPath = (id) => (sharedIds.has(id)
+        ? ['artifacts', appId, 'sharedProjects', id]
+        : ['artifacts', appId, 'users', uid, 'projects', id]);
+    const personalProjectRef = (id) => doc(db, 'artifacts', appId, 'users', uid, 'projects', id);
+    const sharedProjectRef = (id) => doc(db, 'artifacts', appId, 'sharedProjects', id);
+    const inviteRef = (code) => doc(db, 'artifacts', appId, 'invites', code);
+    const projectRef = (id) => doc(db, ...projectPath(id));
+    const tasksRef = (projectId) => collection(db, ...projectPath(projectId), 'tasks');
+    const taskRef = (projectId, taskId) => doc(db, ...projectPath(projectId), 'tasks', taskId);
+
+    // Writes queued before the first shared snapshot must not guess the wrong location
+    const routed = (write) => async (...args) => {
+        await sharedReady;
+        return write(...args);
+    };
+
+    // Runs `(batch, item)` for every item, committing in batches under the write limit
+    const commitInChunks = async (items, write) => {
+        for (let i = 0; i < items.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            items.slice(i, i + BATCH_LIMIT).forEach((item) => write(batch, item));
+            await batch.commit();
+        }
+    };
+
+    // === MIGRATION: embedded tasks arrays -> task documents ===
+    const migrating = new Set();
+    const migrateEmbeddedTasks = async (projectId, data) => {
+        if (migrating.has(projectId)) return;
+        migrating.add(projectId);
+        try {
+            await commitInChunks(legacyTaskDocs(data), (batch, task) => batch.set(taskRef(projectId, task.id), toDocData(task)));
+            await updateDoc(projectRef(projectId), { tasks: deleteField(), deletedTasks: deleteField() });
+        } catch (error) {
+            console.error("Error migrating tasks:", error);
+        } finally {
+            migrating.delete(projectId);
+        }
+    };
+
+    // Task documents win over legacy embedded copies with the same id
+    const assembleProject = (id, data, taskDocs) => {
+        const { tasks: legacyTasks, deletedTasks: legacyDeleted, ...fields } = data;
+        const docs = new Map(legacyTaskDocs(data).map((task) => [task.id, task]));
+        (taskDocs || new Map()).forEach((task, taskId) => docs.set(taskId, task));
+        const sharing = sharedIds.has(id) ? { shared: true, role: data.members?.[uid] || 'viewer' } : {};
+        return { id, ...fields, ...sharing, ...splitTaskDocs([...docs.values()]) };
+    };
+
+    return {
+        kind: 'firestore',
+
+        subscribeProfile(listener, onError) {
+            return onSnapshot(profileRef(),
+                (docSnap) => listener(docSnap.exists() ? docSnap.data() : null),
+                onError
+            );
+        },
+
+        subscribeProjects(listener, onError) {
+            let personalDocs = null;
+            let sharedDocs = null;
+            const taskDocs = new Map(); // projectId -> Map(taskId -> task)
+            const taskUnsubscribes = new Map(); // projectId -> { shared, unsubscribe }
+
+            const projectDocs = () => new Map([...(personalDocs || []), ...(sharedDocs || [])]);
+
+            // Wait until both lists and every project's tasks have loaded, so projects never flash empty
+            const emit = () => {
+                if (!personalDocs || !sharedDocs) return;
+                const docs = projectDocs();
+                if ([...docs.keys()].some((id) => !taskDocs.has(id))) return;
+                const projects = [...docs.entries()].map(([id, data]) => assembleProject(id, data, taskDocs.get(id)));
+                // Sort by manual order (falling back to newest first) in memory
+                listener(sortProjects(projects));
+            };
+
+            // One task listener per project; re-created when a project moves between personal and shared
+            const syncTaskListeners = () => {
+                const docs = projectDocs();
+                docs.forEach((data, id) => {
+                    const shared = sharedIds.has(id);
+                    if (!shared && (Array.isArray(data.tasks) || Array.isArray(data.deletedTasks))) migrateEmbeddedTasks(id, data);
+                    const existing = taskUnsubscribes.get(id);
+                    if (existing?.shared === shared) return;
+                    existing?.unsubscribe();
+                    taskUnsubscribes.set(id, {
+                        shared,
+                        unsubscribe: onSnapshot(tasksRef(id),
+                            (taskSnapshot) => {
+                                const tasks = new Map();
+                                taskSnapshot.forEach((taskDoc) => tasks.set(taskDoc.id, { id: taskDoc.id, ...taskDoc.data() }));
+                                taskDocs.set(id, tasks);
+                                emit();
+                            },
+                            (error) => {
+                                // One unreadable project (e.g. access just revoked) must not hold back the others;
+                                // it keeps the tasks last seen, and the next project snapshot subscribes again
+                                if (!taskDocs.has(id)) taskDocs.set(id, new Map());
+                                taskUnsubscribes.delete(id);
+                                emit();
+                                onError?.(error);
+                            }
+                        ),
+                    });
+                });
+
+                taskUnsubscribes.forEach(({ unsubscribe }, id) => {
+                    if (docs.has(id)) return;
+                    unsubscribe();
+                    taskUnsubscribes.delete(id);
+                });
+                [...taskDocs.keys()].filter((id) => !docs.has(id)).forEach((id) => taskDocs.delete(id));
+
+                emit();
+            };
+
+            const toDocMap = (snapshot) => {
+                const docs = new Map();
+                snapshot.forEach((projectDoc) => docs.set(projectDoc.id, projectDoc.data()));
+                return docs;
+            };
+
+            const unsubscribePersonal = onSnapshot(personalProjectsRef(),
+                (snapshot) => {
+                    personalDocs = toDocMap(snapshot);
+                    syncTaskListeners();
+                },
+                onError
+            );
+
+            const unsubscribeShared = onSnapshot(sharedProjectsQuery(),
+                (snapshot) => {
+                    sharedDocs = toDocMap(snapshot);
+                    sharedIds = new Set(sharedDocs.keys());
+                    resolveSharedReady();
+                    syncTaskListeners();
+                },
+                (error) => {
+                    // Without shared projects the personal ones still work
+                    sharedDocs = new Map();
+                    resolveSharedReady();
+                    syncTaskListeners();
+                    onError?.(error);
+                }
+            );
+
+            return () => {
+                unsubscribePersonal();
+                unsubscribeShared();
+                taskUnsubscribes.forEach(({ unsubscribe }) => unsubscribe());
+            };
+        },
+
+        createProfile: (profile) => setDoc(profileRef(), profile),
+        updateProfile: (fields) => updateDoc(profileRef(), fields),
+
+        // New projects are always personal; sharing fields from a restored copy are dropped
+        async addProject({ tasks = [], deletedTasks = [], ...project }) {
+            await sharedReady;
+            const fields = Object.fromEntries(Object.entries(project).filter(([key]) => !SHARING_FIELDS.includes(key)));
+            await setDoc(personalProjectRef(project.id), toDocData(fields));
+            await commitInChunks(
+                [...tasks.map((task, index) => ({ position: index, ...task })), ...deletedTasks],
+                (chunk, task) => chunk.set(doc(personalProjectRef(project.id), 'tasks', task.id), toDocData(task))
+            );
+        },
+
+        updateProject: routed((id, fields) => updateDoc(projectRef(id), fields)),
+
+        // One batch for everything, unless the task writes go past the batch limit
+        updateProjects: routed((updates) => commitInChunks(
+            updates.flatMap(({ id, fields, patch }) => [
+                ...(Object.keys(fields).length > 0 ? [(batch) => batch.update(projectRef(id), fields)] : []),
+                ...(patch?.set || []).map((task) => (batch) => batch.set(taskRef(id, task.id), toDocData(task))),
+                ...(patch?.remove || []).map((taskId) => (batch) => batch.delete(taskRef(id, taskId))),
+            ]),
+            (batch, write) => write(batch)
+        )),
+
+        updateTasks: routed((projectId, { set = [], remove = [] }) => commitInChunks(
+            [...set.map((task) => ({ task })), ...remove.map((taskId) => ({ taskId }))],
+            (batch, { task, taskId }) => {
+                if (task) batch.set(taskRef(projectId, task.id), toDocData(task));
+                else batch.delete(taskRef(projectId, taskId));
+            }
+        )),
+
+        // Shared projects are the owner's to delete; checked first, as editors may delete task documents
+        async deleteProject(id) {
+            await sharedReady;
+            if (sharedIds.has(id)) {
+                const projectSnap = await getDoc(sharedProjectRef(id));
+                if (projectSnap.exists() && projectSnap.data().ownerId !== uid) {
+                    throw sharingError('sharing/not-owner', 'Only the owner can delete a shared project.');
+                }
+            }
+            const taskSnapshot = await getDocs(tasksRef(id));
+            await commitInChunks(taskSnapshot.docs, (batch, taskDoc) => batch.delete(taskDoc.ref));
+            await deleteDoc(projectRef(id));
+        },
+
+        // Projects stay in the cloud; only the profile document is removed
+        reset: () => deleteDoc(profileRef()),
+
+        // === SHARING (online only, never queued) ===
+
+        // Moves a personal project and its tasks to sharedProjects with the user as owner
+        async shareProject(id, { name }) {
+            await sharedReady;
+            if (sharedIds.has(id)) return;
+            const projectSnap = await getDoc(personalProjectRef(id));
+            if (!projectSnap.exists()) throw sharingError('sharing/not-found', 'This project has not finished syncing yet.');
+
+            const data = projectSnap.data();
+            const taskSnapshot = await getDocs(collection(personalProjectRef(id), 'tasks'));
+            const docs = new Map(legacyTaskDocs(data).map((task) => [task.id, task]));
+            taskSnapshot.forEach((taskDoc) => docs.set(taskDoc.id, { id: taskDoc.id, ...taskDoc.data() }));
+
+            const { tasks: legacyTasks, deletedTasks: legacyDeleted, ...fields } = data;
+            await setDoc(sharedProjectRef(id), toDocData({
+                ...fields,
+                ownerId: uid,
+                members: { [uid]: 'owner' },
+                memberUids: [uid],
+                memberNames: { [uid]: name },
+            }));
+            await commitInChunks([...docs.values()], (batch, task) => batch.set(doc(sharedProjectRef(id), 'tasks', task.id), toDocData(task)));
+
+            // Only remove the personal copy once the shared one is complete
+            sharedIds = new Set([...sharedIds, id]);
+            await commitInChunks(taskSnapshot.docs, (batch, taskDoc) => batch.delete(taskDoc.ref));
+            await deleteDoc(personalProjectRef(id));
+        },
+
+        async createInvite(projectId, role) {
+            const code = createInviteCode();
+            const createdAt = Date.now();
+            await setDoc(inviteRef(code), {
+                projectId,
+                role,
+                createdBy: uid,
+                createdAt,
+                expiresAt: Timestamp.fromMillis(createdAt + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+            });
+            return code;
+        },
+
+        // Adds the user to the invite's project with the invite's role; returns the project id
+        async joinProject(code, { name }) {
+            const inviteSnap = await getDoc(inviteRef(code.trim().toUpperCase()));
+            if (!inviteSnap.exists()) throw sharingError('sharing/invalid-invite', 'That invite code does not exist.');
+            const { projectId, role, expiresAt } = inviteSnap.data();
+            // An invite without expiresAt is rejected, here and by the rules
+            if (!(expiresAt?.toMillis() > Date.now())) throw sharingError('sharing/invite-expired', 'That invite code has expired.');
+            await updateDoc(sharedProjectRef(projectId), {
+                [`members.${uid}`]: role,
+                memberUids: arrayUnion(uid),
+                [`memberNames.${uid}`]: name,
+                joinCode: inviteSnap.id,
+            });
+            return projectId;
+        },
+
+        setMemberRole: (projectId, memberUid, role) => updateDoc(sharedProjectRef(projectId), { [`members.${memberUid}`]: role }),
+
+        // Also how a member leaves: removeMember(projectId, ownUid)
+        removeMember: (projectId, memberUid) => updateDoc(sharedProjectRef(projectId), {
+            [`members.${memberUid}`]: deleteField(),
+            memberUids: arrayRemove(memberUid),
+            [`memberNames.${memberUid}`]: deleteField(),
+        }),
+    };
+};
@@ -0,0 +1,35 @@
+import { db, appId, isLocalMode } from './firebase.js';
+import { createLocalStorage } from './local.js';
+import { createFirestoreStorage } from './firestore.js';
+import { createSyncedStorage } from './synced.js';
+
+// === STORAGE ADAPTER ===
+// Every backend shares one contract:
+//   subscribeProfile(listener, onError) / subscribeProjects(listener, onError) -> unsubscribe
+//   createProfile(profile), updateProfile(fields)
+//   addProject(project), updateProject(id, fields), deleteProject(id)
+//   updateProjects([{ id, fields, patch? }])  -> applied as one write; `patch` is a task patch as below
+//   updateTasks(projectId, { set: [task], remove: [taskId] })  -> per-task write (see taskDocs.js)
+//   reset()
+//   subscribeStatus(listener) -> unsubscribe, with 'synced' | 'pending' | 'error'  (not on the raw Firestore adapter)
+//   startSync() -> stop    (optional, only backends that sync in the background)
+//   shareProject(id, { name }), createInvite(projectId, role) -> code, joinProject(code, { name }) -> projectId,
+//   setMemberRole(projectId, uid, role), removeMember(projectId, uid)
+//                          (optional, cloud only; online-only, see firestore.js for the shared layout)
+// Project listeners receive projects already in display order (see lib/ordering.js).
+// All mutations return promises, whether or not the backend is actually async.
+// In cloud mode Firestore sits behind the offline-first outbox (see synced.js).
+export const createStorage = (uid) => (
+    isLocalMode ? createLocalStorage() : createSyncedStorage(createFirestoreStorage(db, appId, uid), uid)
+);
+
+export { auth, isLocalMode } from './firebase.js';
+export { createMemoryStorage } from './memory.js';
+export { createLocalStorage, LS_KEYS, loadLocal, saveLocal } from './local.js';
+export { createFirestoreStorage, SHARE_ROLES, INVITE_TTL_DAYS } from './firestore.js';
+export { createSyncedStorage } from './synced.js';
+export { loadPendingLocalData, markLocalDataMigrated, migrateLocalData } from './migrateLocal.js';
+export {
+    describeUser, describeAuthError,
+    linkEmailPassword, linkGoogle, signInEmailPassword, signInWithLinkError, signOutToGuest,
+} from './account.js';
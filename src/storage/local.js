@@ -0,0 +1,76 @@
+import { createMemoryStorage } from './memory.js';
+
+// === LOCAL STORAGE HELPERS ===
+export const LS_KEYS = {
+    profile: 'miroo_profile',
+    projects: 'miroo_projects',
+    theme: 'miroo_theme',
+    migrated: 'miroo_local_migrated',
+};
+
+export const loadLocal = (key) => {
+    try {
+        const data = localStorage.getItem(key);
+        return data ? JSON.parse(data) : null;
+    } catch { return null; }
+};
+
+export const saveLocal = (key, data) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(data));
+    } catch (e) { console.error('localStorage save error:', e); }
+};
+
+const removeLocal = (key) => {
+    try {
+        localStorage.removeItem(key);
+    } catch (e) { console.error('localStorage remove error:', e); }
+};
+
+const parseLocal = (value) => {
+    try {
+        return value ? JSON.parse(value) : null;
+    } catch { return undefined; }
+};
+
+// === LOCAL STORAGE BACKEND ===
+// In-memory backend that writes every committed change through to localStorage.
+// startSync() follows `storage` events so other open tabs show each other's changes live,
+// the same way Firestore mode follows onSnapshot.
+export const createLocalStorage = () => {
+    const storage = createMemoryStorage({
+        profile: loadLocal(LS_KEYS.profile),
+        projects: loadLocal(LS_KEYS.projects) || [],
+        onCommit: (changes) => {
+            Object.entries(changes).forEach(([field, value]) => {
+                if (value === null) removeLocal(LS_KEYS[field]);
+                else saveLocal(LS_KEYS[field], value);
+            });
+        },
+    });
+
+    const handleStorageEvent = (e) => {
+        if (e.storageArea !== localStorage) return;
+
+        // key is null when another tab cleared localStorage entirely
+        if (e.key === null) {
+            storage.receive({ profile: loadLocal(LS_KEYS.profile), projects: loadLocal(LS_KEYS.projects) || [] });
+            return;
+        }
+
+        const value = parseLocal(e.newValue);
+        if (value === undefined) return;
+        if (e.key === LS_KEYS.profile) storage.receive({ profile: value });
+        if (e.key === LS_KEYS.projects) storage.receive({ projects: value || [] });
+    };
+
+    return {
+        ...storage,
+        kind: 'local',
+
+        startSync() {
+            window.addEventListener('storage', handleStorageEvent);
+            return () => window.removeEventListener('storage', handleStorageEvent);
+        },
+    };
+};
@@ -0,0 +1,102 @@
+import { sortProjects } from '../lib/ordering.js';
+import { applyTaskPatch } from './taskDocs.js';
+
+// === MUTATIONS ===
+// Pure reducer for every storage mutation, as { type, args } where type is the adapter method name.
+// Returns only the changed slice of { profile, projects }.
+export const applyMutation = (state, { type, args }) => {
+    switch (type) {
+        case 'createProfile':
+            return { profile: args[0] };
+        case 'updateProfile':
+            return state.profile ? { profile: { ...state.profile, ...args[0] } } : {};
+        case 'addProject':
+            return { projects: [args[0], ...state.projects.filter((p) => p.id !== args[0].id)] };
+        case 'updateProject': {
+            const [id, fields] = args;
+            return { projects: state.projects.map((p) => (p.id === id ? { ...p, ...fields } : p)) };
+        }
+        case 'updateProjects': {
+            const updatesById = new Map(args[0].map((update) => [update.id, update]));
+            return {
+                projects: state.projects.map((p) => {
+                    if (!updatesById.has(p.id)) return p;
+                    const { fields, patch } = updatesById.get(p.id);
+                    return { ...p, ...fields, ...(patch ? applyTaskPatch(p, patch) : {}) };
+                }),
+            };
+        }
+        case 'updateTasks': {
+            const [id, patch] = args;
+            return { projects: state.projects.map((p) => (p.id === id ? { ...p, ...applyTaskPatch(p, patch) } : p)) };
+        }
+        case 'deleteProject':
+            return { projects: state.projects.filter((p) => p.id !== args[0]) };
+        case 'reset':
+            return { profile: null, projects: [] };
+        default:
+            throw new Error(`Unknown storage mutation: ${type}`);
+    }
+};
+
+export const MUTATION_TYPES = [
+    'createProfile', 'updateProfile',
+    'addProject', 'updateProject', 'updateProjects', 'updateTasks', 'deleteProject',
+    'reset',
+];
+
+// === IN-MEMORY STORAGE BACKEND ===
+// Keeps profile & projects in a plain object and notifies subscribers synchronously.
+// Used directly in tests (also as the stand-in remote in synced.test.js), and as the base of the localStorage backend.
+export const createMemoryStorage = ({ profile = null, projects = [], onCommit } = {}) => {
+    let state = { profile, projects };
+    const profileListeners = new Set();
+    const projectListeners = new Set();
+
+    const notify = (changes) => {
+        if ('profile' in changes) profileListeners.forEach((listener) => listener(state.profile));
+        if ('projects' in changes) projectListeners.forEach((listener) => listener(sortProjects(state.projects)));
+    };
+
+    const commit = (changes) => {
+        state = { ...state, ...changes };
+        onCommit?.(changes);
+        notify(changes);
+    };
+
+    const mutations = Object.fromEntries(MUTATION_TYPES.map((type) => [
+        type,
+        async (...args) => commit(applyMutation(state, { type, args })),
+    ]));
+
+    return {
+        kind: 'memory',
+
+        subscribeProfile(listener) {
+            profileListeners.add(listener);
+            listener(state.profile);
+            return () => profileListeners.delete(listener);
+        },
+
+        subscribeProjects(listener) {
+            projectListeners.add(listener);
+            listener(sortProjects(state.projects));
+            return () => projectListeners.delete(listener);
+        },
+
+        // Nothing to sync, everything is saved as soon as it is committed
+        subscribeStatus(listener) {
+            listener('synced');
+            return () => {};
+        },
+
+        // Data lives on-device only, so reset() drops the projects along with the profile
+        ...mutations,
+
+        // Replaces state with changes that happened elsewhere (e.g. another tab), without re-saving them
+        receive(changes) {
+            state = { ...state, ...changes };
+            notify(changes);
+        },
+    };
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { applyMutation, createMemoryStorage } from './memory.js';
+
+const project = (id, fields = {}) => ({ id, title: id, createdAt: 0, tasks: [], deletedTasks: [], ...fields });
+
+describe('applyMutation', () => {
+    it('returns only the changed slice', () => {
+        const state = { profile: { name: 'Ana' }, projects: [project('a')] };
+        expect(applyMutation(state, { type: 'updateProfile', args: [{ theme: 'light' }] })).toEqual({
+            profile: { name: 'Ana', theme: 'light' },
+        });
+        expect(applyMutation(state, { type: 'deleteProject', args: ['a'] })).toEqual({ projects: [] });
+    });
+
+    it('ignores a profile update before there is a profile', () => {
+        expect(applyMutation({ profile: null, projects: [] }, { type: 'updateProfile', args: [{ name: 'Ana' }] })).toEqual({});
+    });
+
+    it('applies every project of updateProjects, fields and task patches together', () => {
+        const state = {
+            profile: null,
+            projects: [project('a', { tasks: [{ id: 't1', text: 'Move me', position: 0 }] }), project('b')],
+        };
+        const { projects } = applyMutation(state, {
+            type: 'updateProjects',
+            args: [[
+                { id: 'a', fields: { order: 1 }, patch: { set: [], remove: ['t1'] } },
+                { id: 'b', fields: {}, patch: { set: [{ id: 't1', text: 'Move me', position: 0 }] } },
+            ]],
+        });
+        expect(projects[0]).toMatchObject({ order: 1, tasks: [] });
+        expect(projects[1].tasks.map((t) => t.id)).toEqual(['t1']);
+    });
+
+    it('keeps trashed task documents apart from live ones', () => {
+        const state = { profile: null, projects: [project('a', { tasks: [{ id: 't1', position: 0 }] })] };
+        const { projects } = applyMutation(state, {
+            type: 'updateTasks',
+            args: ['a', { set: [{ id: 't1', position: 0, deletedAt: 5 }] }],
+        });
+        expect(projects[0].tasks).toEqual([]);
+        expect(projects[0].deletedTasks).toEqual([{ id: 't1', position: 0, deletedAt: 5 }]);
+    });
+
+    it('rejects unknown mutations', () => {
+        expect(() => applyMutation({ profile: null, projects: [] }, { type: 'dropEverything', args: [] })).toThrow(/Unknown/);
+    });
+});
+
+describe('createMemoryStorage', () => {
+    it('hands subscribers the current state, then every change in display order', async () => {
+        const storage = createMemoryStorage({ projects: [project('old', { createdAt: 1 })] });
+        const listener = vi.fn();
+        storage.subscribeProjects(listener);
+
+        await storage.addProject(project('new', { createdAt: 2 }));
+        await storage.updateProject('old', { order: -5 });
+
+        expect(listener.mock.calls.map(([projects]) => projects.map((p) => p.id))).toEqual([
+            ['old'],
+            ['new', 'old'],
+            ['old', 'new'],
+        ]);
+    });
+
+    it('reports commits, but not changes received from elsewhere', async () => {
+        const onCommit = vi.fn();
+        const storage = createMemoryStorage({ profile: { name: 'Ana' }, onCommit });
+        const profileListener = vi.fn();
+        storage.subscribeProfile(profileListener);
+
+        await storage.updateProfile({ name: 'Budi' });
+        storage.receive({ profile: { name: 'Citra' } });
+
+        expect(onCommit.mock.calls).toEqual([[{ profile: { name: 'Budi' } }]]);
+        expect(profileListener).toHaveBeenLastCalledWith({ name: 'Citra' });
+    });
+
+    it('drops projects along with the profile on reset', async () => {
+        const storage = createMemoryStorage({ profile: { name: 'Ana' }, projects: [project('a')] });
+        const listener = vi.fn();
+        storage.subscribeProjects(listener);
+
+        await storage.reset();
+        expect(listener).toHaveBeenLastCalledWith([]);
+    });
+});
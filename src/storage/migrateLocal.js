@@ -0,0 +1,30 @@
+import { LS_KEYS, loadLocal, saveLocal } from './local.js';
+
+// === LOCAL -> CLOUD MIGRATION ===
+// Data saved while the app ran in local mode stays in localStorage when a Firebase
+// config is added. This offers it once: after an upload (or a dismiss) it is marked
+// as migrated and never offered again. The local copy itself is left untouched.
+
+export const loadPendingLocalData = () => {
+    if (loadLocal(LS_KEYS.migrated)) return null;
+    const profile = loadLocal(LS_KEYS.profile);
+    const projects = (loadLocal(LS_KEYS.projects) || []).filter((p) => !p.deletedAt);
+    if (!profile && projects.length === 0) return null;
+    return { profile, projects };
+};
+
+export const markLocalDataMigrated = (uid, uploaded) => {
+    saveLocal(LS_KEYS.migrated, { uid, uploaded, at: Date.now() });
+};
+
+// Uploads local projects the account does not have yet; the local profile is used only if the account has none
+export const migrateLocalData = async (storage, { profile, projects }, { existingProjects, hasProfile }) => {
+    const existingIds = new Set(existingProjects.map((p) => p.id));
+    const toUpload = projects.filter((p) => !existingIds.has(p.id));
+
+    if (profile && !hasProfile) await storage.createProfile(profile);
+    for (const project of toUpload) {
+        await storage.addProject(project);
+    }
+    return toUpload.length;
+};
@@ -0,0 +1,202 @@
+import { applyMutation, MUTATION_TYPES } from './memory.js';
+import { loadLocal, saveLocal } from './local.js';
+import { sortProjects } from '../lib/ordering.js';
+import { splitTaskFields } from './taskDocs.js';
+
+// Firestore error codes worth retrying; anything else (e.g. permission-denied) is dropped
+const RETRYABLE_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal', 'unknown'];
+const RETRY_DELAYS_MS = [2000, 5000, 15000, 30000, 60000];
+
+const isRetryable = (error) => !navigator.onLine || RETRYABLE_CODES.includes(error?.code);
+
+// Sharing needs the server's answer (invite codes, membership checks), so it bypasses the outbox
+const PASSTHROUGH_METHODS = ['shareProject', 'createInvite', 'joinProject', 'setMemberRole', 'removeMember'];
+
+// === OFFLINE-FIRST SYNC LAYER ===
+// Wraps a remote backend (Firestore) so that:
+//   - every mutation is applied to local state immediately (optimistic UI),
+//   - it is queued in a persisted outbox and replayed in order until the remote accepts it,
+//   - the last remote snapshot is cached so the app opens with data while offline.
+// Whole `tasks` arrays are diffed against what the user saw when they made the change and queued
+// as per-task patches, so a replay never undoes another device's edits to other tasks.
+// Listeners see the remote state with the still-pending mutations re-applied on top.
+// Status is 'synced' | 'pending' | 'error'. Call startSync() to begin flushing; it returns a stop function.
+export const createSyncedStorage = (remote, uid) => {
+    const cacheKey = `miroo_cache_${uid}`;
+    const outboxKey = `miroo_outbox_${uid}`;
+
+    // profile stays undefined until the cache or the first snapshot tells us something
+    let remoteState = { profile: undefined, projects: [], ...loadLocal(cacheKey) };
+    let outbox = loadLocal(outboxKey) || [];
+    let status = outbox.length > 0 ? 'pending' : 'synced';
+    let flushing = false;
+    let retryAttempt = 0;
+    let retryTimer = null;
+    let running = false;
+
+    const profileListeners = new Set();
+    const projectListeners = new Set();
+    const statusListeners = new Set();
+
+    const view = () => outbox.reduce((state, op) => ({ ...state, ...applyMutation(state, op) }), remoteState);
+
+    const emitProfile = () => {
+        const { profile } = view();
+        if (profile !== undefined) profileListeners.forEach((listener) => listener(profile));
+    };
+    const emitProjects = () => {
+        const projects = sortProjects(view().projects);
+        projectListeners.forEach((listener) => listener(projects));
+    };
+    const setStatus = (next) => {
+        status = next;
+        statusListeners.forEach((listener) => listener(status));
+    };
+
+    const saveCache = () => saveLocal(cacheKey, remoteState);
+    const saveOutbox = () => saveLocal(outboxKey, outbox);
+
+    const scheduleRetry = () => {
+        clearTimeout(retryTimer);
+        const delay = RETRY_DELAYS_MS[Math.min(retryAttempt, RETRY_DELAYS_MS.length - 1)];
+        retryAttempt += 1;
+        retryTimer = setTimeout(flush, delay);
+    };
+
+    async function flush() {
+        if (!running || flushing || outbox.length === 0) return;
+        flushing = true;
+        setStatus('pending');
+
+        let dropped = false;
+        while (running && outbox.length > 0) {
+            const op = outbox[0];
+            try {
+                await remote[op.type](...op.args);
+            } catch (error) {
+                if (isRetryable(error)) {
+                    console.error("Sync failed, will retry:", error);
+                    flushing = false;
+                    setStatus('error');
+                    scheduleRetry();
+                    return;
+                }
+                console.error(`Dropping rejected ${op.type}:`, error);
+                dropped = true;
+            }
+            outbox = outbox.filter((queued) => queued.id !== op.id);
+            saveOutbox();
+            // A dropped write's optimistic change disappears again here
+            if (dropped) { emitProfile(); emitProjects(); }
+        }
+
+        flushing = false;
+        retryAttempt = 0;
+        if (running) setStatus(dropped ? 'error' : 'synced');
+    }
+
+    // Turns one mutation into the remote operations to queue
+    const translate = (type, args) => {
+        const { projects } = view();
+        const findProject = (id) => projects.find((p) => p.id === id);
+
+        if (type === 'updateProject') {
+            const [id, fields] = args;
+            const { rest, patch } = splitTaskFields(findProject(id), fields);
+            return [
+                ...(Object.keys(rest).length > 0 ? [{ type: 'updateProject', args: [id, rest] }] : []),
+                ...(patch ? [{ type: 'updateTasks', args: [id, patch] }] : []),
+            ];
+        }
+
+        // Stays one op carrying each project's task patch, so e.g. a move's removal and
+        // insertion are replayed (and accepted or rejected) together
+        if (type === 'updateProjects') {
+            const updates = args[0]
+                .map(({ id, fields }) => {
+                    const { rest, patch } = splitTaskFields(findProject(id), fields);
+                    return { id, fields: rest, ...(patch ? { patch } : {}) };
+                })
+                .filter(({ fields, patch }) => patch || Object.keys(fields).length > 0);
+            return updates.length > 0 ? [{ type: 'updateProjects', args: [updates] }] : [];
+        }
+
+        return [{ type, args }];
+    };
+
+    const enqueue = async (type, args) => {
+        const ops = translate(type, args).map((op) => ({ id: crypto.randomUUID(), ...op }));
+        if (ops.length === 0) return;
+        outbox = [...outbox, ...ops];
+        saveOutbox();
+        emitProfile();
+        emitProjects();
+        flush();
+    };
+
+    const handleOnline = () => {
+        retryAttempt = 0;
+        flush();
+    };
+
+    const mutations = Object.fromEntries(MUTATION_TYPES.map((type) => [
+        type,
+        (...args) => enqueue(type, args),
+    ]));
+
+    const passthrough = Object.fromEntries(PASSTHROUGH_METHODS
+        .filter((name) => remote[name])
+        .map((name) => [name, (...args) => remote[name](...args)]));
+
+    return {
+        kind: 'synced',
+
+        subscribeProfile(listener, onError) {
+            profileListeners.add(listener);
+            if (view().profile !== undefined) listener(view().profile);
+            const unsubscribe = remote.subscribeProfile((profile) => {
+                remoteState = { ...remoteState, profile };
+                saveCache();
+                emitProfile();
+            }, onError);
+            return () => {
+                profileListeners.delete(listener);
+                unsubscribe();
+            };
+        },
+
+        subscribeProjects(listener, onError) {
+            projectListeners.add(listener);
+            listener(sortProjects(view().projects));
+            const unsubscribe = remote.subscribeProjects((projects) => {
+                remoteState = { ...remoteState, projects };
+                saveCache();
+                emitProjects();
+            }, onError);
+            return () => {
+                projectListeners.delete(listener);
+                unsubscribe();
+            };
+        },
+
+        subscribeStatus(listener) {
+            statusListeners.add(listener);
+            listener(status);
+            return () => statusListeners.delete(listener);
+        },
+
+        startSync() {
+            running = true;
+            window.addEventListener('online', handleOnline);
+            flush();
+            return () => {
+                running = false;
+                clearTimeout(retryTimer);
+                window.removeEventListener('online', handleOnline);
+            };
+        },
+
+        ...mutations,
+        ...passthrough,
+    };
+};
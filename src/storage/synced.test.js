@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMemoryStorage } from './memory.js';
+import { createSyncedStorage } from './synced.js';
+
+// The in-memory backend stands in for Firestore; `failWith` makes its next calls of a method reject
+const createRemote = (projects) => {
+    const remote = createMemoryStorage({ profile: { name: 'Ana' }, projects });
+    const failures = new Map();
+    const wrapped = Object.fromEntries(['updateProject', 'updateProjects', 'updateTasks'].map((name) => [
+        name,
+        vi.fn((...args) => {
+            const queued = failures.get(name) || [];
+            if (queued.length > 0) return Promise.reject(queued.shift());
+            return remote[name](...args);
+        }),
+    ]));
+    return {
+        ...remote,
+        ...wrapped,
+        failWith: (name, ...codes) => failures.set(name, codes.map((code) => Object.assign(new Error(code), { code }))),
+    };
+};
+
+const PROJECT = { id: 'home', title: 'Home', createdAt: 0, tasks: [{ id: 'a', text: 'Water plants', position: 0 }], deletedTasks: [] };
+
+describe('createSyncedStorage', () => {
+    let saved;
+
+    beforeEach(() => {
+        saved = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: (key) => saved.get(key) ?? null,
+            setItem: (key, value) => saved.set(key, value),
+            removeItem: (key) => saved.delete(key),
+        });
+        vi.stubGlobal('navigator', { onLine: true });
+        vi.stubGlobal('window', { addEventListener: () => {}, removeEventListener: () => {} });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    const start = (remote) => {
+        const storage = createSyncedStorage(remote, 'u1');
+        const projects = vi.fn();
+        const status = vi.fn();
+        storage.subscribeProjects(projects);
+        storage.subscribeStatus(status);
+        storage.startSync();
+        const titles = () => projects.mock.calls.map(([list]) => list[0]?.title);
+        return { storage, projects, status, titles };
+    };
+    const outbox = () => JSON.parse(saved.get('miroo_outbox_u1') || '[]');
+
+    it('shows a change at once and sends only the changed tasks', async () => {
+        const remote = createRemote([PROJECT]);
+        const { storage, projects, status } = start(remote);
+
+        const added = { id: 'b', text: 'Fix tap' };
+        await storage.updateProject('home', { tasks: [...PROJECT.tasks, added] });
+        expect(projects.mock.lastCall[0][0].tasks.map((t) => t.id)).toEqual(['a', 'b']);
+
+        await vi.waitFor(() => expect(status).toHaveBeenLastCalledWith('synced'));
+        expect(remote.updateTasks).toHaveBeenCalledWith('home', { set: [{ ...added, position: 1 }], remove: [] });
+        expect(remote.updateProject).not.toHaveBeenCalled();
+        expect(outbox()).toEqual([]);
+    });
+
+    it('drops a rejected write and shows the remote state again', async () => {
+        const remote = createRemote([PROJECT]);
+        remote.failWith('updateProject', 'permission-denied');
+        const { storage, status, titles } = start(remote);
+
+        await storage.updateProject('home', { title: 'House' });
+        await vi.waitFor(() => expect(status).toHaveBeenLastCalledWith('error'));
+
+        expect(titles()).toContain('House');
+        expect(titles().at(-1)).toBe('Home');
+        expect(outbox()).toEqual([]);
+    });
+
+    it('keeps a write queued while the remote is unavailable and retries it', async () => {
+        vi.useFakeTimers();
+        const remote = createRemote([PROJECT]);
+        remote.failWith('updateProject', 'unavailable');
+        const { storage, status, titles } = start(remote);
+
+        await storage.updateProject('home', { title: 'House' });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(status).toHaveBeenLastCalledWith('error');
+        expect(outbox()).toHaveLength(1);
+        expect(titles().at(-1)).toBe('House');
+
+        await vi.advanceTimersByTimeAsync(2000);
+        expect(status).toHaveBeenLastCalledWith('synced');
+        expect(remote.updateProject).toHaveBeenCalledTimes(2);
+        expect(outbox()).toEqual([]);
+        expect(titles().at(-1)).toBe('House');
+    });
+
+    it('replays a move as one operation, so both halves succeed or fail together', async () => {
+        const remote = createRemote([PROJECT, { id: 'work', title: 'Work', createdAt: 1, tasks: [], deletedTasks: [] }]);
+        remote.failWith('updateProjects', 'permission-denied');
+        const { storage, projects, status } = start(remote);
+
+        await storage.updateProjects([
+            { id: 'home', fields: { tasks: [] } },
+            { id: 'work', fields: { tasks: PROJECT.tasks } },
+        ]);
+        await vi.waitFor(() => expect(status).toHaveBeenLastCalledWith('error'));
+
+        expect(remote.updateProjects).toHaveBeenCalledTimes(1);
+        const byId = Object.fromEntries(projects.mock.lastCall[0].map((p) => [p.id, p.tasks.length]));
+        expect(byId).toEqual({ home: 1, work: 0 });
+    });
+});
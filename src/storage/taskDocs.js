@@ -0,0 +1,111 @@
+// === TASK DOCUMENTS ===
+// In Firestore every task (including trashed ones, which carry `deletedAt`) is its own
+// document under projects/{projectId}/tasks, ordered by a numeric `position`.
+// The app still thinks in `project.tasks` / `project.deletedTasks` arrays; these helpers
+// turn an array update into a per-task patch { set: [task], remove: [taskId] } so that
+// concurrent edits to different tasks never overwrite each other.
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0);
+
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+// Indexes of the longest run of tasks whose positions already increase, those keep their position
+const keptIndexes = (positions) => {
+    const lengths = positions.map(() => 1);
+    const previous = positions.map(() => -1);
+    let best = -1;
+
+    positions.forEach((position, i) => {
+        if (!Number.isFinite(position)) return;
+        for (let j = 0; j < i; j++) {
+            if (Number.isFinite(positions[j]) && positions[j] < position && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+        if (best === -1 || lengths[i] > lengths[best]) best = i;
+    });
+
+    const kept = new Set();
+    for (let i = best; i !== -1; i = previous[i]) kept.add(i);
+    return kept;
+};
+
+// Gives every task a `position` matching its array index order, touching as few tasks as possible
+export const assignPositions = (tasks) => {
+    const kept = keptIndexes(tasks.map((t) => t.position));
+    const result = [...tasks];
+
+    let i = 0;
+    while (i < tasks.length) {
+        if (kept.has(i)) { i += 1; continue; }
+
+        let end = i;
+        while (end < tasks.length && !kept.has(end)) end += 1;
+        const low = i > 0 ? result[i - 1].position : undefined;
+        const high = end < tasks.length ? tasks[end].position : undefined;
+        const count = end - i;
+
+        for (let k = 1; k <= count; k++) {
+            let position;
+            if (low !== undefined && high !== undefined) position = low + ((high - low) * k) / (count + 1);
+            else if (high !== undefined) position = high - (count - k + 1);
+            else if (low !== undefined) position = low + k;
+            else position = k - 1;
+            result[i + k - 1] = { ...tasks[i + k - 1], position };
+        }
+        i = end;
+    }
+    return result;
+};
+
+export const splitTaskDocs = (docs) => ({
+    tasks: docs.filter((t) => !t.deletedAt).sort(byPosition),
+    deletedTasks: docs.filter((t) => t.deletedAt),
+});
+
+// Patch that turns the project's current tasks into `nextTasks` / `nextDeleted`, or null if nothing changed
+export const diffTaskDocs = (project, nextTasks, nextDeleted) => {
+    const previous = new Map([...(project?.tasks || []), ...(project?.deletedTasks || [])].map((t) => [t.id, t]));
+    const next = [...assignPositions(nextTasks), ...nextDeleted];
+    const nextIds = new Set(next.map((t) => t.id));
+
+    const set = next.filter((t) => !previous.has(t.id) || stableStringify(previous.get(t.id)) !== stableStringify(t));
+    const remove = [...previous.keys()].filter((id) => !nextIds.has(id));
+    return set.length || remove.length ? { set, remove } : null;
+};
+
+export const applyTaskPatch = (project, { set = [], remove = [] }) => {
+    const docs = new Map([...(project.tasks || []), ...(project.deletedTasks || [])].map((t) => [t.id, t]));
+    remove.forEach((id) => docs.delete(id));
+    set.forEach((task) => docs.set(task.id, task));
+    return splitTaskDocs([...docs.values()]);
+};
+
+// Splits project field updates into plain project fields and a task patch
+export const splitTaskFields = (project, fields) => {
+    const { tasks, deletedTasks, ...rest } = fields;
+    if (tasks === undefined && deletedTasks === undefined) return { rest, patch: null };
+    const patch = diffTaskDocs(
+        project,
+        tasks ?? project?.tasks ?? [],
+        deletedTasks ?? project?.deletedTasks ?? []
+    );
+    return { rest, patch };
+};
+
+// Legacy projects embed `tasks` / `deletedTasks` arrays in the project document itself
+export const legacyTaskDocs = (data) => [
+    ...(Array.isArray(data.tasks) ? data.tasks : []).map((task, index) => ({ position: index, ...task })),
+    ...(Array.isArray(data.deletedTasks) ? data.deletedTasks : []),
+];
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { assignPositions, diffTaskDocs, splitTaskFields } from './taskDocs.js';
+
+const task = (id, position, fields = {}) => ({ id, text: id, position, ...fields });
+const positions = (tasks) => tasks.map((t) => t.position);
+
+describe('assignPositions', () => {
+    it('numbers tasks that have no position yet', () => {
+        expect(positions(assignPositions([{ id: 'a' }, { id: 'b' }, { id: 'c' }]))).toEqual([0, 1, 2]);
+    });
+
+    it('only moves the task that was dragged, between its new neighbours', () => {
+        const result = assignPositions([task('c', 2), task('a', 0), task('b', 1)]);
+        expect(positions(result)).toEqual([-1, 0, 1]);
+        expect(result[1]).toEqual(task('a', 0));
+    });
+
+    it('fits new tasks between existing ones', () => {
+        expect(positions(assignPositions([task('a', 0), { id: 'new' }, task('b', 1)]))).toEqual([0, 0.5, 1]);
+    });
+});
+
+describe('diffTaskDocs', () => {
+    const project = { tasks: [task('a', 0), task('b', 1)], deletedTasks: [] };
+
+    it('is null when nothing changed', () => {
+        expect(diffTaskDocs(project, [task('a', 0), task('b', 1)], [])).toBeNull();
+    });
+
+    it('writes only the tasks that changed', () => {
+        const patch = diffTaskDocs(project, [task('a', 0, { completed: true }), task('b', 1)], []);
+        expect(patch).toEqual({ set: [task('a', 0, { completed: true })], remove: [] });
+    });
+
+    it('writes a trashed task again rather than removing its document', () => {
+        const trashed = task('b', 1, { deletedAt: 5 });
+        expect(diffTaskDocs(project, [task('a', 0)], [trashed])).toEqual({ set: [trashed], remove: [] });
+    });
+
+    it('removes tasks that are gone for good', () => {
+        expect(diffTaskDocs(project, [task('a', 0)], [])).toEqual({ set: [], remove: ['b'] });
+    });
+});
+
+describe('splitTaskFields', () => {
+    it('keeps plain fields apart from the task patch', () => {
+        const project = { tasks: [task('a', 0)], deletedTasks: [] };
+        expect(splitTaskFields(project, { title: 'Home' })).toEqual({ rest: { title: 'Home' }, patch: null });
+        expect(splitTaskFields(project, { title: 'Home', tasks: [] })).toEqual({
+            rest: { title: 'Home' },
+            patch: { set: [], remove: ['a'] },
+        });
+    });
+});
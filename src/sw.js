@@ -0,0 +1,41 @@
+// === MIROO SERVICE WORKER ===
+// Not bundled: the build copies this file to dist/sw.js and fills in the precache list
+// (see vite.config.js). The app shell is cached on install so Miroo launches offline.
+// Firebase requests are left alone: Firestore keeps its own offline cache and
+// storage/synced.js queues writes until the connection is back.
+
+const { version, urls } = self.__PRECACHE_MANIFEST__;
+const CACHE = `miroo-shell-${version}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(urls)));
+});
+
+// A new build waits until the page accepts the "update available" prompt
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith('miroo-shell-') && key !== CACHE)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Pages: network first so deploys show up, the cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match('/index.html', { cacheName: CACHE })));
+        return;
+    }
+
+    // Hashed assets and icons never change under the same URL
+    event.respondWith(caches.match(request, { cacheName: CACHE }).then((cached) => cached || fetch(request)));
+});
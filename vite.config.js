@@ -1,10 +1,39 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { resolve } from 'node:path'
+
+// Emits dist/sw.js from src/sw.js with the list of files that make up the app shell:
+// every bundled asset, index.html and the public files (manifest, icons).
+// The version changes with the file list, so each deploy installs a fresh cache.
+const serviceWorker = () => {
+    let publicDir
+    return {
+        name: 'miroo-service-worker',
+        apply: 'build',
+        enforce: 'post',
+        configResolved(config) {
+            publicDir = config.publicDir
+        },
+        generateBundle(_, bundle) {
+            const publicFiles = readdirSync(publicDir, { recursive: true, withFileTypes: true })
+                .filter((entry) => entry.isFile())
+                .map((entry) => `/${resolve(entry.parentPath, entry.name).slice(publicDir.length + 1).split('\\').join('/')}`)
+            const urls = ['/', ...Object.keys(bundle).map((file) => `/${file}`), ...publicFiles]
+            const version = createHash('sha256').update(urls.join('\n')).update(bundle['index.html']?.source ?? '').digest('hex').slice(0, 12)
+            const source = readFileSync(resolve('src/sw.js'), 'utf8')
+                .replace('self.__PRECACHE_MANIFEST__', JSON.stringify({ version, urls }))
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+        },
+    }
+}
 
 export default defineConfig({
     plugins: [
         react(),
         tailwindcss(),
+        serviceWorker(),
     ],
 })